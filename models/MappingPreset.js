@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { MAPPING_SOURCES, MAPPING_TARGETS, MAPPING_CURVES } from '../src/mappings.js';
+const { Schema, model } = mongoose;
+
+export const PRESET_VISIBILITIES = ['private', 'public'];
+
+// One weather→behaviour rule (see src/mappings.js); pits store their mapping with it too
+export const ruleSchema = new Schema ({
+  source: { type: String, required: true, enum: Object.keys(MAPPING_SOURCES) },
+  target: { type: String, required: true, enum: Object.keys(MAPPING_TARGETS) },
+  curve: { type: String, required: true, enum: Object.keys(MAPPING_CURVES) },
+  steps: { type: Number, min: 1 },
+  input: { type: [Number], required: true },
+  output: { type: [Number], required: true }
+}, { _id: false });
+
+const mappingPresetSchema = new Schema ({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+  // private: owner only, public: listed for everyone to load
+  visibility: { type: String, enum: PRESET_VISIBILITIES, default: 'private' },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  rules: { type: [ruleSchema], default: [] }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+})
+
+const MappingPreset = model('MappingPreset', mappingPresetSchema);
+export default MappingPreset;
@@ -1,22 +1,132 @@
 import mongoose from 'mongoose';
+import { SCALES } from '../src/scales.js';
+import { PIT_SHAPES } from '../src/pitShapes.js';
+import { ruleSchema } from './MappingPreset.js';
+import { MAX_WEATHER_TEXT } from '../src/weatherSnapshot.js';
+import { MAX_TUNING_DESCRIPTION } from '../src/soundSettings.js';
+import { INSTRUMENTS } from '../src/instruments.js';
+import { DELAY_DIVISIONS } from '../src/EffectsBus.js';
+import { GRIDS } from '../src/TempoClock.js';
+import { AudioEngine } from '../src/AudioEngine.js';
 const { Schema, model } = mongoose;
 
+export const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Most cities one pit can hold (MAX_LOCATIONS in src/WeatherPit.js)
+export const MAX_CITIES = 4;
+
+// One city's weather snapshot (checked by validateWeather in src/weatherSnapshot.js)
+const weatherSchema = new Schema ({
+  location: { type: String, maxlength: MAX_WEATHER_TEXT },
+  country: { type: String, maxlength: MAX_WEATHER_TEXT },
+  temp: { type: Number, required: true },
+  humidity: { type: Number, min: 0, max: 100 },
+  windSpeed: { type: Number, min: 0 },
+  pressure: { type: Number, min: 0 },
+  precipitation: { type: Number, min: 0 },
+  cloudCover: { type: Number, min: 0, max: 100 },
+  condition: { type: String, required: true, maxlength: MAX_WEATHER_TEXT },
+  description: { type: String, maxlength: MAX_WEATHER_TEXT },
+  precipitationType: { type: String, enum: ['rain', 'snow', 'none'], default: 'none' },
+  mode: { type: String, enum: Object.keys(SCALES) },
+  timestamp: Date,
+  // Units of the readings (see src/units.js); missing on pits saved in imperial before it existed
+  units: {
+    temp: String,
+    humidity: String,
+    windSpeed: String,
+    pressure: String,
+    precipitation: String,
+    cloudCover: String
+  }
+}, { _id: false });
+
+// The weather→behaviour mapping the pit was saved with (see src/mappings.js)
+const mappingSchema = new Schema ({
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  rules: { type: [ruleSchema], default: [] }
+}, { _id: false });
+
+// Sound settings as applySound() takes them (see src/soundSettings.js),
+// apart from the envelope, which has its own field
+const soundSchema = new Schema ({
+  rootKey: { type: Number, min: 0, max: 11 },
+  // null follows each city's weather
+  scale: { type: String, enum: Object.keys(SCALES) },
+  // Scala tuning, or null for equal temperament
+  tuning: {
+    type: new Schema ({
+      description: { type: String, maxlength: MAX_TUNING_DESCRIPTION },
+      cents: [Number]
+    }, { _id: false }),
+    default: null
+  },
+  instrument: { type: String, enum: Object.keys(INSTRUMENTS) },
+  weatherTimbre: Boolean,
+  effects: {
+    reverb: { type: Number, min: 0, max: 1 },
+    delay: { type: Number, min: 0, max: 1 },
+    feedback: { type: Number, min: 0, max: 0.9 },
+    division: { type: String, enum: Object.keys(DELAY_DIVISIONS) },
+    chorus: { type: Number, min: 0, max: 1 },
+    tilt: { type: Number, min: -12, max: 12 }
+  },
+  voicing: {
+    maxPolyphony: { type: Number, min: 1, max: 128 },
+    stealPolicy: { type: String, enum: AudioEngine.STEAL_POLICIES },
+    retrigger: { type: String, enum: AudioEngine.RETRIGGER_MODES },
+    debounce: { type: Number, min: 0 },
+    burstWindow: { type: Number, min: 0 },
+    burstLimit: { type: Number, min: 1 }
+  },
+  limiterThreshold: { type: Number, min: -40, max: 0 },
+  // Tempo grid; grid is null for free timing
+  tempo: {
+    bpm: { type: Number, min: 40, max: 240 },
+    grid: { type: String, enum: Object.keys(GRIDS) },
+    swing: { type: Number, min: 0, max: 1 }
+  },
+  drone: Boolean,
+  spatial: Boolean
+}, { _id: false });
+
 const pitSchema = new Schema ({
-  id: Number,
-  pitname: String,
-  created_at: Date,
-  location: String,
+  owner: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+  // private: owner only, unlisted: anyone with the link, public: listed for everyone
+  visibility: { type: String, enum: VISIBILITIES, default: 'private' },
+  pitname: { type: String, required: true, trim: true, maxlength: 80 },
+  location: { type: String, required: true, trim: true, maxlength: 120 },
+  // One snapshot per city, the first city first. Pits saved before duels
+  // hold a single object: documents cast it to a one-city array, and lean
+  // reads in routes/pits.js wrap it the same way.
   weatherData: {
-    temp: Number,
-    humidity: Number,
-    windSpeed: Number,
-    pressure: Number,
-    precipitation: Number,
-    cloudCover: Number,
-    condition: String,
-    precipitationType: String // 'rain', 'snow', 'none'
-  }
+    type: [weatherSchema],
+    validate: {
+      validator: cities => cities.length >= 1 && cities.length <= MAX_CITIES,
+      message: `weatherData must hold 1 to ${MAX_CITIES} cities`
+    }
+  },
+  // ADSR envelope, same ranges as the control panel sliders
+  adsr: {
+    attack: { type: Number, min: 0, max: 1, default: 0.01 },
+    decay: { type: Number, min: 0, max: 2, default: 0.1 },
+    sustain: { type: Number, min: 0, max: 1, default: 0.7 },
+    release: { type: Number, min: 0, max: 3, default: 0.8 }
+  },
+  volume: { type: Number, min: 0, max: 1, default: 0.3 },
+  // Random seed, so reopening the pit replays the same ball sequence
+  seed: { type: Number, min: 0, max: 4294967295 },
+  // Ball cap, same range as the control panel slider; it changes what the seed spawns
+  maxBalls: { type: Number, min: 10, max: 5000 },
+  // Hand-picked pit shape; null lets the first city's climate choose
+  shape: { type: String, enum: Object.keys(PIT_SHAPES), default: null },
+  // Missing on pits saved before mappings, which play the classic one
+  mapping: { type: mappingSchema, default: undefined },
+  // Missing on pits saved before sound settings were, which play with the listener's own
+  sound: { type: soundSchema, default: undefined }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 })
 
 const Pit = model('Pit', pitSchema);
-export default Pit;
\ No newline at end of file
+export default Pit;
@@ -2,9 +2,26 @@ import mongoose from 'mongoose';
 const { Schema, model } = mongoose;
 
 const userSchema = new Schema ({
-  id: Number,
-  username: String
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_.-]{3,30}$/, 'Username must be 3-30 letters, numbers, dots, dashes or underscores']
+  },
+  passwordHash: { type: String, required: true, select: false }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 })
 
+// Never leak the password hash, even if it was explicitly selected
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
 const User = model('User', userSchema);
-export default User;
\ No newline at end of file
+export default User;
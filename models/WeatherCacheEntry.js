@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+const weatherCacheEntrySchema = new Schema ({
+  key: { type: String, required: true, unique: true },
+  value: Schema.Types.Mixed,
+  storedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+})
+
+// Let MongoDB drop entries once they are too old to serve even stale
+weatherCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WeatherCacheEntry = model('WeatherCacheEntry', weatherCacheEntrySchema);
+export default WeatherCacheEntry;
@@ -1,4 +1,62 @@
-import { WeatherPit } from '../src/WeatherPit.js';
+import { WeatherPit, MAX_LOCATIONS } from '../src/WeatherPit.js';
+import { AudioEngine } from '../src/AudioEngine.js';
+import { INSTRUMENTS } from '../src/instruments.js';
+import { effectsFromWeather } from '../src/EffectsBus.js';
+import { SCALES, ROOT_KEYS, resolveMode, parseScala } from '../src/scales.js';
+import { tempoFromWeather } from '../src/TempoClock.js';
+import { PIT_SHAPES } from '../src/pitShapes.js';
+import { randomSeed } from '../src/random.js';
+import { describeWeatherChanges } from '../src/timeline.js';
+import { renderSession, recordSessionNotes, encodeWav, applySound } from '../src/sessionExport.js';
+import { describeFling, replaySnapshot, receiveLiveEvent } from '../src/liveSync.js';
+import { encodeMidiFile } from '../src/midi/midiFile.js';
+import { MidiOutput } from '../src/midi/MidiOutput.js';
+import { parseCoordinates, formatCoordinates } from '../src/places.js';
+import { UNIT_SYSTEMS, unitSystemForLocale, formatReading, toCanonicalWeather } from '../src/units.js';
+import { MAPPING_PRESETS, DEFAULT_MAPPING, compileMapping } from '../src/mappings.js';
+import { encodeShareState, decodeShareState } from './share.js';
+import { PlaceAutocomplete } from './placeSearch.js';
+import { MappingEditor } from './mappingEditor.js';
+
+// Milliseconds between fling updates sent while a host drags a ball
+const LIVE_FLING_INTERVAL = 100;
+
+// Seconds between host clock ticks on a live pit
+const LIVE_TICK_SECONDS = 2;
+
+// Milliseconds of quiet in the mapping editor before viewers are sent the edit
+const LIVE_MAPPING_DELAY = 500;
+
+/**
+ * Weather API query for a location: explicit lat/lon for coordinates, otherwise the name
+ */
+function locationQuery(location) {
+  const coordinates = parseCoordinates(location);
+  return coordinates
+    ? `lat=${coordinates.lat}&lon=${coordinates.lon}`
+    : `location=${encodeURIComponent(location)}`;
+}
+
+/**
+ * Build an element whose text is set as text, never parsed as HTML
+ * Weather text comes from share links, saved pits and live hosts.
+ */
+function createTextElement(tag, text, className = '') {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * A "<strong>Label:</strong> value" line
+ */
+function createStat(label, value, className = '') {
+  const line = document.createElement('div');
+  if (className) line.className = className;
+  line.append(createTextElement('strong', `${label}:`), ` ${value}`);
+  return line;
+}
 
 /**
  * Main application logic
@@ -7,18 +65,92 @@ class App {
   constructor() {
     this.weatherPit = null;
     this.currentWeatherData = null;
+    this.currentLocation = null; // Query the primary city's weather was fetched with (a name or "lat,lon")
+    this.comparisons = []; // Extra cities sharing the pit: { location, weatherData }
+    this.currentSeed = randomSeed();
+    this.currentPit = null; // Saved pit currently loaded, if any
+    this.tuning = null; // Scala tuning loaded from a .scl file, if any
+    this.midiOutput = new MidiOutput();
+    this.live = null; // Live broadcast of the loaded saved pit: { role: 'host' | 'viewer', pitId, ... }
+    this.mapping = DEFAULT_MAPPING; // Weather→behaviour mapping (see src/mappings.js)
+    this.mapper = compileMapping(this.mapping);
+    this.mappingPreset = null; // Saved mapping preset last picked, if any
+    this.mappingPresets = []; // Saved presets in the preset list
     
     // DOM elements
     this.locationInput = document.getElementById('location-input');
+    this.myLocationBtn = document.getElementById('my-location-btn');
     this.fetchWeatherBtn = document.getElementById('fetch-weather-btn');
     this.startBtn = document.getElementById('start-btn');
     this.stopBtn = document.getElementById('stop-btn');
+    this.shareBtn = document.getElementById('share-btn');
+    this.compareInput = document.getElementById('compare-input');
+    this.addLocationBtn = document.getElementById('add-location-btn');
     this.weatherInfo = document.getElementById('weather-info');
     this.statusDiv = document.getElementById('status');
     this.loadingDiv = document.getElementById('loading');
     this.pitContainer = document.getElementById('pit-container');
+    this.ballInfo = document.getElementById('ball-info');
+    this.viewButtons = document.querySelectorAll('#camera-control button');
+    this.shapeSelect = document.getElementById('shape-select');
     this.volumeSlider = document.getElementById('volume-slider');
     this.volumeValue = document.getElementById('volume-value');
+    this.maxBallsSlider = document.getElementById('max-balls-slider');
+    this.maxBallsValue = document.getElementById('max-balls-value');
+    this.instrumentSelect = document.getElementById('instrument-select');
+    this.weatherTimbreToggle = document.getElementById('weather-timbre-toggle');
+    this.spatialToggle = document.getElementById('spatial-toggle');
+    
+    // Tempo controls
+    this.tempoSource = document.getElementById('tempo-source');
+    this.tempoBpm = document.getElementById('tempo-bpm');
+    this.quantizeSelect = document.getElementById('quantize-select');
+    this.swingSlider = document.getElementById('swing-slider');
+    this.swingValue = document.getElementById('swing-value');
+    this.droneToggle = document.getElementById('drone-toggle');
+    
+    // Voicing controls
+    this.polyphonyInput = document.getElementById('polyphony-input');
+    this.stealSelect = document.getElementById('steal-select');
+    this.retriggerSelect = document.getElementById('retrigger-select');
+    this.limiterSlider = document.getElementById('limiter-slider');
+    this.limiterValue = document.getElementById('limiter-value');
+    
+    // Scale controls
+    this.scaleSelect = document.getElementById('scale-select');
+    this.rootKeySelect = document.getElementById('root-key-select');
+    this.tuningFile = document.getElementById('tuning-file');
+    this.tuningResetBtn = document.getElementById('tuning-reset-btn');
+    this.tuningName = document.getElementById('tuning-name');
+    
+    // Export controls
+    this.exportDuration = document.getElementById('export-duration');
+    this.exportBtn = document.getElementById('export-btn');
+    this.recordBtn = document.getElementById('record-btn');
+    
+    // MIDI controls
+    this.midiOutputSelect = document.getElementById('midi-output-select');
+    this.midiConnectBtn = document.getElementById('midi-connect-btn');
+    this.midiExportBtn = document.getElementById('midi-export-btn');
+    
+    // Time-lapse controls
+    this.timelineRange = document.getElementById('timeline-range');
+    this.timelapseBtn = document.getElementById('timelapse-btn');
+    this.timelapseStatus = document.getElementById('timelapse-status');
+    
+    // Auto-refresh controls
+    this.refreshSelect = document.getElementById('refresh-select');
+    this.refreshStatus = document.getElementById('refresh-status');
+    this.unitsSelect = document.getElementById('units-select');
+    this.weatherChanges = document.getElementById('weather-changes');
+    this.refreshTimer = null;
+    this.weatherChangesTimer = null;
+    this.refreshing = false;
+    
+    // Live pit controls
+    this.liveHostBtn = document.getElementById('live-host-btn');
+    this.liveWatchBtn = document.getElementById('live-watch-btn');
+    this.liveStatus = document.getElementById('live-status');
     
     // ADSR controls
     this.attackSlider = document.getElementById('attack-slider');
@@ -30,6 +162,49 @@ class App {
     this.releaseSlider = document.getElementById('release-slider');
     this.releaseValue = document.getElementById('release-value');
     
+    // Effects controls
+    this.reverbSlider = document.getElementById('reverb-slider');
+    this.reverbValue = document.getElementById('reverb-value');
+    this.delaySlider = document.getElementById('delay-slider');
+    this.delayValue = document.getElementById('delay-value');
+    this.feedbackSlider = document.getElementById('feedback-slider');
+    this.feedbackValue = document.getElementById('feedback-value');
+    this.delayDivision = document.getElementById('delay-division');
+    this.chorusSlider = document.getElementById('chorus-slider');
+    this.chorusValue = document.getElementById('chorus-value');
+    this.tiltSlider = document.getElementById('tilt-slider');
+    this.tiltValue = document.getElementById('tilt-value');
+    this.weatherEffectsToggle = document.getElementById('weather-effects-toggle');
+    
+    // Mapping controls
+    this.mappingPresetSelect = document.getElementById('mapping-preset-select');
+    this.mappingNameInput = document.getElementById('mapping-name-input');
+    this.mappingVisibilitySelect = document.getElementById('mapping-visibility-select');
+    this.saveMappingBtn = document.getElementById('save-mapping-btn');
+    this.deleteMappingBtn = document.getElementById('delete-mapping-btn');
+    this.addRuleBtn = document.getElementById('add-rule-btn');
+    this.mappingRules = document.getElementById('mapping-rules');
+    this.mappingPreview = document.getElementById('mapping-preview');
+    this.mappingPublishTimer = null;
+    
+    // Account
+    this.authToken = localStorage.getItem('weatherPitToken');
+    this.currentUser = null;
+    this.authPanel = document.getElementById('auth-panel');
+    this.accountPanel = document.getElementById('account-panel');
+    this.accountName = document.getElementById('account-name');
+    this.usernameInput = document.getElementById('username-input');
+    this.passwordInput = document.getElementById('password-input');
+    this.signInBtn = document.getElementById('sign-in-btn');
+    this.registerBtn = document.getElementById('register-btn');
+    this.signOutBtn = document.getElementById('sign-out-btn');
+    
+    // Saved pits
+    this.pitNameInput = document.getElementById('pit-name-input');
+    this.visibilitySelect = document.getElementById('visibility-select');
+    this.savePitBtn = document.getElementById('save-pit-btn');
+    this.savedPitsList = document.getElementById('saved-pits-list');
+    
     this.init();
   }
   
@@ -38,7 +213,92 @@ class App {
     this.fetchWeatherBtn.addEventListener('click', () => this.fetchWeather());
     this.startBtn.addEventListener('click', () => this.startPit());
     this.stopBtn.addEventListener('click', () => this.stopPit());
+    this.shareBtn.addEventListener('click', () => this.sharePit());
+    this.addLocationBtn.addEventListener('click', () => this.addComparison());
+    this.exportBtn.addEventListener('click', () => this.exportWav());
+    this.recordBtn.addEventListener('click', () => this.toggleRecording());
+    this.midiConnectBtn.addEventListener('click', () => this.connectMidi());
+    this.midiOutputSelect.addEventListener('change', () => this.midiOutput.setOutput(this.midiOutputSelect.value || null));
+    this.midiExportBtn.addEventListener('click', () => this.exportMidi());
+    this.timelapseBtn.addEventListener('click', () => this.playTimelapse());
+    this.refreshSelect.addEventListener('change', () => this.scheduleRefresh());
+    this.unitsSelect.addEventListener('change', () => this.updateUnits());
+    this.liveHostBtn.addEventListener('click', () => (this.isLive('host') ? this.stopLive() : this.startLive()));
+    this.liveWatchBtn.addEventListener('click', () => (this.isLive('viewer') ? this.stopWatching() : this.watchLive()));
+    this.viewButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.weatherPit) this.weatherPit.setView(button.dataset.view);
+      });
+    });
     this.volumeSlider.addEventListener('input', (e) => this.updateVolume(e));
+    this.maxBallsSlider.addEventListener('input', () => this.updateMaxBalls());
+    this.maxBallsSlider.addEventListener('change', () => {
+      this.publishLive('maxBalls', { maxBalls: Number(this.maxBallsSlider.value) });
+    });
+    this.instrumentSelect.addEventListener('change', () => this.updateInstrument());
+    this.weatherTimbreToggle.addEventListener('change', () => this.updateInstrument());
+    this.spatialToggle.addEventListener('change', () => this.updateInstrument());
+    
+    // Tempo event listeners
+    this.tempoSource.addEventListener('change', () => this.updateTempo());
+    this.tempoBpm.addEventListener('change', () => this.updateTempo());
+    this.quantizeSelect.addEventListener('change', () => this.updateTempo());
+    this.swingSlider.addEventListener('input', () => this.updateTempo());
+    this.droneToggle.addEventListener('change', () => this.updateTempo());
+    
+    // Voicing event listeners
+    this.polyphonyInput.addEventListener('change', () => this.updateVoicing());
+    this.stealSelect.addEventListener('change', () => this.updateVoicing());
+    this.retriggerSelect.addEventListener('change', () => this.updateVoicing());
+    this.limiterSlider.addEventListener('input', () => this.updateVoicing());
+    
+    // Scale and key choices
+    this.scaleSelect.addEventListener('change', () => this.updateScale());
+    this.rootKeySelect.addEventListener('change', () => this.updateScale());
+    this.tuningFile.addEventListener('change', () => this.loadTuning());
+    this.tuningResetBtn.addEventListener('click', () => this.resetTuning());
+    Object.entries(SCALES).forEach(([name, { label }]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      this.scaleSelect.appendChild(option);
+    });
+    ROOT_KEYS.forEach((key, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = key;
+      this.rootKeySelect.appendChild(option);
+    });
+    
+    // Pit shape choices
+    this.shapeSelect.addEventListener('change', () => {
+      if (this.weatherPit) this.weatherPit.setShape(this.shapeSelect.value || null);
+      this.publishLive('shape', { shape: this.shapeSelect.value || null });
+    });
+    Object.entries(PIT_SHAPES).forEach(([name, { label }]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      this.shapeSelect.appendChild(option);
+    });
+    
+    // Instrument choices
+    Object.entries(INSTRUMENTS).forEach(([name, { label }]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      this.instrumentSelect.appendChild(option);
+    });
+    
+    // Display units: last choice, or what the browser's locale reads the weather in
+    Object.entries(UNIT_SYSTEMS).forEach(([name, { label }]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      this.unitsSelect.appendChild(option);
+    });
+    const savedUnits = localStorage.getItem('weatherPitUnits');
+    this.unitsSelect.value = UNIT_SYSTEMS[savedUnits] ? savedUnits : unitSystemForLocale(navigator.language);
     
     // ADSR event listeners
     this.attackSlider.addEventListener('input', (e) => this.updateADSR(e));
@@ -46,16 +306,125 @@ class App {
     this.sustainSlider.addEventListener('input', (e) => this.updateADSR(e));
     this.releaseSlider.addEventListener('input', (e) => this.updateADSR(e));
     
-    // Allow Enter key in location input
+    // Effects event listeners
+    [this.reverbSlider, this.delaySlider, this.feedbackSlider, this.chorusSlider, this.tiltSlider]
+      .forEach(slider => slider.addEventListener('input', () => this.updateEffects()));
+    this.delayDivision.addEventListener('change', () => this.updateEffects());
+    this.weatherEffectsToggle.addEventListener('change', () => this.updateEffects());
+    
+    // Mapping editor; each valid edit is heard straight away
+    this.mappingEditor = new MappingEditor(this.mappingRules, this.mappingPreview, {
+      onChange: (mapping) => this.applyMapping(mapping)
+    });
+    this.mappingEditor.setMapping(this.mapping);
+    this.mappingNameInput.value = this.mapping.name;
+    this.mappingPresetSelect.addEventListener('change', () => this.selectMappingPreset());
+    this.mappingNameInput.addEventListener('input', () => {
+      this.mappingEditor.setName(this.mappingNameInput.value.trim() || 'Untitled');
+    });
+    this.addRuleBtn.addEventListener('click', () => this.mappingEditor.addRule());
+    this.saveMappingBtn.addEventListener('click', () => this.saveMapping());
+    this.deleteMappingBtn.addEventListener('click', () => this.deleteMapping());
+    this.renderMappingPresets();
+    this.mappingPresetSelect.value = 'builtin:classic';
+    
+    // Account
+    this.signInBtn.addEventListener('click', () => this.signIn('login'));
+    this.registerBtn.addEventListener('click', () => this.signIn('register'));
+    this.signOutBtn.addEventListener('click', () => this.signOut());
+    this.passwordInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.signIn('login');
+      }
+    });
+    
+    // Saved pits
+    this.savePitBtn.addEventListener('click', () => this.savePit());
+    this.restoreSession().then(() => this.loadFromUrl());
+    
+    // Place suggestions; picking one fetches it straight away
+    this.locationSearch = new PlaceAutocomplete(this.locationInput, { onPick: () => this.fetchWeather() });
+    this.compareSearch = new PlaceAutocomplete(this.compareInput, {
+      onPick: () => {
+        if (!this.addLocationBtn.disabled) this.addComparison();
+      }
+    });
+    this.myLocationBtn.addEventListener('click', () => this.useMyLocation());
+    
+    // Allow Enter key in location inputs
     this.locationInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
         this.fetchWeather();
       }
     });
+    this.compareInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.addComparison();
+      }
+    });
+  }
+  
+  /**
+   * What to fetch for a location input: a picked place's coordinates, or the text as typed
+   * @returns {Object} { location, place } where place is the picked place, if any
+   */
+  readLocationInput(input, search) {
+    const place = search.getPlace();
+    if (place) {
+      return { location: formatCoordinates(place.lat, place.lon), place };
+    }
+    return { location: input.value.trim(), place: null };
+  }
+  
+  /**
+   * Fetch current weather, named after the place picked for it (if any)
+   * Providers name coordinates inconsistently, so the picked place's name is kept.
+   */
+  async requestWeather(location, place = null) {
+    const response = await fetch(`/api/weather?${locationQuery(location)}`);
+    
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(error || 'Failed to fetch weather data');
+    }
+    
+    const weatherData = await response.json();
+    if (place) {
+      weatherData.location = place.name;
+      weatherData.country = place.country;
+    }
+    return weatherData;
+  }
+  
+  useMyLocation() {
+    if (!navigator.geolocation) {
+      this.showStatus('This browser cannot share its location', 'error');
+      return;
+    }
+    
+    this.myLocationBtn.disabled = true;
+    this.showStatus('Finding your location...', 'success');
+    
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        this.myLocationBtn.disabled = false;
+        this.locationSearch.setPlace(null);
+        this.locationInput.value = formatCoordinates(coords.latitude, coords.longitude);
+        this.fetchWeather();
+      },
+      (error) => {
+        this.myLocationBtn.disabled = false;
+        const reason = error.code === error.PERMISSION_DENIED
+          ? 'location access was denied'
+          : 'your location could not be found';
+        this.showStatus(`Error: ${reason}. Type a city instead.`, 'error');
+      },
+      { timeout: 10000, maximumAge: 600000 }
+    );
   }
   
   async fetchWeather() {
-    const location = this.locationInput.value.trim();
+    const { location, place } = this.readLocationInput(this.locationInput, this.locationSearch);
     
     if (!location) {
       this.showStatus('Please enter a location', 'error');
@@ -68,27 +437,12 @@ class App {
     
     try {
       // Call our backend API
-      const response = await fetch(`/api/weather?location=${encodeURIComponent(location)}`);
+      const weatherData = await this.requestWeather(location, place);
+      this.currentPit = null;
+      this.applyPitState({ location, place, weatherData, seed: randomSeed() });
       
-      if (!response.ok) {
-        throw new Error('Failed to fetch weather data');
-      }
-      
-      const weatherData = await response.json();
-      this.currentWeatherData = weatherData;
-      
-      // Display weather info
-      this.displayWeatherInfo(weatherData);
       this.showStatus(`Weather data loaded for ${weatherData.location}!`, 'success');
       
-      // Enable start button
-      this.startBtn.disabled = false;
-      
-      // If pit is already running, update it
-      if (this.weatherPit && this.weatherPit.isRunning) {
-        this.weatherPit.updateWeather(weatherData);
-      }
-      
     } catch (error) {
       console.error('Error fetching weather:', error);
       
@@ -105,37 +459,281 @@ class App {
     }
   }
   
+  async addComparison() {
+    const { location, place } = this.readLocationInput(this.compareInput, this.compareSearch);
+    
+    if (!location) {
+      this.showStatus('Please enter a city to compare with', 'error');
+      return;
+    }
+    
+    if (this.comparisons.length >= MAX_LOCATIONS - 1) {
+      this.showStatus(`A pit can compare at most ${MAX_LOCATIONS} cities`, 'error');
+      return;
+    }
+    
+    this.showLoading(true);
+    this.addLocationBtn.disabled = true;
+    
+    try {
+      const weatherData = await this.requestWeather(location, place);
+      this.comparisons.push({ location, weatherData });
+      if (this.weatherPit) {
+        this.weatherPit.addLocation(weatherData);
+      }
+      this.publishLive('addCity', { weatherData });
+      
+      this.compareInput.value = '';
+      this.compareSearch.setPlace(null);
+      this.displayWeatherInfo(this.currentWeatherData);
+      this.showStatus(`Added ${weatherData.location} to the pit`, 'success');
+    } catch (error) {
+      console.error('Error adding city:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.showLoading(false);
+      this.addLocationBtn.disabled = false;
+    }
+  }
+  
+  removeComparison(index) {
+    const [removed] = this.comparisons.splice(index, 1);
+    
+    // Pit locations are kept in the same order: the primary city, then comparisons
+    if (this.weatherPit) {
+      this.weatherPit.removeLocation(this.weatherPit.locations[index + 1].id);
+    }
+    this.publishLive('removeCity', { index: index + 1 });
+    
+    this.displayWeatherInfo(this.currentWeatherData);
+    this.showStatus(`Removed ${removed.weatherData.location} from the pit`, 'success');
+  }
+  
+  resetPitLocations(seed) {
+    // Reset the pit to the primary city, then give each comparison its own population
+    this.weatherPit.updateWeather(this.currentWeatherData, seed);
+    this.comparisons.forEach(({ weatherData }) => this.weatherPit.addLocation(weatherData));
+  }
+  
+  async playTimelapse() {
+    const { location, place } = this.readLocationInput(this.locationInput, this.locationSearch);
+    const range = this.timelineRange.value;
+    
+    if (!location) {
+      this.showStatus('Please enter a location', 'error');
+      return;
+    }
+    
+    this.showLoading(true);
+    this.showStatus(`Fetching ${range} timeline...`, 'success');
+    this.timelapseBtn.disabled = true;
+    
+    try {
+      const response = await fetch(`/api/weather/timeline?${locationQuery(location)}&range=${range}`);
+      
+      if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new Error(error || 'Failed to fetch weather timeline');
+      }
+      
+      const frames = await response.json();
+      if (frames.length === 0) {
+        throw new Error('No timeline data available for this location');
+      }
+      if (place) {
+        frames.forEach(frame => Object.assign(frame, { location: place.name, country: place.country }));
+      }
+      
+      // Time-lapse runs on top of a live pit
+      if (!this.weatherPit || !this.weatherPit.isRunning) {
+        this.currentWeatherData = frames[0];
+        this.startPit();
+      }
+      
+      this.weatherPit.onTimelapseStep = (frame, index, total) => {
+        this.displayWeatherInfo(frame);
+        this.updateEffects();
+        this.updateTempo();
+        const time = new Date(frame.timestamp).toLocaleString();
+        this.timelapseStatus.textContent = index === total - 1
+          ? `Finished at ${time}`
+          : `${time} (${index + 1}/${total})`;
+      };
+      this.weatherPit.startTimelapse(frames);
+      // Playback is stepped by the simulation clock, so viewers replay it exactly from the frames
+      this.publishLive('timelapse', { frames });
+      
+      this.showStatus(`Playing ${frames.length}-step ${range} time-lapse`, 'success');
+    } catch (error) {
+      console.error('Error fetching timeline:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.showLoading(false);
+      this.timelapseBtn.disabled = false;
+    }
+  }
+  
+  scheduleRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    
+    const interval = Number(this.refreshSelect.value);
+    if (interval > 0) {
+      this.refreshTimer = setInterval(() => this.refreshWeather(), interval * 60 * 1000);
+      this.refreshStatus.textContent = `Checking every ${interval} min`;
+    } else {
+      this.refreshStatus.textContent = '';
+    }
+  }
+  
+  async refreshWeather() {
+    // Only a running pit follows the weather; time-lapses keep their own timeline,
+    // and live viewers get the host's
+    if (this.refreshing || !this.weatherPit || !this.weatherPit.isRunning || this.weatherPit.timelapse) return;
+    if (this.isLive('viewer')) return;
+    
+    this.refreshing = true;
+    const cities = [
+      { location: this.currentLocation, weatherData: this.currentWeatherData },
+      ...this.comparisons
+    ];
+    
+    try {
+      // Cities keep their names: a picked place's name isn't in its query
+      const latest = await Promise.all(cities.map(async ({ location, weatherData }) => {
+        const response = await fetch(`/api/weather?${locationQuery(location)}`);
+        if (!response.ok) {
+          throw new Error(`Failed to refresh weather for ${weatherData.location}`);
+        }
+        return { ...(await response.json()), location: weatherData.location, country: weatherData.country };
+      }));
+      
+      // The pit may have been reset to other cities while the requests were out
+      if (cities[0].weatherData !== this.currentWeatherData || cities.length !== this.comparisons.length + 1) return;
+      
+      const changes = cities.map(({ weatherData }, index) => ({
+        location: latest[index].location,
+        changes: describeWeatherChanges(weatherData, latest[index], this.unitsSelect.value)
+      }));
+      
+      this.currentWeatherData = latest[0];
+      this.comparisons.forEach((comparison, index) => {
+        comparison.weatherData = latest[index + 1];
+      });
+      this.weatherPit.morphWeather(latest);
+      this.publishLive('weather', { weatherData: latest });
+      this.displayWeatherInfo(this.currentWeatherData);
+      this.showWeatherChanges(changes);
+      
+      this.refreshStatus.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+    } catch (error) {
+      console.error('Error refreshing weather:', error);
+      this.refreshStatus.textContent = `Refresh failed at ${new Date().toLocaleTimeString()}`;
+    } finally {
+      this.refreshing = false;
+    }
+  }
+  
+  showWeatherChanges(cities) {
+    const changed = cities.filter(city => city.changes.length > 0);
+    const arrows = { up: '▲', down: '▼' };
+    
+    this.weatherChanges.innerHTML = '';
+    this.weatherChanges.appendChild(
+      createTextElement('h4', changed.length === 0 ? 'Weather refreshed: no change' : 'Weather changed')
+    );
+    changed.forEach(({ location, changes }) => {
+      const city = document.createElement('div');
+      city.appendChild(createTextElement('strong', location));
+      changes.forEach(change => {
+        const arrow = change.direction ? arrows[change.direction] : '•';
+        city.appendChild(createTextElement('div', `${arrow} ${change.label}: ${change.from} → ${change.to}`));
+      });
+      this.weatherChanges.appendChild(city);
+    });
+    this.weatherChanges.classList.remove('hidden');
+    
+    clearTimeout(this.weatherChangesTimer);
+    this.weatherChangesTimer = setTimeout(() => this.weatherChanges.classList.add('hidden'), 15000);
+  }
+  
+  updateUnits() {
+    // Display only: the pit always runs on canonical units
+    localStorage.setItem('weatherPitUnits', this.unitsSelect.value);
+    if (this.currentWeatherData) {
+      this.displayWeatherInfo((this.weatherPit && this.weatherPit.weatherData) || this.currentWeatherData);
+    }
+  }
+  
   displayWeatherInfo(data) {
-    this.weatherInfo.innerHTML = `
-      <div class="weather-stat">
-        <strong>Location:</strong> ${data.location}, ${data.country}
-      </div>
-      <div class="weather-stat">
-        <strong>Condition:</strong> ${data.description}
-      </div>
-      <div class="weather-stat">
-        <strong>Temperature:</strong> ${data.temp.toFixed(1)}°F
-      </div>
-      <div class="weather-stat">
-        <strong>Humidity:</strong> ${data.humidity}%
-      </div>
-      <div class="weather-stat">
-        <strong>Wind:</strong> ${data.windSpeed.toFixed(1)} mph
-      </div>
-      <div class="weather-stat">
-        <strong>Pressure:</strong> ${data.pressure} hPa
-      </div>
-      <div class="weather-stat">
-        <strong>Precipitation:</strong> ${data.precipitation.toFixed(2)} in
-      </div>
-      <div class="weather-stat">
-        <strong>Cloud Cover:</strong> ${data.cloudCover}%
-      </div>
-      <div class="weather-stat">
-        <strong>Scale:</strong> ${data.isMajorScale ? 'Major (Bright)' : 'Minor (Moody)'}
-      </div>
-    `;
+    // One card per city, side by side; `data` is the primary city (or its time-lapse frame)
+    const cities = [data, ...this.comparisons.map(comparison => comparison.weatherData)];
+    this.weatherInfo.innerHTML = '';
+    
+    cities.forEach((cityData, index) => {
+      const card = this.renderWeatherCard(cityData, index);
+      
+      if (index > 0) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.className = 'stop';
+        removeBtn.addEventListener('click', () => this.removeComparison(index - 1));
+        card.querySelector('h4').appendChild(removeBtn);
+      }
+      
+      this.weatherInfo.appendChild(card);
+    });
+    
     this.weatherInfo.classList.remove('hidden');
+    this.mappingEditor.setWeather(data);
+  }
+  
+  renderWeatherCard(data, index) {
+    // Cities keep their pit voice even after others are removed
+    const pitLocation = this.weatherPit && this.weatherPit.locations[index];
+    const voice = AudioEngine.VOICES[pitLocation ? pitLocation.voice : index];
+    
+    const reading = field => formatReading(field, data[field], this.unitsSelect.value);
+    
+    const card = document.createElement('div');
+    card.className = 'weather-card';
+    
+    const heading = document.createElement('h4');
+    heading.appendChild(createTextElement('span', `${data.location}, ${data.country}`));
+    card.appendChild(heading);
+    
+    [
+      ['Condition', data.description],
+      ['Temperature', reading('temp')],
+      ['Humidity', reading('humidity')],
+      ['Wind', reading('windSpeed')],
+      ['Pressure', reading('pressure')],
+      ['Precipitation', reading('precipitation')],
+      ['Cloud Cover', reading('cloudCover')],
+      ['Mode', SCALES[resolveMode(data)].label],
+      ['Voice', voice.name]
+    ].forEach(([label, value]) => card.appendChild(createStat(label, value, 'weather-stat')));
+    return card;
+  }
+  
+  showBallInfo(info) {
+    if (!info) {
+      this.ballInfo.classList.add('hidden');
+      return;
+    }
+    
+    const { midiNote, velocity } = info;
+    const noteName = `${ROOT_KEYS[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+    this.ballInfo.innerHTML = '';
+    this.ballInfo.append(
+      createTextElement('h4', info.location),
+      createStat('Note', `${noteName} (${SCALES[info.mode].label})`),
+      createStat('Mass', info.mass.toFixed(2)),
+      createStat('Life', `${Math.round(info.life * 100)}%`),
+      createStat('Speed', info.speed.toFixed(1)),
+      createStat('Velocity', `${velocity.x.toFixed(1)}, ${velocity.y.toFixed(1)}, ${velocity.z.toFixed(1)}`)
+    );
+    this.ballInfo.classList.remove('hidden');
   }
   
   startPit() {
@@ -146,31 +744,57 @@ class App {
     
     // Create or restart pit
     if (!this.weatherPit) {
-      this.weatherPit = new WeatherPit(this.pitContainer, this.currentWeatherData);
+      this.weatherPit = new WeatherPit(this.pitContainer, this.currentWeatherData, {
+        seed: this.currentSeed,
+        maxBalls: Number(this.maxBallsSlider.value),
+        shape: this.shapeSelect.value || null,
+        mapping: this.mapping
+      });
+      this.comparisons.forEach(({ weatherData }) => this.weatherPit.addLocation(weatherData));
+      this.weatherPit.noteBus.on(note => this.midiOutput.send(note));
+      this.weatherPit.onBallInfo = (info) => this.showBallInfo(info);
+      this.weatherPit.onMorphComplete = () => {
+        this.updateEffects();
+        this.updateTempo();
+      };
     }
     
     this.weatherPit.start();
     
-    // Initialize ADSR values from current slider positions
+    // Initialize volume, ADSR and instrument from the current controls
     if (this.weatherPit.audioEngine) {
+      this.updateVolume({ target: this.volumeSlider });
       this.updateADSR({ target: this.attackSlider });
+      this.updateInstrument();
+      this.updateEffects();
+      this.updateScale();
+      this.updateVoicing();
+      this.updateTempo();
     }
     
     // Update button states
     this.startBtn.disabled = true;
     this.stopBtn.disabled = false;
+    this.recordBtn.disabled = false;
     
     this.showStatus('Weather Pit is running! Listen to the weather...', 'success');
   }
   
   stopPit() {
+    if (this.isLive('host')) {
+      this.stopLive();
+    }
+    
     if (this.weatherPit) {
+      this.finishRecording();
       this.weatherPit.stop();
+      this.midiOutput.allNotesOff();
     }
     
     // Update button states
     this.startBtn.disabled = false;
     this.stopBtn.disabled = true;
+    this.recordBtn.disabled = true;
     
     this.showStatus('Weather Pit stopped', 'success');
   }
@@ -184,11 +808,122 @@ class App {
     }
   }
   
+  updateMaxBalls() {
+    const maxBalls = Number(this.maxBallsSlider.value);
+    this.maxBallsValue.textContent = maxBalls;
+    
+    if (this.weatherPit) {
+      this.weatherPit.setMaxBalls(maxBalls);
+    }
+  }
+  
+  updateTempo() {
+    // The mapping sets the tempo when the weather drives it
+    const weatherData = this.weatherPit ? this.weatherPit.weatherData : this.currentWeatherData;
+    const followWeather = this.tempoSource.value === 'weather';
+    this.tempoBpm.disabled = followWeather;
+    if (followWeather && weatherData) {
+      this.tempoBpm.value = tempoFromWeather(weatherData, this.mapper);
+    }
+    
+    this.swingValue.textContent = `${this.swingSlider.value}%`;
+    
+    if (this.weatherPit && this.weatherPit.audioEngine) {
+      this.weatherPit.audioEngine.setTempo(this.getTempoFromControls());
+      this.weatherPit.audioEngine.setDrone(this.droneToggle.checked);
+    }
+  }
+  
+  getTempoFromControls() {
+    return {
+      bpm: Math.min(240, Math.max(40, Number(this.tempoBpm.value) || 100)),
+      grid: this.quantizeSelect.value || null,
+      swing: this.swingSlider.value / 100
+    };
+  }
+  
+  updateVoicing() {
+    const limiterThreshold = Number(this.limiterSlider.value);
+    this.limiterValue.textContent = `${limiterThreshold} dB`;
+    
+    if (this.weatherPit && this.weatherPit.audioEngine) {
+      this.weatherPit.audioEngine.setVoicing(this.getVoicingFromControls());
+      this.weatherPit.audioEngine.setLimiterThreshold(limiterThreshold);
+    }
+  }
+  
+  getVoicingFromControls() {
+    return {
+      maxPolyphony: Math.min(128, Math.max(1, Number(this.polyphonyInput.value) || 24)),
+      stealPolicy: this.stealSelect.value,
+      retrigger: this.retriggerSelect.value
+    };
+  }
+  
+  updateScale() {
+    if (this.weatherPit && this.weatherPit.audioEngine) {
+      this.weatherPit.audioEngine.setScale(this.scaleSelect.value || null);
+      this.weatherPit.audioEngine.setRootKey(Number(this.rootKeySelect.value));
+      this.weatherPit.audioEngine.setTuning(this.tuning);
+    }
+  }
+  
+  async loadTuning() {
+    const [file] = this.tuningFile.files;
+    if (!file) return;
+    
+    try {
+      this.tuning = parseScala(await file.text());
+      this.tuningName.textContent = this.tuning.description || file.name;
+      this.tuningResetBtn.disabled = false;
+      this.updateScale();
+      this.showStatus(`Loaded ${this.tuning.cents.length}-note tuning from ${file.name}`, 'success');
+    } catch (error) {
+      console.error('Error loading tuning:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.tuningFile.value = '';
+    }
+  }
+  
+  resetTuning() {
+    this.tuning = null;
+    this.tuningName.textContent = '12-TET';
+    this.tuningResetBtn.disabled = true;
+    this.updateScale();
+  }
+  
+  updateInstrument() {
+    if (this.weatherPit && this.weatherPit.audioEngine) {
+      this.weatherPit.audioEngine.setInstrument(this.instrumentSelect.value);
+      this.weatherPit.audioEngine.setWeatherTimbre(this.weatherTimbreToggle.checked);
+      this.weatherPit.audioEngine.setSpatial(this.spatialToggle.checked);
+    }
+  }
+  
   updateADSR(event) {
     if (!this.weatherPit || !this.weatherPit.audioEngine) {
       return;
     }
     
+    const { attack, decay, sustain, release } = this.getADSRFromSliders();
+    
+    // Update display values
+    this.attackValue.textContent = `${attack.toFixed(2)}s`;
+    this.decayValue.textContent = `${decay.toFixed(2)}s`;
+    this.sustainValue.textContent = `${Math.round(sustain * 100)}%`;
+    this.releaseValue.textContent = `${release.toFixed(2)}s`;
+    
+    // Update audio engine
+    this.weatherPit.audioEngine.setADSR({
+      attack,
+      decay,
+      sustain,
+      release
+    });
+  }
+  
+  getADSRFromSliders() {
     // Calculate ADSR values from slider positions
     // Attack: 0-100 -> 0.0-1.0 seconds (in 0.01s increments)
     const attack = this.attackSlider.value / 100;
@@ -202,19 +937,1020 @@ class App {
     // Release: 0-300 -> 0.0-3.0 seconds (in 0.05s increments)
     const release = this.releaseSlider.value / 100;
     
-    // Update display values
+    return { attack, decay, sustain, release };
+  }
+  
+  setADSRSliders({ attack, decay, sustain, release }) {
+    this.attackSlider.value = Math.round(attack * 100);
+    this.decaySlider.value = Math.round(decay * 100);
+    this.sustainSlider.value = Math.round(sustain * 100);
+    this.releaseSlider.value = Math.round(release * 100);
+    
+    // Refresh labels even when no pit is running yet
     this.attackValue.textContent = `${attack.toFixed(2)}s`;
     this.decayValue.textContent = `${decay.toFixed(2)}s`;
     this.sustainValue.textContent = `${Math.round(sustain * 100)}%`;
     this.releaseValue.textContent = `${release.toFixed(2)}s`;
-    
-    // Update audio engine
-    this.weatherPit.audioEngine.setADSR({
-      attack,
-      decay,
-      sustain,
-      release
+    this.updateADSR({ target: this.attackSlider });
+  }
+  
+  updateEffects() {
+    // Following the weather overrides the reverb, feedback and tilt sliders
+    const followWeather = this.weatherEffectsToggle.checked;
+    const weatherData = this.weatherPit ? this.weatherPit.weatherData : this.currentWeatherData;
+    [this.reverbSlider, this.feedbackSlider, this.tiltSlider].forEach(slider => {
+      slider.disabled = followWeather;
     });
+    
+    if (followWeather && weatherData) {
+      const { reverb, feedback, tilt } = effectsFromWeather(weatherData, this.mapper);
+      this.reverbSlider.value = Math.round(reverb * 100);
+      this.feedbackSlider.value = Math.round(feedback * 100);
+      this.tiltSlider.value = Math.round(tilt * 2) / 2;
+    }
+    
+    const effects = this.getEffectsFromControls();
+    
+    // Update display values
+    this.reverbValue.textContent = `${Math.round(effects.reverb * 100)}%`;
+    this.delayValue.textContent = `${Math.round(effects.delay * 100)}%`;
+    this.feedbackValue.textContent = `${Math.round(effects.feedback * 100)}%`;
+    this.chorusValue.textContent = `${Math.round(effects.chorus * 100)}%`;
+    this.tiltValue.textContent = `${effects.tilt > 0 ? '+' : ''}${effects.tilt} dB`;
+    
+    if (this.weatherPit && this.weatherPit.audioEngine) {
+      this.weatherPit.audioEngine.setEffects(effects);
+    }
+  }
+  
+  getEffectsFromControls() {
+    // Percent sliders -> 0.0-1.0; tilt is already in dB
+    return {
+      reverb: this.reverbSlider.value / 100,
+      delay: this.delaySlider.value / 100,
+      feedback: this.feedbackSlider.value / 100,
+      division: this.delayDivision.value,
+      chorus: this.chorusSlider.value / 100,
+      tilt: Number(this.tiltSlider.value)
+    };
+  }
+  
+  apiFetch(url, options = {}) {
+    // fetch() with the auth token attached when signed in
+    const headers = { ...options.headers };
+    if (this.authToken) {
+      headers.Authorization = `Bearer ${this.authToken}`;
+    }
+    return fetch(url, { ...options, headers });
+  }
+  
+  async restoreSession() {
+    if (this.authToken) {
+      try {
+        const response = await this.apiFetch('/api/auth/me');
+        if (response.ok) {
+          this.currentUser = await response.json();
+        } else if (response.status === 401) {
+          // Expired or revoked token
+          this.authToken = null;
+          localStorage.removeItem('weatherPitToken');
+        }
+      } catch (error) {
+        console.warn('Could not restore session:', error.message);
+      }
+    }
+    
+    this.renderAccount();
+    this.loadSavedPits();
+    this.loadMappingPresets();
+  }
+  
+  async signIn(mode) {
+    const username = this.usernameInput.value.trim();
+    const password = this.passwordInput.value;
+    
+    if (!username || !password) {
+      this.showStatus('Please enter a username and password', 'error');
+      return;
+    }
+    
+    this.signInBtn.disabled = true;
+    this.registerBtn.disabled = true;
+    
+    try {
+      const response = await fetch(`/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.details ? result.details.join(', ') : result.error);
+      }
+      
+      this.authToken = result.token;
+      this.currentUser = result.user;
+      localStorage.setItem('weatherPitToken', result.token);
+      this.passwordInput.value = '';
+      
+      this.renderAccount();
+      this.loadSavedPits();
+      this.loadMappingPresets();
+      this.showStatus(`Signed in as ${result.user.username}`, 'success');
+    } catch (error) {
+      console.error('Error signing in:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.signInBtn.disabled = false;
+      this.registerBtn.disabled = false;
+    }
+  }
+  
+  signOut() {
+    this.authToken = null;
+    this.currentUser = null;
+    localStorage.removeItem('weatherPitToken');
+    
+    this.renderAccount();
+    this.loadSavedPits();
+    this.loadMappingPresets();
+    this.showStatus('Signed out', 'success');
+  }
+  
+  renderAccount() {
+    const signedIn = Boolean(this.currentUser);
+    this.authPanel.classList.toggle('hidden', signedIn);
+    this.accountPanel.classList.toggle('hidden', !signedIn);
+    this.accountName.textContent = signedIn ? `Signed in as ${this.currentUser.username}` : '';
+    this.updateLiveButtons();
+  }
+  
+  async savePit() {
+    if (!this.currentWeatherData) {
+      this.showStatus('Please fetch weather data first', 'error');
+      return;
+    }
+    
+    if (!this.currentUser) {
+      this.showStatus('Please sign in to save pits', 'error');
+      return;
+    }
+    
+    const pitname = this.pitNameInput.value.trim() || `${this.currentWeatherData.location} pit`;
+    this.savePitBtn.disabled = true;
+    
+    try {
+      const response = await this.apiFetch('/api/pits', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          pitname,
+          location: this.currentLocation || this.currentWeatherData.location,
+          weatherData: [this.currentWeatherData, ...this.comparisons.map(comparison => comparison.weatherData)],
+          adsr: this.getADSRFromSliders(),
+          volume: this.volumeSlider.value / 100,
+          visibility: this.visibilitySelect.value,
+          seed: this.currentSeed,
+          maxBalls: Number(this.maxBallsSlider.value),
+          shape: this.shapeSelect.value || null,
+          mapping: this.mapping,
+          sound: this.getSoundSettings()
+        })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.details ? result.details.join(', ') : result.error);
+      }
+      
+      this.currentPit = result;
+      this.updateLiveButtons();
+      this.pitNameInput.value = '';
+      this.showStatus(`Saved "${result.pitname}"`, 'success');
+      this.loadSavedPits();
+    } catch (error) {
+      console.error('Error saving pit:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.savePitBtn.disabled = false;
+    }
+  }
+  
+  async loadSavedPits() {
+    if (!this.currentUser) {
+      this.savedPitsList.innerHTML = '<li class="empty">Sign in to save pits and see them here</li>';
+      return;
+    }
+    
+    try {
+      const response = await this.apiFetch('/api/pits?owner=me');
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+      
+      this.renderSavedPits(result);
+    } catch (error) {
+      console.warn('Saved pits unavailable:', error.message);
+      this.savedPitsList.innerHTML = '<li class="empty">Saved pits are unavailable right now</li>';
+    }
+  }
+  
+  renderSavedPits(pits) {
+    this.savedPitsList.innerHTML = '';
+    
+    if (pits.length === 0) {
+      this.savedPitsList.innerHTML = '<li class="empty">No saved pits yet</li>';
+      return;
+    }
+    
+    pits.forEach(pit => {
+      const item = document.createElement('li');
+      
+      const label = document.createElement('span');
+      label.textContent = `${pit.pitname} (${pit.location})`;
+      
+      const visibility = document.createElement('span');
+      visibility.className = 'visibility';
+      visibility.textContent = pit.visibility;
+      
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      loadBtn.addEventListener('click', () => this.loadPit(pit._id));
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.className = 'stop';
+      deleteBtn.addEventListener('click', () => this.deletePit(pit._id, pit.pitname));
+      
+      item.append(label, visibility, loadBtn, deleteBtn);
+      this.savedPitsList.appendChild(item);
+    });
+  }
+  
+  async loadPit(id) {
+    try {
+      const response = await this.apiFetch(`/api/pits/${id}`);
+      const pit = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(pit.error);
+      }
+      
+      this.currentPit = pit;
+      this.pitNameInput.value = pit.pitname;
+      this.visibilitySelect.value = pit.visibility;
+      
+      // Pits saved before seeds existed get a fresh one, those saved before
+      // units were recorded are converted from imperial, and those saved
+      // before duels hold one city's weather rather than an array
+      const [weatherData, ...comparisons] = [].concat(pit.weatherData).map(toCanonicalWeather);
+      this.applyPitState({
+        location: pit.location,
+        weatherData,
+        comparisons,
+        seed: pit.seed !== undefined ? pit.seed : randomSeed(),
+        adsr: pit.adsr,
+        volume: pit.volume,
+        maxBalls: pit.maxBalls,
+        shape: pit.shape || null,
+        mapping: pit.mapping || null,
+        sound: pit.sound
+      });
+      
+      this.showStatus(`Loaded "${pit.pitname}"`, 'success');
+    } catch (error) {
+      console.error('Error loading pit:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+  
+  applyPitState({ location, place = null, weatherData, comparisons, seed, adsr, volume, maxBalls, shape, mapping, sound }) {
+    // The broadcast was of the pit being replaced
+    if (this.isLive('host')) this.stopLive();
+    if (this.isLive('viewer')) this.stopWatching();
+    
+    // A picked place stays in the input by name; its coordinates are what's fetched
+    if (place) {
+      this.locationSearch.setPlace(place);
+    } else {
+      this.locationSearch.setPlace(null);
+      this.locationInput.value = location;
+    }
+    this.currentLocation = location;
+    this.currentWeatherData = weatherData;
+    this.currentSeed = seed;
+    
+    // Saved and shared pits bring their other cities; a fresh fetch keeps the current ones
+    if (comparisons) {
+      this.comparisons = comparisons.map(cityData => ({ location: cityData.location, weatherData: cityData }));
+    }
+    this.displayWeatherInfo(weatherData);
+    
+    if (volume !== undefined) {
+      this.volumeSlider.value = Math.round(volume * 100);
+      this.updateVolume({ target: this.volumeSlider });
+    }
+    if (adsr) {
+      this.setADSRSliders(adsr);
+    }
+    if (sound) {
+      this.setSoundControls(sound);
+    }
+    if (maxBalls !== undefined) {
+      this.maxBallsSlider.value = maxBalls;
+      this.updateMaxBalls();
+    }
+    
+    // Saved and shared pits bring their shape (null lets the climate choose); a fresh fetch keeps the current one
+    if (shape !== undefined) {
+      this.shapeSelect.value = Object.hasOwn(PIT_SHAPES, shape || '') ? shape : '';
+      if (this.weatherPit) this.weatherPit.setShape(this.shapeSelect.value || null);
+    }
+    
+    // Likewise their mapping (null for the default), so the pit is rebuilt with it
+    if (mapping !== undefined) {
+      this.showMapping(mapping || DEFAULT_MAPPING, null);
+      this.applyMapping(mapping || DEFAULT_MAPPING);
+    }
+    
+    // Enable start, compare, export, time-lapse, save and share buttons
+    this.startBtn.disabled = false;
+    this.addLocationBtn.disabled = false;
+    this.exportBtn.disabled = false;
+    this.midiExportBtn.disabled = false;
+    this.timelapseBtn.disabled = false;
+    this.savePitBtn.disabled = false;
+    this.shareBtn.disabled = false;
+    
+    // Reset an existing pit so it replays from the new weather and seed
+    if (this.weatherPit) {
+      this.resetPitLocations(seed);
+    }
+    this.updateEffects();
+    this.updateTempo();
+    this.updateLiveButtons();
+  }
+  
+  async loadFromUrl() {
+    // /p/:id permalinks point at a saved pit
+    const permalink = window.location.pathname.match(/^\/p\/([a-f0-9]{24})\/?$/);
+    if (permalink) {
+      await this.loadPit(permalink[1]);
+      return;
+    }
+    
+    // ?s=... carries the whole pit in the link
+    const encoded = new URLSearchParams(window.location.search).get('s');
+    if (encoded) {
+      const state = decodeShareState(encoded);
+      if (!state) {
+        this.showStatus('This share link is invalid or incomplete', 'error');
+        return;
+      }
+      
+      this.currentPit = null;
+      this.applyPitState(state);
+      this.showStatus(`Loaded shared pit for ${state.location} - press Start Pit to listen`, 'success');
+    }
+  }
+  
+  async sharePit() {
+    if (!this.currentWeatherData) {
+      this.showStatus('Please fetch weather data first', 'error');
+      return;
+    }
+    
+    let link;
+    if (this.currentPit && this.currentPit.visibility !== 'private') {
+      link = `${window.location.origin}/p/${this.currentPit._id}`;
+    } else {
+      const encoded = encodeShareState({
+        location: this.currentLocation || this.currentWeatherData.location,
+        weatherData: this.currentWeatherData,
+        comparisons: this.comparisons.map(comparison => comparison.weatherData),
+        seed: this.currentSeed,
+        adsr: this.getADSRFromSliders(),
+        volume: this.volumeSlider.value / 100,
+        maxBalls: Number(this.maxBallsSlider.value),
+        shape: this.shapeSelect.value || null,
+        mapping: this.mapping,
+        sound: this.getSoundSettings()
+      });
+      link = `${window.location.origin}/?s=${encoded}`;
+    }
+    
+    try {
+      await navigator.clipboard.writeText(link);
+      this.showStatus(`Share link copied: ${link}`, 'success');
+    } catch (error) {
+      // Clipboard access can be denied; the link is still shown
+      this.showStatus(`Share link: ${link}`, 'success');
+    }
+  }
+  
+  async deletePit(id, pitname) {
+    if (!window.confirm(`Delete "${pitname}"?`)) return;
+    
+    try {
+      const response = await this.apiFetch(`/api/pits/${id}`, { method: 'DELETE' });
+      
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error);
+      }
+      
+      if (this.currentPit && this.currentPit._id === id) {
+        if (this.isLive('host')) this.stopLive();
+        if (this.isLive('viewer')) this.stopWatching();
+        this.currentPit = null;
+        this.updateLiveButtons();
+      }
+      this.showStatus(`Deleted "${pitname}"`, 'success');
+      this.loadSavedPits();
+    } catch (error) {
+      console.error('Error deleting pit:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+  
+  applyMapping(mapping) {
+    // Drive the pit and the weather-following controls from a (valid) mapping
+    this.mapping = mapping;
+    this.mapper = compileMapping(mapping);
+    if (this.weatherPit && this.weatherPit.mapping !== mapping) {
+      this.weatherPit.setMapping(mapping);
+    }
+    this.updateEffects();
+    this.updateTempo();
+    
+    // Wait for a pause in editing before telling viewers
+    clearTimeout(this.mappingPublishTimer);
+    this.mappingPublishTimer = setTimeout(() => this.publishLive('mapping', { mapping }), LIVE_MAPPING_DELAY);
+  }
+  
+  showMapping(mapping, preset) {
+    // Put a mapping in the editor; preset is the saved preset it came from, if any
+    this.mappingPreset = preset;
+    this.mappingEditor.setMapping(mapping);
+    this.mappingNameInput.value = mapping.name;
+    this.mappingVisibilitySelect.value = preset ? preset.visibility : 'private';
+    this.updateMappingButtons();
+  }
+  
+  selectMappingPreset() {
+    const [kind, key] = this.mappingPresetSelect.value.split(':');
+    const preset = kind === 'saved' ? this.mappingPresets.find(({ _id }) => _id === key) : null;
+    const mapping = preset ? { name: preset.name, rules: preset.rules } : MAPPING_PRESETS[key];
+    if (!mapping) return;
+    
+    this.showMapping(mapping, preset);
+    this.applyMapping(mapping);
+  }
+  
+  ownsMappingPreset(preset) {
+    const owner = preset && preset.owner && String(preset.owner._id || preset.owner);
+    return Boolean(owner && this.currentUser && owner === String(this.currentUser._id));
+  }
+  
+  updateMappingButtons() {
+    // Presets are saved to the account; only their owner can delete them
+    this.saveMappingBtn.disabled = !this.currentUser;
+    this.saveMappingBtn.textContent = this.ownsMappingPreset(this.mappingPreset) ? 'Update Preset' : 'Save Preset';
+    this.deleteMappingBtn.disabled = !this.ownsMappingPreset(this.mappingPreset);
+  }
+  
+  async loadMappingPresets() {
+    // The user's own presets first, then everyone's public ones
+    const requests = [this.apiFetch('/api/mappings')];
+    if (this.currentUser) {
+      requests.unshift(this.apiFetch('/api/mappings?owner=me'));
+    }
+    
+    try {
+      const lists = await Promise.all(requests.map(async request => {
+        const response = await request;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        return result;
+      }));
+      
+      const seen = new Set();
+      this.mappingPresets = lists.flat().filter(({ _id }) => !seen.has(_id) && seen.add(_id));
+    } catch (error) {
+      console.warn('Mapping presets unavailable:', error.message);
+      this.mappingPresets = [];
+    }
+    
+    if (this.mappingPreset) {
+      this.mappingPreset = this.mappingPresets.find(({ _id }) => _id === this.mappingPreset._id) || null;
+    }
+    this.renderMappingPresets();
+  }
+  
+  renderMappingPresets() {
+    const selected = this.mappingPreset ? `saved:${this.mappingPreset._id}` : this.mappingPresetSelect.value;
+    this.mappingPresetSelect.innerHTML = '';
+    
+    const groups = [
+      ['Built-in', Object.entries(MAPPING_PRESETS).map(([key, { name }]) => [`builtin:${key}`, name])],
+      ['My presets', this.mappingPresets.filter(preset => this.ownsMappingPreset(preset))
+        .map(({ _id, name }) => [`saved:${_id}`, name])],
+      ['Public presets', this.mappingPresets.filter(preset => !this.ownsMappingPreset(preset))
+        .map(({ _id, name, owner }) => [`saved:${_id}`, owner && owner.username ? `${name} (${owner.username})` : name])]
+    ];
+    groups.forEach(([label, choices]) => {
+      if (choices.length === 0) return;
+      
+      const group = document.createElement('optgroup');
+      group.label = label;
+      choices.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        group.appendChild(option);
+      });
+      this.mappingPresetSelect.appendChild(group);
+    });
+    
+    this.mappingPresetSelect.value = selected;
+    this.updateMappingButtons();
+  }
+  
+  async saveMapping() {
+    if (!this.currentUser) {
+      this.showStatus('Please sign in to save mapping presets', 'error');
+      return;
+    }
+    
+    // Your own preset is updated; anything else is saved as a new preset of yours
+    const mapping = this.mappingEditor.getMapping();
+    const update = this.ownsMappingPreset(this.mappingPreset);
+    this.saveMappingBtn.disabled = true;
+    
+    try {
+      const response = await this.apiFetch(update ? `/api/mappings/${this.mappingPreset._id}` : '/api/mappings', {
+        method: update ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...mapping, visibility: this.mappingVisibilitySelect.value })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.details ? result.details.join(', ') : result.error);
+      }
+      
+      this.mappingPreset = result;
+      this.showStatus(`Saved mapping "${result.name}"`, 'success');
+      await this.loadMappingPresets();
+    } catch (error) {
+      console.error('Error saving mapping:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.updateMappingButtons();
+    }
+  }
+  
+  async deleteMapping() {
+    const preset = this.mappingPreset;
+    if (!preset || !window.confirm(`Delete mapping "${preset.name}"?`)) return;
+    
+    try {
+      const response = await this.apiFetch(`/api/mappings/${preset._id}`, { method: 'DELETE' });
+      
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error);
+      }
+      
+      // The mapping keeps playing; it just isn't saved any more
+      this.mappingPreset = null;
+      this.mappingPresetSelect.value = '';
+      this.showStatus(`Deleted mapping "${preset.name}"`, 'success');
+      await this.loadMappingPresets();
+    } catch (error) {
+      console.error('Error deleting mapping:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+  
+  isLive(role) {
+    return Boolean(this.live && this.live.role === role);
+  }
+  
+  updateLiveButtons() {
+    // Owners can broadcast a saved pit; anyone who can load it can watch
+    const pit = this.currentPit;
+    const owner = pit && pit.owner && String(pit.owner._id || pit.owner);
+    const isOwner = Boolean(pit && this.currentUser && owner === String(this.currentUser._id));
+    
+    this.liveHostBtn.disabled = !isOwner || this.isLive('viewer');
+    this.liveWatchBtn.disabled = !pit || this.isLive('host');
+    this.liveHostBtn.textContent = this.isLive('host') ? 'End Broadcast' : 'Go Live';
+    this.liveWatchBtn.textContent = this.isLive('viewer') ? 'Stop Watching' : 'Watch Live';
+    if (!this.live) this.liveStatus.textContent = '';
+  }
+  
+  startLive() {
+    if (!this.currentPit) return;
+    
+    // Viewers build their pit from the seed, so the broadcast starts from a fresh pit
+    if (!this.weatherPit || !this.weatherPit.isRunning) {
+      this.startPit();
+    }
+    this.resetPitLocations(this.currentSeed);
+    this.weatherPit.setMaxBalls(Number(this.maxBallsSlider.value));
+    
+    const sound = this.getSoundSettings();
+    this.live = { role: 'host', pitId: this.currentPit._id, sound: JSON.stringify(sound), lastFling: 0 };
+    this.publishLive('start', {
+      pit: {
+        weatherData: [this.currentWeatherData, ...this.comparisons.map(comparison => comparison.weatherData)],
+        seed: this.currentSeed,
+        maxBalls: Number(this.maxBallsSlider.value),
+        shape: this.shapeSelect.value || null,
+        mapping: this.mapping
+      },
+      sound
+    });
+    
+    // Flung balls are sent a few times a second, and once more when let go
+    this.weatherPit.onBallDrag = (ball, released) => {
+      const now = performance.now();
+      if (!released && now - this.live.lastFling < LIVE_FLING_INTERVAL) return;
+      
+      this.live.lastFling = now;
+      this.publishLive('fling', describeFling(this.weatherPit, ball));
+    };
+    
+    // The clock keeps viewers from drifting; sound settings ride along when they change
+    this.live.tick = setInterval(() => {
+      const settings = this.getSoundSettings();
+      const sound = JSON.stringify(settings);
+      if (sound === this.live.sound) {
+        this.publishLive('tick');
+      } else {
+        this.live.sound = sound;
+        this.publishLive('tick', { sound: settings });
+      }
+    }, LIVE_TICK_SECONDS * 1000);
+    
+    this.liveStatus.textContent = 'Live: waiting for viewers';
+    this.updateLiveButtons();
+    this.showStatus(`Broadcasting "${this.currentPit.pitname}" - viewers can watch from its link`, 'success');
+  }
+  
+  stopLive() {
+    this.publishLive('stop');
+    clearInterval(this.live.tick);
+    if (this.weatherPit) this.weatherPit.onBallDrag = null;
+    
+    this.live = null;
+    this.updateLiveButtons();
+  }
+  
+  publishLive(type, payload = {}) {
+    if (!this.isLive('host')) return;
+    
+    const { pitId } = this.live;
+    const time = this.weatherPit ? this.weatherPit.world.time : 0;
+    
+    this.apiFetch(`/api/pits/${pitId}/live`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, time, ...payload })
+    })
+      .then(response => response.json())
+      .then(({ viewers, error }) => {
+        if (error) throw new Error(error);
+        if (this.isLive('host')) {
+          this.liveStatus.textContent = `Live: ${viewers} watching`;
+        }
+      })
+      .catch(error => console.error(`Error broadcasting ${type}:`, error.message));
+  }
+  
+  watchLive() {
+    if (!this.currentPit) return;
+    
+    this.live = { role: 'viewer', pitId: this.currentPit._id, source: null };
+    this.liveStatus.textContent = 'Connecting...';
+    this.updateLiveButtons();
+    this.openLiveStream(this.currentPit._id);
+  }
+  
+  async openLiveStream(pitId) {
+    // EventSource can't send the Authorization header, so signed-in viewers
+    // connect with a short-lived stream token instead (private pits need one)
+    let url = `/api/pits/${pitId}/live`;
+    if (this.currentUser) {
+      try {
+        const response = await this.apiFetch(`${url}/token`, { method: 'POST' });
+        if (response.ok) {
+          const { token } = await response.json();
+          url += `?token=${encodeURIComponent(token)}`;
+        }
+      } catch (error) {
+        console.warn('Live stream token unavailable:', error.message);
+      }
+    }
+    
+    // Watching may have stopped while the token was fetched
+    if (!this.isLive('viewer') || this.live.pitId !== pitId) return;
+    
+    const source = new EventSource(url);
+    this.live.source = source;
+    let opened = false;
+    source.onopen = () => {
+      opened = true;
+    };
+    
+    source.addEventListener('snapshot', (event) => {
+      const snapshot = JSON.parse(event.data);
+      if (snapshot.live) {
+        this.joinLive(snapshot);
+      } else {
+        this.liveStatus.textContent = 'Waiting for the host to go live';
+      }
+    });
+    source.addEventListener('start', (event) => {
+      const start = JSON.parse(event.data);
+      this.joinLive({ ...start, events: [] });
+    });
+    source.addEventListener('stop', () => {
+      this.liveStatus.textContent = 'The host ended the broadcast; the pit carries on here';
+    });
+    source.addEventListener('tick', (event) => {
+      const tick = JSON.parse(event.data);
+      if (!this.weatherPit) return;
+      
+      receiveLiveEvent(this.weatherPit, tick);
+      if (tick.sound) applySound(this.weatherPit.audioEngine, tick.sound);
+    });
+    ['weather', 'shape', 'fling', 'addCity', 'removeCity', 'maxBalls'].forEach(type => {
+      source.addEventListener(type, (event) => {
+        if (this.weatherPit) receiveLiveEvent(this.weatherPit, JSON.parse(event.data));
+      });
+    });
+    source.addEventListener('mapping', (event) => {
+      const edit = JSON.parse(event.data);
+      if (!this.weatherPit) return;
+      
+      receiveLiveEvent(this.weatherPit, edit);
+      this.showMapping(edit.mapping, null);
+      this.applyMapping(edit.mapping);
+    });
+    source.onerror = () => {
+      // EventSource reconnects by itself and is sent a fresh snapshot
+      if (source.readyState !== EventSource.CLOSED) {
+        this.liveStatus.textContent = 'Connection lost, reconnecting...';
+        return;
+      }
+      
+      // The server turned the stream away (a 404). A stream that was working
+      // has likely outlived its token, so it gets one fresh try
+      if (opened) {
+        this.liveStatus.textContent = 'Connection lost, reconnecting...';
+        this.openLiveStream(pitId);
+        return;
+      }
+      
+      this.stopWatching();
+      this.showStatus('Unable to watch this pit: it was deleted, or it is private and not yours', 'error');
+    };
+  }
+  
+  joinLive({ pit, sound, time, events }) {
+    // Rebuild the host's pit from its seed, then replay what happened since
+    this.currentWeatherData = pit.weatherData[0];
+    this.comparisons = pit.weatherData.slice(1).map(weatherData => ({ location: weatherData.location, weatherData }));
+    this.currentSeed = pit.seed;
+    this.maxBallsSlider.value = pit.maxBalls;
+    this.maxBallsValue.textContent = pit.maxBalls;
+    this.shapeSelect.value = pit.shape || '';
+    this.showMapping(pit.mapping || DEFAULT_MAPPING, null);
+    this.applyMapping(pit.mapping || DEFAULT_MAPPING);
+    
+    if (!this.weatherPit || !this.weatherPit.isRunning) {
+      this.startPit();
+    }
+    this.resetPitLocations(pit.seed);
+    this.weatherPit.setMaxBalls(pit.maxBalls);
+    this.weatherPit.setShape(pit.shape);
+    replaySnapshot(this.weatherPit, { time, events });
+    if (sound) applySound(this.weatherPit.audioEngine, sound);
+    
+    this.displayWeatherInfo(this.weatherPit.weatherData);
+    this.liveStatus.textContent = `Watching live from ${time.toFixed(0)}s in`;
+  }
+  
+  stopWatching() {
+    // The stream is missing while its token is fetched
+    if (this.live.source) this.live.source.close();
+    this.live = null;
+    this.updateLiveButtons();
+  }
+  
+  async exportWav() {
+    if (!this.currentWeatherData) {
+      this.showStatus('Please fetch weather data first', 'error');
+      return;
+    }
+    
+    const session = this.getExportSession();
+    this.showLoading(true);
+    this.showStatus(`Rendering ${session.duration}s of audio...`, 'success');
+    this.exportBtn.disabled = true;
+    
+    try {
+      const audioBuffer = await renderSession({
+        ...session,
+        ...this.getSoundSettings(),
+        volume: this.volumeSlider.value / 100
+      });
+      
+      this.downloadBlob(encodeWav(audioBuffer), `${this.getExportName()}.wav`);
+      this.showStatus(`Exported ${session.duration}s WAV`, 'success');
+    } catch (error) {
+      console.error('Error exporting audio:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.showLoading(false);
+      this.exportBtn.disabled = false;
+    }
+  }
+  
+  exportMidi() {
+    if (!this.currentWeatherData) {
+      this.showStatus('Please fetch weather data first', 'error');
+      return;
+    }
+    
+    const session = this.getExportSession();
+    const { bpm } = session.tempo;
+    
+    try {
+      const notes = recordSessionNotes(session);
+      const midi = encodeMidiFile(notes, { bpm, title: `Weather Pit - ${this.currentWeatherData.location}` });
+      
+      this.downloadBlob(new Blob([midi], { type: 'audio/midi' }), `${this.getExportName()}.mid`);
+      this.showStatus(`Exported ${notes.length} notes as MIDI`, 'success');
+    } catch (error) {
+      console.error('Error exporting MIDI:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+  
+  getExportSession() {
+    // Exports replay the pit from its starting weather and seed, not any time-lapse since
+    return {
+      weatherData: [this.currentWeatherData, ...this.comparisons.map(comparison => comparison.weatherData)],
+      seed: this.currentSeed,
+      duration: Math.min(300, Math.max(5, Number(this.exportDuration.value) || 30)),
+      maxBalls: Number(this.maxBallsSlider.value),
+      rootKey: Number(this.rootKeySelect.value),
+      scale: this.scaleSelect.value || null,
+      tuning: this.tuning,
+      tempo: this.getTempoFromControls(),
+      shape: this.shapeSelect.value || null,
+      mapping: this.mapping
+    };
+  }
+  
+  getSoundSettings() {
+    // Everything that shapes how the pit sounds (see applySound), apart from volume
+    return {
+      rootKey: Number(this.rootKeySelect.value),
+      scale: this.scaleSelect.value || null,
+      tuning: this.tuning,
+      tempo: this.getTempoFromControls(),
+      adsr: this.getADSRFromSliders(),
+      instrument: this.instrumentSelect.value,
+      weatherTimbre: this.weatherTimbreToggle.checked,
+      effects: this.getEffectsFromControls(),
+      voicing: this.getVoicingFromControls(),
+      limiterThreshold: Number(this.limiterSlider.value),
+      drone: this.droneToggle.checked,
+      spatial: this.spatialToggle.checked
+    };
+  }
+  
+  setSoundControls({ rootKey, scale, tuning, tempo, instrument, weatherTimbre, effects, voicing, limiterThreshold, drone, spatial }) {
+    // Set the controls to a saved or shared pit's sound (see getSoundSettings)
+    if (rootKey !== undefined) this.rootKeySelect.value = rootKey;
+    if (scale !== undefined) this.scaleSelect.value = scale || '';
+    if (tuning !== undefined) {
+      this.tuning = tuning;
+      this.tuningName.textContent = tuning ? tuning.description || `${tuning.cents.length}-note tuning` : '12-TET';
+      this.tuningResetBtn.disabled = !tuning;
+    }
+    if (instrument !== undefined) this.instrumentSelect.value = instrument;
+    if (weatherTimbre !== undefined) this.weatherTimbreToggle.checked = weatherTimbre;
+    if (spatial !== undefined) this.spatialToggle.checked = spatial;
+    if (drone !== undefined) this.droneToggle.checked = drone;
+    
+    // The pit's own tempo and effects were recorded, so they win over the weather's
+    if (tempo) {
+      this.tempoSource.value = 'manual';
+      if (tempo.bpm !== undefined) this.tempoBpm.value = tempo.bpm;
+      if (tempo.grid !== undefined) this.quantizeSelect.value = tempo.grid || '';
+      if (tempo.swing !== undefined) this.swingSlider.value = Math.round(tempo.swing * 100);
+    }
+    if (effects) {
+      this.weatherEffectsToggle.checked = false;
+      if (effects.reverb !== undefined) this.reverbSlider.value = Math.round(effects.reverb * 100);
+      if (effects.delay !== undefined) this.delaySlider.value = Math.round(effects.delay * 100);
+      if (effects.feedback !== undefined) this.feedbackSlider.value = Math.round(effects.feedback * 100);
+      if (effects.division !== undefined) this.delayDivision.value = effects.division;
+      if (effects.chorus !== undefined) this.chorusSlider.value = Math.round(effects.chorus * 100);
+      if (effects.tilt !== undefined) this.tiltSlider.value = effects.tilt;
+    }
+    if (voicing) {
+      if (voicing.maxPolyphony !== undefined) this.polyphonyInput.value = voicing.maxPolyphony;
+      if (voicing.stealPolicy !== undefined) this.stealSelect.value = voicing.stealPolicy;
+      if (voicing.retrigger !== undefined) this.retriggerSelect.value = voicing.retrigger;
+    }
+    if (limiterThreshold !== undefined) this.limiterSlider.value = limiterThreshold;
+    
+    this.updateScale();
+    this.updateInstrument();
+    this.updateEffects();
+    this.updateVoicing();
+    this.updateTempo();
+  }
+  
+  getExportName() {
+    const name = this.currentWeatherData.location.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `weather-pit-${name}-${this.currentSeed}`;
+  }
+  
+  async connectMidi() {
+    try {
+      const outputs = await this.midiOutput.connect();
+      
+      this.midiOutputSelect.innerHTML = '<option value="">Off</option>';
+      outputs.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        this.midiOutputSelect.appendChild(option);
+      });
+      
+      this.showStatus(outputs.length > 0
+        ? `Found ${outputs.length} MIDI output(s); pick one to send notes to it`
+        : 'No MIDI outputs found', outputs.length > 0 ? 'success' : 'error');
+    } catch (error) {
+      console.error('Error connecting MIDI:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+  
+  toggleRecording() {
+    if (!this.weatherPit || !this.weatherPit.isRunning) {
+      this.showStatus('Start the pit to record it', 'error');
+      return;
+    }
+    
+    const { audioEngine } = this.weatherPit;
+    if (audioEngine.isRecording()) {
+      this.finishRecording();
+      return;
+    }
+    
+    if (!audioEngine.startRecording()) {
+      this.showStatus('Recording is not supported in this browser', 'error');
+      return;
+    }
+    
+    this.recordBtn.textContent = '■ Stop Recording';
+    this.recordBtn.classList.add('recording');
+    this.showStatus('Recording... click again to stop and download', 'success');
+  }
+  
+  async finishRecording() {
+    const { audioEngine } = this.weatherPit;
+    if (!audioEngine.isRecording()) return;
+    
+    this.recordBtn.textContent = '● Record';
+    this.recordBtn.classList.remove('recording');
+    
+    const blob = await audioEngine.stopRecording();
+    const extension = blob.type.includes('ogg') ? 'ogg' : 'webm';
+    this.downloadBlob(blob, `weather-pit-recording-${Date.now()}.${extension}`);
+    this.showStatus('Recording saved', 'success');
+  }
+  
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Give the download a moment to start before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
   
   showStatus(message, type) {
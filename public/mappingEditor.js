@@ -0,0 +1,242 @@
+import {
+  MAPPING_SOURCES,
+  MAPPING_TARGETS,
+  MAPPING_CURVES,
+  MAX_MAPPING_RULES,
+  validateMapping,
+  evaluateRule,
+  compileMapping
+} from '../src/mappings.js';
+
+// What a new rule starts as
+const NEW_RULE = { source: 'temp', target: 'ball.size', curve: 'linear', input: [-20, 40], output: [0.3, 1.5] };
+const DEFAULT_STEPS = 4;
+
+// Curve names for the curve select
+const CURVE_CHOICES = Object.fromEntries(
+  Object.keys(MAPPING_CURVES).map(curve => [curve, { label: curve[0].toUpperCase() + curve.slice(1) }])
+);
+
+/**
+ * Round a previewed value for display
+ */
+function formatValue(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+/**
+ * Build a <select> from { key: { label } }
+ */
+function createSelect(choices, value, title) {
+  const select = document.createElement('select');
+  select.title = title;
+  Object.entries(choices).forEach(([key, { label }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Build a number input
+ */
+function createNumber(value, title) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.step = 'any';
+  input.title = title;
+  input.value = value;
+  return input;
+}
+
+/**
+ * Editor for a weather → behaviour mapping
+ * One row per rule: metric, parameter, curve, input and output ranges, and
+ * what the rule gives for the current weather. Under the rules, every
+ * parameter's value is previewed as edits are made. onChange only hears
+ * about mappings that pass validateMapping(); while one doesn't, the
+ * problems are shown instead.
+ */
+export class MappingEditor {
+  /**
+   * @param {HTMLElement} rulesContainer - Element the rule rows are drawn in
+   * @param {HTMLElement} previewContainer - Element the parameter values are drawn in
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with each valid edited mapping
+   */
+  constructor(rulesContainer, previewContainer, { onChange = () => {} } = {}) {
+    this.rulesContainer = rulesContainer;
+    this.previewContainer = previewContainer;
+    this.onChange = onChange;
+    this.name = '';
+    this.rows = []; // { rule, element, preview } per rule, in order
+    this.weatherData = null;
+  }
+
+  /**
+   * Show a mapping for editing (does not call onChange)
+   * @param {Object} mapping - { name, rules }
+   */
+  setMapping({ name, rules }) {
+    this.name = name;
+    this.rulesContainer.innerHTML = '';
+    this.rows = [];
+    rules.forEach(rule => this.addRow(rule));
+    this.updatePreview();
+  }
+
+  /**
+   * The mapping as edited, valid or not
+   * @returns {Object} { name, rules }
+   */
+  getMapping() {
+    return {
+      name: this.name,
+      rules: this.rows.map(({ rule }) => {
+        const { source, target, curve, steps, input, output } = rule;
+        return curve === 'stepped'
+          ? { source, target, curve, steps, input: [...input], output: [...output] }
+          : { source, target, curve, input: [...input], output: [...output] };
+      })
+    };
+  }
+
+  /**
+   * Rename the mapping (does not call onChange)
+   */
+  setName(name) {
+    this.name = name;
+  }
+
+  /**
+   * Weather the preview is worked out for
+   * @param {Object} weatherData - Weather snapshot in canonical units
+   */
+  setWeather(weatherData) {
+    this.weatherData = weatherData;
+    this.updatePreview();
+  }
+
+  /**
+   * Add a rule at the end
+   */
+  addRule() {
+    if (this.rows.length >= MAX_MAPPING_RULES) return;
+    this.addRow({ ...NEW_RULE });
+    this.changed();
+  }
+
+  addRow(rule) {
+    const row = { rule: { ...rule, input: [...rule.input], output: [...rule.output] } };
+    const element = document.createElement('div');
+    element.className = 'mapping-rule';
+
+    const source = createSelect(MAPPING_SOURCES, rule.source, 'Weather metric');
+    const target = createSelect(MAPPING_TARGETS, rule.target, 'Parameter');
+    const curve = createSelect(CURVE_CHOICES, rule.curve, 'Curve');
+    const steps = createNumber(rule.steps || DEFAULT_STEPS, 'Steps');
+    steps.step = '1';
+    steps.min = '1';
+    steps.hidden = rule.curve !== 'stepped';
+    const inputFrom = createNumber(rule.input[0], 'Metric at the start of the range');
+    const inputTo = createNumber(rule.input[1], 'Metric at the end of the range');
+    const outputFrom = createNumber(rule.output[0], 'Parameter at the start of the range');
+    const outputTo = createNumber(rule.output[1], 'Parameter at the end of the range');
+
+    row.preview = document.createElement('span');
+    row.preview.className = 'mapping-preview';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove rule';
+    removeBtn.className = 'stop';
+    removeBtn.addEventListener('click', () => {
+      this.rows.splice(this.rows.indexOf(row), 1);
+      element.remove();
+      this.changed();
+    });
+
+    // Empty or half-typed numbers read as NaN, which validation reports
+    const read = () => {
+      row.rule = {
+        source: source.value,
+        target: target.value,
+        curve: curve.value,
+        steps: Number(steps.value),
+        input: [inputFrom.value, inputTo.value].map(value => (value === '' ? NaN : Number(value))),
+        output: [outputFrom.value, outputTo.value].map(value => (value === '' ? NaN : Number(value)))
+      };
+      steps.hidden = curve.value !== 'stepped';
+      this.changed();
+    };
+    [source, target, curve].forEach(select => select.addEventListener('change', read));
+    [steps, inputFrom, inputTo, outputFrom, outputTo].forEach(input => input.addEventListener('input', read));
+
+    const arrow = () => {
+      const span = document.createElement('span');
+      span.textContent = '→';
+      return span;
+    };
+    element.append(
+      source, inputFrom, inputTo, arrow(), target, outputFrom, outputTo, curve, steps, row.preview, removeBtn
+    );
+    row.element = element;
+    this.rows.push(row);
+    this.rulesContainer.appendChild(element);
+  }
+
+  changed() {
+    const mapping = this.getMapping();
+    if (this.updatePreview(mapping)) {
+      this.onChange(mapping);
+    }
+  }
+
+  /**
+   * Redraw the per-rule and per-parameter values, or the problems with the mapping
+   * @returns {boolean} Whether the mapping is valid
+   */
+  updatePreview(mapping = this.getMapping()) {
+    const errors = validateMapping(mapping);
+    this.previewContainer.innerHTML = '';
+
+    if (errors.length > 0) {
+      this.rows.forEach(({ preview }) => { preview.textContent = ''; });
+      const list = document.createElement('ul');
+      list.className = 'mapping-errors';
+      errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+      });
+      this.previewContainer.appendChild(list);
+      return false;
+    }
+
+    if (!this.weatherData) {
+      this.rows.forEach(({ preview }) => { preview.textContent = ''; });
+      this.previewContainer.textContent = 'Fetch weather to preview the mapping';
+      return true;
+    }
+
+    this.rows.forEach(({ rule, preview }) => {
+      preview.textContent = `= ${formatValue(evaluateRule(rule, this.weatherData))}`;
+    });
+
+    const mapper = compileMapping(mapping);
+    const driven = new Set(mapping.rules.map(rule => rule.target));
+    const list = document.createElement('ul');
+    list.className = 'mapping-values';
+    Object.entries(MAPPING_TARGETS).forEach(([target, { label }]) => {
+      const item = document.createElement('li');
+      item.classList.toggle('fallback', !driven.has(target));
+      item.textContent = `${label}: ${formatValue(mapper.value(target, this.weatherData))}`;
+      list.appendChild(item);
+    });
+    this.previewContainer.appendChild(list);
+    return true;
+  }
+}
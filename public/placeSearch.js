@@ -0,0 +1,159 @@
+import { placeLabel } from '../src/places.js';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 250;
+
+// Shorter queries match too much to be useful
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Place suggestions for a location input
+ * Searches /api/geocode as the user types and shows the candidates in a
+ * list under the input, picked with the mouse or arrow keys and Enter.
+ * The input's parent must be positioned so the list can sit under it.
+ */
+export class PlaceAutocomplete {
+  /**
+   * @param {HTMLInputElement} input - Location input to attach to
+   * @param {Object} options
+   * @param {Function} options.onPick - Called with the place after one is picked
+   */
+  constructor(input, { onPick = () => {} } = {}) {
+    this.input = input;
+    this.onPick = onPick;
+    this.places = [];
+    this.highlighted = -1;
+    this.picked = null; // { name, region, country, lat, lon } last picked, while the input still shows it
+    this.timer = null;
+    this.searchId = 0;
+
+    this.list = document.createElement('ul');
+    this.list.className = 'place-suggestions';
+    this.list.hidden = true;
+    input.after(this.list);
+    input.setAttribute('autocomplete', 'off');
+
+    input.addEventListener('input', () => this.scheduleSearch());
+    input.addEventListener('keydown', (e) => this.handleKey(e));
+    input.addEventListener('blur', () => this.close());
+
+    // mousedown rather than click, so the pick lands before the input's blur closes the list
+    this.list.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('li');
+      if (!item) return;
+
+      e.preventDefault();
+      this.pick(Number(item.dataset.index));
+    });
+  }
+
+  /**
+   * The picked place, unless the input has been edited since
+   * @returns {Object|null} { name, region, country, lat, lon }
+   */
+  getPlace() {
+    if (this.picked && this.input.value.trim() === placeLabel(this.picked)) {
+      return this.picked;
+    }
+    return null;
+  }
+
+  /**
+   * Show a place in the input as if it had been picked (or clear the pick with null)
+   */
+  setPlace(place) {
+    this.picked = place;
+    if (place) {
+      this.input.value = placeLabel(place);
+    }
+    this.close();
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.timer);
+    const query = this.input.value.trim();
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.searchId++;
+      this.close();
+      return;
+    }
+
+    this.timer = setTimeout(() => this.search(query), SEARCH_DELAY);
+  }
+
+  async search(query) {
+    // Only the latest search may fill the list; slower earlier ones are dropped
+    const searchId = ++this.searchId;
+
+    try {
+      const response = await fetch(`/api/geocode?q=${encodeURIComponent(query)}`);
+      if (!response.ok) throw new Error(`Place search failed (${response.status})`);
+
+      const places = await response.json();
+      if (searchId !== this.searchId) return;
+      this.show(places);
+    } catch (error) {
+      // Suggestions are a convenience: typing a name still works without them
+      console.warn('Place search failed:', error);
+      if (searchId === this.searchId) this.close();
+    }
+  }
+
+  show(places) {
+    this.places = places;
+    this.highlighted = -1;
+    this.list.innerHTML = '';
+
+    places.forEach((place, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = index;
+      item.textContent = placeLabel(place);
+      this.list.appendChild(item);
+    });
+
+    this.list.hidden = places.length === 0 || document.activeElement !== this.input;
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.list.hidden = true;
+    this.highlighted = -1;
+  }
+
+  highlight(index) {
+    this.highlighted = index;
+    this.list.querySelectorAll('li').forEach((item, i) => {
+      item.classList.toggle('highlighted', i === index);
+    });
+  }
+
+  pick(index) {
+    const place = this.places[index];
+    if (!place) return;
+
+    this.setPlace(place);
+    this.onPick(place);
+  }
+
+  handleKey(e) {
+    if (this.list.hidden) return;
+
+    const count = this.places.length;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.highlight((this.highlighted + 1) % count);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.highlight((this.highlighted - 1 + count) % count);
+    } else if (e.key === 'Enter' && this.highlighted !== -1) {
+      // Cancelling keydown also cancels the keypress, so the half-typed text isn't fetched
+      e.preventDefault();
+      this.pick(this.highlighted);
+    } else if (e.key === 'Escape') {
+      this.close();
+    }
+  }
+}
+
+export default PlaceAutocomplete;
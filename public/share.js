@@ -0,0 +1,96 @@
+/**
+ * Compact share links
+ * Everything needed to replay a pit (location, each city's weather snapshot,
+ * seed, ball cap, shape, mapping, volume and sound settings) is packed into a single base64url query parameter.
+ */
+
+import { toCanonicalWeather } from '../src/units.js';
+import { DEFAULT_MAPPING, validateMapping } from '../src/mappings.js';
+import { validateWeather, pickWeather } from '../src/weatherSnapshot.js';
+import { validateSound, pickSound } from '../src/soundSettings.js';
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// Anyone can craft a link, so its weather is checked like a saved pit's
+function isWeather(weather) {
+  return validateWeather(weather).length === 0;
+}
+
+/**
+ * Encode a pit into a share parameter
+ * @param {Object} state - { location, weatherData, comparisons, seed, adsr, volume, maxBalls, shape, mapping, sound }
+ *   where comparisons holds the other cities' weather and sound is as for applySound() (its
+ *   envelope is taken from adsr); the default mapping is left out to keep links short
+ * @returns {string} base64url string for the `s` query parameter
+ */
+export function encodeShareState({ location, weatherData, comparisons = [], seed, adsr, volume, maxBalls, shape = null, mapping = DEFAULT_MAPPING, sound = null }) {
+  return toBase64Url(JSON.stringify({
+    l: location,
+    w: [weatherData, ...comparisons].map(pickWeather),
+    s: seed,
+    a: [adsr.attack, adsr.decay, adsr.sustain, adsr.release],
+    v: volume,
+    m: maxBalls,
+    h: shape,
+    r: mapping === DEFAULT_MAPPING ? undefined : mapping,
+    x: sound ? { ...pickSound(sound), adsr: undefined } : undefined
+  }));
+}
+
+/**
+ * Decode a share parameter
+ * Links made before duels were shared hold one city's weather; those made
+ * before the ball cap was shared leave maxBalls undefined. Shape is null
+ * when the climate chose it, as it did for every link before shapes were shared,
+ * and mapping is null for the default one. Sound is null on links made
+ * before sound settings were shared.
+ * @returns {Object|null} { location, weatherData, comparisons, seed, adsr, volume, maxBalls, shape, mapping, sound },
+ *   or null if it is malformed
+ */
+export function decodeShareState(encoded) {
+  try {
+    const { l, w, s, a, v, m, h, r, x } = JSON.parse(fromBase64Url(encoded));
+    
+    const cities = [].concat(w);
+    if (typeof l !== 'string' || cities.length === 0 || !cities.every(isWeather) || !Number.isInteger(s)) {
+      return null;
+    }
+    if (!Array.isArray(a) || a.length !== 4 || !a.every(Number.isFinite) || !Number.isFinite(v)) {
+      return null;
+    }
+    if ((r !== undefined && validateMapping(r).length > 0) || (x !== undefined && validateSound(x).length > 0)) {
+      return null;
+    }
+    
+    // Links made before units were recorded are imperial
+    const [weatherData, ...comparisons] = cities.map(city => toCanonicalWeather(pickWeather(city)));
+    const [attack, decay, sustain, release] = a;
+    return {
+      location: l,
+      weatherData,
+      comparisons,
+      seed: s,
+      adsr: { attack, decay, sustain, release },
+      volume: v,
+      maxBalls: Number.isInteger(m) ? m : undefined,
+      shape: typeof h === 'string' ? h : null,
+      mapping: r || null,
+      sound: x ? pickSound(x) : null
+    };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,104 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { requireDatabase } from '../services/database.js';
+import { hashPassword, verifyPassword, issueToken, authenticate, requireAuth } from '../services/auth.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Check credentials in a register/login body
+ * @returns {Array<string>} Validation errors
+ */
+function validateCredentials({ username, password } = {}) {
+  const errors = [];
+
+  if (typeof username !== 'string' || !username.trim()) {
+    errors.push('username is required');
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Public view of a user
+ */
+function toPublicUser(user) {
+  return { _id: user._id, username: user.username };
+}
+
+router.use(requireDatabase);
+router.use(authenticate);
+
+router.post('/register', async (req, res) => {
+  const errors = validateCredentials(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid registration', details: errors });
+  }
+
+  try {
+    const user = await User.create({
+      username: req.body.username,
+      passwordHash: await hashPassword(req.body.password)
+    });
+
+    res.status(201).json({ token: issueToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      const details = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Invalid registration', details });
+    }
+
+    console.error('Error in POST /api/auth/register:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  try {
+    const user = await User.findOne({ username: username.trim().toLowerCase() }).select('+passwordHash');
+
+    // Same response for unknown users and wrong passwords
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({ token: issueToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error in POST /api/auth/login:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('Error in GET /api/auth/me:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
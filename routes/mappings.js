@@ -0,0 +1,173 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MappingPreset, { PRESET_VISIBILITIES } from '../models/MappingPreset.js';
+import { requireDatabase } from '../services/database.js';
+import { authenticate, requireAuth } from '../services/auth.js';
+import { validateMapping } from '../src/mappings.js';
+
+const router = express.Router();
+
+/**
+ * Read a preset from a request body
+ * PATCH requests may leave out the name, rules or visibility; whatever is
+ * sent is checked as a mapping together with what it replaces.
+ * @param {Object} body - Request body
+ * @param {Object} current - Preset being edited, for PATCH
+ * @returns {Object} { fields, errors }
+ */
+function readPreset(body = {}, current = null) {
+  const fields = {};
+  ['name', 'rules', 'visibility'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  const errors = validateMapping({
+    name: fields.name !== undefined ? fields.name : current && current.name,
+    rules: fields.rules !== undefined ? fields.rules : current && current.rules
+  });
+
+  if (fields.visibility !== undefined && !PRESET_VISIBILITIES.includes(fields.visibility)) {
+    errors.push(`visibility must be one of: ${PRESET_VISIBILITIES.join(', ')}`);
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Send mongoose validation errors as 400s, everything else as 500
+ */
+function handleError(res, error, context) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ error: 'Invalid mapping preset', details: errors });
+  }
+
+  console.error(`Error in ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Whether the signed-in user (if any) owns a preset
+ */
+function isOwner(preset, user) {
+  return Boolean(user && preset.owner && String(preset.owner._id || preset.owner) === user.id);
+}
+
+/**
+ * Whether the signed-in user (if any) may load a preset
+ * Private presets are reported as missing to everyone but their owner.
+ */
+function canView(preset, user) {
+  return preset.visibility === 'public' || isOwner(preset, user);
+}
+
+router.use(requireDatabase);
+router.use(authenticate);
+
+// Reject malformed ids up front so they 404 instead of throwing CastErrors
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ error: 'Mapping preset not found' });
+  }
+  next();
+});
+
+// ?owner=me lists the signed-in user's presets, otherwise public presets
+router.get('/', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const mine = req.query.owner === 'me';
+
+  if (mine && !req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+
+  try {
+    const presets = await MappingPreset.find(mine ? { owner: req.user.id } : { visibility: 'public' })
+      .populate('owner', 'username')
+      .sort({ updated_at: -1 })
+      .limit(limit)
+      .lean();
+    res.json(presets);
+  } catch (error) {
+    handleError(res, error, 'GET /api/mappings');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const preset = await MappingPreset.findById(req.params.id).populate('owner', 'username').lean();
+
+    if (!preset || !canView(preset, req.user)) {
+      return res.status(404).json({ error: 'Mapping preset not found' });
+    }
+
+    res.json(preset);
+  } catch (error) {
+    handleError(res, error, 'GET /api/mappings/:id');
+  }
+});
+
+router.post('/', requireAuth, async (req, res) => {
+  const { fields, errors } = readPreset(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid mapping preset', details: errors });
+  }
+
+  try {
+    const preset = await MappingPreset.create({ ...fields, owner: req.user.id });
+    res.status(201).json(preset);
+  } catch (error) {
+    handleError(res, error, 'POST /api/mappings');
+  }
+});
+
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    const preset = await MappingPreset.findById(req.params.id);
+
+    if (!preset || !canView(preset, req.user)) {
+      return res.status(404).json({ error: 'Mapping preset not found' });
+    }
+
+    if (!isOwner(preset, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can edit this mapping preset' });
+    }
+
+    const { fields, errors } = readPreset(req.body, preset.toObject());
+    if (Object.keys(fields).length === 0) {
+      errors.push('Nothing to update. Editable fields: name, rules, visibility');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid mapping preset', details: errors });
+    }
+
+    preset.set(fields);
+    await preset.save();
+    res.json(preset);
+  } catch (error) {
+    handleError(res, error, 'PATCH /api/mappings/:id');
+  }
+});
+
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const preset = await MappingPreset.findById(req.params.id);
+
+    if (!preset || !canView(preset, req.user)) {
+      return res.status(404).json({ error: 'Mapping preset not found' });
+    }
+
+    if (!isOwner(preset, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can delete this mapping preset' });
+    }
+
+    await preset.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'DELETE /api/mappings/:id');
+  }
+});
+
+export default router;
@@ -0,0 +1,506 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Pit, { VISIBILITIES, MAX_CITIES } from '../models/Pit.js';
+import { requireDatabase } from '../services/database.js';
+import { authenticate, requireAuth, issueToken, verifyToken } from '../services/auth.js';
+import { createLiveRooms, eventBytes, LIVE_EVENT_TYPES, MAX_LIVE_EVENT_BYTES } from '../services/liveRooms.js';
+import { validateMapping } from '../src/mappings.js';
+import { PIT_SHAPES } from '../src/pitShapes.js';
+import { validateWeather, pickWeather } from '../src/weatherSnapshot.js';
+import { validateSound, pickSound } from '../src/soundSettings.js';
+
+const router = express.Router();
+
+// One live room per saved pit (see services/liveRooms.js)
+const liveRooms = createLiveRooms();
+
+// Seconds between keep-alive comments on live streams, so proxies don't close idle connections
+const LIVE_KEEPALIVE_SECONDS = 25;
+
+// Seconds a live stream token can be used to connect (EventSource can't send the Authorization header)
+const LIVE_TOKEN_TTL_SECONDS = 60;
+
+// Frames a live time-lapse may hold (the app plays 5-day forecasts, 40 frames, and the past 24 hours)
+const MAX_TIMELAPSE_FRAMES = 48;
+
+// Fields a client is allowed to set
+const EDITABLE_FIELDS = ['pitname', 'location', 'weatherData', 'adsr', 'volume', 'visibility', 'seed', 'maxBalls', 'shape', 'mapping', 'sound'];
+
+/**
+ * Keep only editable fields from a request body
+ * A single weatherData object (clients from before duels) becomes a one-city
+ * array. Each city keeps only the weather fields it may have, and sound
+ * only the settings applySound() knows.
+ */
+function pickEditable(body = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.weatherData && typeof fields.weatherData === 'object' && !Array.isArray(fields.weatherData)) {
+    fields.weatherData = [fields.weatherData];
+  }
+  if (Array.isArray(fields.weatherData)) {
+    fields.weatherData = fields.weatherData.map(city => (city && typeof city === 'object' ? pickWeather(city) : city));
+  }
+  if (fields.sound && typeof fields.sound === 'object' && validateSound(fields.sound).length === 0) {
+    fields.sound = pickSound(fields.sound);
+  }
+  return fields;
+}
+
+/**
+ * Check request shape before it reaches mongoose
+ * Mongoose validators cover ranges and required fields; this catches
+ * things it would silently cast (e.g. a number as pitname).
+ * @param {Object} fields - Editable fields from the request
+ * @param {boolean} partial - PATCH requests may omit required fields
+ * @returns {Array<string>} Validation errors
+ */
+function validatePitInput(fields, partial = false) {
+  const errors = [];
+
+  if (!partial || fields.pitname !== undefined) {
+    if (typeof fields.pitname !== 'string' || !fields.pitname.trim()) {
+      errors.push('pitname must be a non-empty string');
+    }
+  }
+
+  if (!partial || fields.location !== undefined) {
+    if (typeof fields.location !== 'string' || !fields.location.trim()) {
+      errors.push('location must be a non-empty string');
+    }
+  }
+
+  if (!partial || fields.weatherData !== undefined) {
+    const cities = fields.weatherData;
+    if (!Array.isArray(cities) || cities.length < 1 || cities.length > MAX_CITIES) {
+      errors.push(`weatherData must be an object or an array of 1 to ${MAX_CITIES} objects`);
+    } else {
+      // Public pits show their weather to everyone, so it is checked field by field
+      cities.forEach((city, index) => {
+        validateWeather(city).forEach(error => errors.push(`weatherData[${index}]: ${error}`));
+      });
+    }
+  }
+
+  if (fields.adsr !== undefined) {
+    if (!fields.adsr || typeof fields.adsr !== 'object') {
+      errors.push('adsr must be an object');
+    } else {
+      ['attack', 'decay', 'sustain', 'release'].forEach(param => {
+        if (fields.adsr[param] !== undefined && typeof fields.adsr[param] !== 'number') {
+          errors.push(`adsr.${param} must be a number`);
+        }
+      });
+    }
+  }
+
+  if (fields.volume !== undefined && typeof fields.volume !== 'number') {
+    errors.push('volume must be a number');
+  }
+
+  if (fields.seed !== undefined && !Number.isInteger(fields.seed)) {
+    errors.push('seed must be an integer');
+  }
+
+  if (fields.maxBalls !== undefined && !Number.isInteger(fields.maxBalls)) {
+    errors.push('maxBalls must be an integer');
+  }
+
+  if (fields.shape !== undefined && fields.shape !== null && !Object.hasOwn(PIT_SHAPES, fields.shape)) {
+    errors.push(`shape must be null or one of: ${Object.keys(PIT_SHAPES).join(', ')}`);
+  }
+
+  if (fields.mapping !== undefined) {
+    validateMapping(fields.mapping).forEach(error => errors.push(`mapping: ${error}`));
+  }
+
+  if (fields.sound !== undefined) {
+    validateSound(fields.sound).forEach(error => errors.push(`sound: ${error}`));
+  }
+
+  if (fields.visibility !== undefined && !VISIBILITIES.includes(fields.visibility)) {
+    errors.push(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Pit fields carried by a live event, checked the way saving a pit checks them
+ * validatePitInput() catches wrong types, then the Pit schema checks ranges
+ * (ball cap, seed, sound settings) without saving anything.
+ * @param {Object} source - Event body, or the pit of a start event
+ * @param {Array<string>} required - Fields the event must carry
+ * @param {Array<string>} optional - Fields it may carry
+ * @param {Array<string>} errors - Problems found are added here
+ * @param {string} prefix - Put in front of each problem
+ * @returns {Object} The fields, trimmed like pickEditable() trims a save
+ */
+function pickLiveFields(source, required, optional, errors, prefix = '') {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    errors.push(`${prefix}must be an object`);
+    return {};
+  }
+
+  const given = {};
+  [...required, ...optional].forEach(field => {
+    if (source[field] !== undefined) given[field] = source[field];
+  });
+  const fields = pickEditable(given);
+
+  required.forEach(field => {
+    if (fields[field] === undefined) errors.push(`${prefix}${field} is required`);
+  });
+  const invalid = validatePitInput(fields, true);
+  invalid.forEach(error => errors.push(`${prefix}${error}`));
+
+  if (invalid.length === 0) {
+    const pit = new Pit(fields);
+    const error = pit.validateSync(Object.keys(fields));
+    if (error) Object.values(error.errors).forEach(err => errors.push(`${prefix}${err.message}`));
+
+    // Mapping rules keep only their schema fields, as they would in a save
+    if (fields.mapping !== undefined) fields.mapping = pit.toObject().mapping;
+  }
+  return fields;
+}
+
+/**
+ * A finite { x, y, z }, or undefined
+ */
+function pickVector(vector) {
+  if (!vector || typeof vector !== 'object') return undefined;
+
+  const { x, y, z } = vector;
+  return [x, y, z].every(Number.isFinite) ? { x, y, z } : undefined;
+}
+
+/**
+ * Check a host's live event and rebuild it from the fields its type carries
+ * Viewers apply events straight to their pit, so unknown keys are dropped.
+ * @param {Object} body - Request body: { type, time, ... } (see LIVE_EVENT_TYPES)
+ * @returns {{ event: Object, errors: Array<string> }} The event to publish, and problems found
+ */
+function readLiveEvent(body = {}) {
+  const { type, time } = body;
+  const errors = [];
+
+  if (!LIVE_EVENT_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${LIVE_EVENT_TYPES.join(', ')}`);
+  }
+  if (!Number.isFinite(time) || time < 0) {
+    errors.push('time must be a non-negative number');
+  }
+  if (errors.length > 0) {
+    return { event: null, errors };
+  }
+
+  const event = { type, time };
+
+  switch (type) {
+    case 'start':
+      event.pit = pickLiveFields(body.pit, ['weatherData', 'seed', 'maxBalls'], ['shape', 'mapping'], errors, 'pit: ');
+      Object.assign(event, pickLiveFields(body, [], ['sound'], errors));
+      break;
+
+    case 'weather':
+      Object.assign(event, pickLiveFields(body, ['weatherData'], [], errors));
+      break;
+
+    case 'timelapse': {
+      const { frames } = body;
+      if (!Array.isArray(frames) || frames.length < 1 || frames.length > MAX_TIMELAPSE_FRAMES) {
+        errors.push(`frames must be an array of 1 to ${MAX_TIMELAPSE_FRAMES} weather snapshots`);
+        break;
+      }
+      frames.forEach((frame, index) => {
+        validateWeather(frame).forEach(error => errors.push(`frames[${index}]: ${error}`));
+      });
+      event.frames = errors.length === 0 ? frames.map(pickWeather) : [];
+      break;
+    }
+
+    case 'addCity': {
+      // One city, checked as a one-city pit
+      const { weatherData } = pickLiveFields({ weatherData: [body.weatherData] }, ['weatherData'], [], errors);
+      event.weatherData = weatherData[0];
+      break;
+    }
+
+    case 'shape':
+    case 'maxBalls':
+    case 'mapping':
+      Object.assign(event, pickLiveFields(body, [type], [], errors));
+      break;
+
+    case 'tick':
+      Object.assign(event, pickLiveFields(body, [], ['sound'], errors));
+      break;
+
+    case 'fling':
+      event.ball = body.ball;
+      event.position = pickVector(body.position);
+      event.velocity = pickVector(body.velocity);
+      if (!Number.isInteger(event.ball) || event.ball < 0) errors.push('ball must be a non-negative integer');
+      if (!event.position || !event.velocity) errors.push('position and velocity must be { x, y, z } with finite numbers');
+      break;
+
+    case 'removeCity':
+      event.index = body.index;
+      if (!Number.isInteger(event.index) || event.index < 1 || event.index >= MAX_CITIES) {
+        errors.push(`index must be an integer from 1 to ${MAX_CITIES - 1} (the first city stays)`);
+      }
+      break;
+  }
+
+  return { event, errors };
+}
+
+/**
+ * A lean pit with weatherData as an array of cities
+ * Pits saved before duels hold a single object, and lean reads skip the
+ * cast a mongoose document would make.
+ */
+function withCityList(pit) {
+  if (pit.weatherData && !Array.isArray(pit.weatherData)) {
+    return { ...pit, weatherData: [pit.weatherData] };
+  }
+  return pit;
+}
+
+/**
+ * Send mongoose validation errors as 400s, everything else as 500
+ */
+function handleError(res, error, context) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ error: 'Invalid pit', details: errors });
+  }
+
+  console.error(`Error in ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Whether the signed-in user (if any) owns a pit
+ */
+function isOwner(pit, user) {
+  return Boolean(user && pit.owner && String(pit.owner._id || pit.owner) === user.id);
+}
+
+/**
+ * Whether the signed-in user (if any) may view a pit
+ * Private pits are reported as missing to everyone but their owner.
+ */
+function canView(pit, user) {
+  return pit.visibility !== 'private' || isOwner(pit, user);
+}
+
+router.use(requireDatabase);
+router.use(authenticate);
+
+// Reject malformed ids up front so they 404 instead of throwing CastErrors
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ error: 'Pit not found' });
+  }
+  next();
+});
+
+// ?owner=me lists the signed-in user's pits, otherwise public pits
+router.get('/', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const mine = req.query.owner === 'me';
+
+  if (mine && !req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+
+  try {
+    const pits = await Pit.find(mine ? { owner: req.user.id } : { visibility: 'public' })
+      .populate('owner', 'username')
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+    res.json(pits.map(withCityList));
+  } catch (error) {
+    handleError(res, error, 'GET /api/pits');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const pit = await Pit.findById(req.params.id).populate('owner', 'username').lean();
+
+    if (!pit || !canView(pit, req.user)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+
+    res.json(withCityList(pit));
+  } catch (error) {
+    handleError(res, error, 'GET /api/pits/:id');
+  }
+});
+
+router.post('/', requireAuth, async (req, res) => {
+  const fields = pickEditable(req.body);
+  const errors = validatePitInput(fields);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid pit', details: errors });
+  }
+
+  try {
+    const pit = await Pit.create({ ...fields, owner: req.user.id });
+    res.status(201).json(pit);
+  } catch (error) {
+    handleError(res, error, 'POST /api/pits');
+  }
+});
+
+router.patch('/:id', requireAuth, async (req, res) => {
+  const fields = pickEditable(req.body);
+  const errors = validatePitInput(fields, true);
+
+  if (Object.keys(fields).length === 0) {
+    errors.push(`Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid pit', details: errors });
+  }
+
+  try {
+    const pit = await Pit.findById(req.params.id);
+
+    if (!pit || !canView(pit, req.user)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+
+    if (!isOwner(pit, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can edit this pit' });
+    }
+
+    // Merge ADSR so a PATCH can change one parameter; everything else is replaced
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field === 'adsr') {
+        Object.entries(value).forEach(([param, paramValue]) => pit.set(`adsr.${param}`, paramValue));
+      } else {
+        pit.set(field, value);
+      }
+    });
+    await pit.save();
+    res.json(pit);
+  } catch (error) {
+    handleError(res, error, 'PATCH /api/pits/:id');
+  }
+});
+
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const pit = await Pit.findById(req.params.id);
+
+    if (!pit || !canView(pit, req.user)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+
+    if (!isOwner(pit, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can delete this pit' });
+    }
+
+    await pit.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'DELETE /api/pits/:id');
+  }
+});
+
+// Short-lived token for opening the live stream as the signed-in user, so private pits can be watched
+router.post('/:id/live/token', requireAuth, async (req, res) => {
+  try {
+    const pit = await Pit.findById(req.params.id).lean();
+
+    if (!pit || !canView(pit, req.user)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+
+    const user = { _id: req.user.id, username: req.user.username };
+    res.json({ token: issueToken(user, { ttl: LIVE_TOKEN_TTL_SECONDS, scope: `live:${req.params.id}` }) });
+  } catch (error) {
+    handleError(res, error, 'POST /api/pits/:id/live/token');
+  }
+});
+
+// Live pit stream (Server-Sent Events): a snapshot to catch up from, then the host's events
+// Signed-in viewers pass a token from POST /:id/live/token as ?token=
+router.get('/:id/live', async (req, res) => {
+  try {
+    const pit = await Pit.findById(req.params.id).lean();
+    const viewer = req.user || (req.query.token ? verifyToken(req.query.token, `live:${req.params.id}`) : null);
+
+    if (!pit || !canView(pit, viewer)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+  } catch (error) {
+    return handleError(res, error, 'GET /api/pits/:id/live');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  // Joining sends the snapshot, which flushes the headers
+  const leave = liveRooms.join(req.params.id, (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  if (!leave) {
+    return res.status(503).json({ error: 'Too many live pits right now, try again later' });
+  }
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), LIVE_KEEPALIVE_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    leave();
+  });
+});
+
+// Host broadcasts an event to everyone watching the pit
+router.post('/:id/live', requireAuth, async (req, res) => {
+  const { event, errors } = readLiveEvent(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid live event', details: errors });
+  }
+
+  // Events are kept for late joiners, so their size is capped
+  if (eventBytes(event) > MAX_LIVE_EVENT_BYTES) {
+    return res.status(413).json({ error: `Live events must be at most ${MAX_LIVE_EVENT_BYTES} bytes` });
+  }
+
+  try {
+    const pit = await Pit.findById(req.params.id).lean();
+
+    if (!pit || !canView(pit, req.user)) {
+      return res.status(404).json({ error: 'Pit not found' });
+    }
+
+    if (!isOwner(pit, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can broadcast this pit' });
+    }
+
+    const viewers = liveRooms.publish(req.params.id, event);
+    if (viewers === null) {
+      return res.status(503).json({ error: 'Too many live pits right now, try again later' });
+    }
+    res.status(202).json({ viewers });
+  } catch (error) {
+    handleError(res, error, 'POST /api/pits/:id/live');
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import { PhysicsWorld } from '../src/physics/PhysicsWorld.js';
+import { createRandom } from '../src/random.js';
+
+/**
+ * Headless physics benchmark
+ * Fills a pit the size of the browser one and reports fixed steps per second.
+ *
+ * Usage: npm run bench [-- --seconds 2 --counts 50,500,5000 --naive]
+ *   --naive also times the O(n²) pair loop for comparison (slow at 5000)
+ */
+
+const BOUNDS = { width: 120, height: 80, depth: 120 };
+const SEED = 12345;
+
+function parseArgs(argv) {
+  const args = { seconds: 2, counts: [50, 500, 5000], naive: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--seconds') args.seconds = Number(argv[++i]);
+    else if (argv[i] === '--counts') args.counts = argv[++i].split(',').map(Number);
+    else if (argv[i] === '--naive') args.naive = true;
+  }
+
+  return args;
+}
+
+/**
+ * Build a world with the same spread of sizes and speeds as the pit
+ */
+function createWorld(count, broadphase) {
+  const random = createRandom(SEED);
+  const world = new PhysicsWorld({ bounds: BOUNDS, random, broadphase });
+
+  for (let i = 0; i < count; i++) {
+    const radius = 0.3 + random() * 1.2;
+    world.addBody({
+      position: {
+        x: (random() - 0.5) * (BOUNDS.width - 4),
+        y: radius + random() * (BOUNDS.height - 2 * radius),
+        z: (random() - 0.5) * (BOUNDS.depth - 4)
+      },
+      velocity: {
+        x: (random() - 0.5) * 10,
+        y: (random() - 0.5) * 5,
+        z: (random() - 0.5) * 10
+      },
+      radius,
+      mass: radius * radius * radius,
+      windStrength: random() * 2
+    });
+  }
+
+  return world;
+}
+
+/**
+ * Step a world for about `seconds` of wall time
+ */
+function run(count, broadphase, seconds) {
+  const world = createWorld(count, broadphase);
+
+  // Warm up so the JIT and typed arrays are settled
+  for (let i = 0; i < 60; i++) world.step(world.fixedStep);
+
+  const start = process.hrtime.bigint();
+  const budget = BigInt(Math.round(seconds * 1e9));
+  let steps = 0;
+  let elapsed = 0n;
+
+  while (elapsed < budget) {
+    world.step(world.fixedStep);
+    steps++;
+    elapsed = process.hrtime.bigint() - start;
+  }
+
+  return steps / (Number(elapsed) / 1e9);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const modes = args.naive ? ['grid', 'naive'] : ['grid'];
+const realtime = 1 / new PhysicsWorld({ bounds: BOUNDS }).fixedStep;
+
+console.log(`Physics benchmark: ${args.seconds}s per run, ${realtime} steps/s needed for real time\n`);
+console.log('balls  broadphase  steps/s   x real time');
+
+args.counts.forEach(count => {
+  modes.forEach(mode => {
+    const stepsPerSecond = run(count, mode, args.seconds);
+    console.log(
+      `${String(count).padStart(5)}  ${mode.padEnd(10)}  ${stepsPerSecond.toFixed(0).padStart(7)}   ${(stepsPerSecond / realtime).toFixed(2)}`
+    );
+  });
+});
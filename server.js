@@ -2,7 +2,13 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { fetchWeather } from './services/weatherService.js';
+import { fetchWeather, fetchForecast, fetchHistory, geocode } from './services/weatherService.js';
+import { createWeatherCacheFromEnv, normalizeLocationKey } from './services/weatherCache.js';
+import { connectDatabase } from './services/database.js';
+import pitsRouter from './routes/pits.js';
+import authRouter from './routes/auth.js';
+import mappingsRouter from './routes/mappings.js';
+import { isValidCoordinates, formatCoordinates } from './src/places.js';
 
 dotenv.config();
 
@@ -12,6 +18,36 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const weatherCache = createWeatherCacheFromEnv();
+
+const MAX_LOCATION_LENGTH = 100;
+
+/**
+ * Read the location from a weather request's query
+ * Either `location` (a place name or "lat,lon") or explicit `lat` and `lon`.
+ * @returns {Object} { location } or { error }
+ */
+function readLocation(query) {
+  if (query.lat !== undefined || query.lon !== undefined) {
+    const lat = Number(query.lat);
+    const lon = Number(query.lon);
+    
+    if (query.lat === '' || query.lon === '' || !isValidCoordinates(lat, lon)) {
+      return { error: 'lat must be between -90 and 90 and lon between -180 and 180' };
+    }
+    return { location: formatCoordinates(lat, lon) };
+  }
+  
+  const location = typeof query.location === 'string' ? query.location.trim() : '';
+  if (!location) {
+    return { error: 'Location (or lat and lon) is required' };
+  }
+  if (location.length > MAX_LOCATION_LENGTH) {
+    return { error: `Location must be at most ${MAX_LOCATION_LENGTH} characters` };
+  }
+  return { location };
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
@@ -27,14 +63,16 @@ app.use('/src', express.static(path.join(__dirname, 'src')));
 
 // API Routes
 app.get('/api/weather', async (req, res) => {
-  const { location } = req.query;
+  const { location, error } = readLocation(req.query);
   
-  if (!location) {
-    return res.status(400).json({ error: 'Location parameter is required' });
+  if (error) {
+    return res.status(400).json({ error });
   }
   
   try {
-    const weatherData = await fetchWeather(location);
+    const key = `current:${normalizeLocationKey(location)}`;
+    const { value: weatherData, status } = await weatherCache.get(key, () => fetchWeather(location));
+    res.set('X-Cache', status);
     res.json(weatherData);
   } catch (error) {
     console.error('Error in /api/weather:', error);
@@ -42,13 +80,90 @@ app.get('/api/weather', async (req, res) => {
   }
 });
 
+app.get('/api/weather/timeline', async (req, res) => {
+  const { location, error } = readLocation(req.query);
+  const { range = 'forecast' } = req.query;
+  const hours = Number(req.query.hours) || 24;
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  if (!['forecast', 'history'].includes(range)) {
+    return res.status(400).json({ error: 'Range must be "forecast" or "history"' });
+  }
+  
+  if (hours < 1 || hours > 168) {
+    return res.status(400).json({ error: 'Hours must be between 1 and 168' });
+  }
+  
+  try {
+    const key = range === 'history'
+      ? `history:${hours}:${normalizeLocationKey(location)}`
+      : `forecast:${normalizeLocationKey(location)}`;
+    const { value: timeline, status } = await weatherCache.get(key, () => (
+      range === 'history' ? fetchHistory(location, hours) : fetchForecast(location)
+    ));
+    res.set('X-Cache', status);
+    res.json(timeline);
+  } catch (error) {
+    console.error('Error in /api/weather/timeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Place search for the location box: [{ name, region, country, lat, lon }]
+app.get('/api/geocode', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  
+  if (query.length < 2 || query.length > MAX_LOCATION_LENGTH) {
+    return res.status(400).json({ error: `q must be between 2 and ${MAX_LOCATION_LENGTH} characters` });
+  }
+  
+  try {
+    const key = `geocode:${normalizeLocationKey(query)}`;
+    const { value: places, status } = await weatherCache.get(key, () => geocode(query));
+    res.set('X-Cache', status);
+    res.json(places);
+  } catch (error) {
+    console.error('Error in /api/geocode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accounts and saved pits
+app.use('/api/auth', authRouter);
+app.use('/api/pits', pitsRouter);
+app.use('/api/mappings', mappingsRouter);
+
 // Serve main HTML
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🌦️  Weather Pit server running on http://localhost:${PORT}`);
-  console.log(`Make sure to set your OPENWEATHER_API_KEY in .env file`);
+// Pit permalinks - the app loads the pit itself
+app.get('/p/:id', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
+
+// Connect to MongoDB (optional - weather works without it, saved pits don't)
+async function start() {
+  if (process.env.MONGODB_URI) {
+    try {
+      await connectDatabase(process.env.MONGODB_URI);
+    } catch (error) {
+      console.error('Failed to connect to MongoDB:', error.message);
+      console.error('Saved pits are unavailable until the server is restarted with a reachable MONGODB_URI');
+    }
+  } else {
+    console.log('MONGODB_URI not set - saved pits are disabled');
+  }
+  
+  app.listen(PORT, () => {
+    console.log(`🌦️  Weather Pit server running on http://localhost:${PORT}`);
+    console.log(`Make sure to set your OPENWEATHER_API_KEY in .env file`);
+  });
+}
+
+// Start server
+start();
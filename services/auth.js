@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = 7 * 24 * 3600; // One week
+
+let generatedSecret = null;
+
+/**
+ * Secret used to sign auth tokens
+ * Without AUTH_SECRET a random one is generated, so tokens stop working on restart.
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  
+  if (!generatedSecret) {
+    console.warn('AUTH_SECRET not set - using a random secret; users will be signed out on restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>", both hex encoded
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hashHex] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+  
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed bearer token for a user
+ * Scoped tokens only pass verifyToken() for that scope, so one that leaks
+ * (e.g. from a URL) can't be used as a bearer token.
+ * @param {Object} user - User document (needs _id and username)
+ * @param {Object} options
+ * @param {number} options.ttl - Seconds until the token expires (defaults to a week)
+ * @param {string} options.scope - What the token is limited to
+ */
+export function issueToken(user, { ttl = TOKEN_TTL_SECONDS, scope } = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    username: user.username,
+    exp: Math.floor(Date.now() / 1000) + ttl,
+    scope
+  })).toString('base64url');
+  
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a bearer token
+ * @param {string} token - Token from issueToken()
+ * @param {string} scope - Scope the token must have been issued for (none for bearer tokens)
+ * @returns {Object|null} { id, username } or null if the token is invalid, expired or for another scope
+ */
+export function verifyToken(token, scope) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  try {
+    const { sub, username, exp, scope: tokenScope } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (exp < Date.now() / 1000 || tokenScope !== scope) return null;
+    return { id: sub, username };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware attaching req.user when a valid bearer token is sent
+ * Anonymous requests pass through with req.user = null.
+ */
+export function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  
+  req.user = scheme === 'Bearer' && token ? verifyToken(token) : null;
+  next();
+}
+
+/**
+ * Express middleware rejecting anonymous requests (use after authenticate)
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  authenticate,
+  requireAuth
+};
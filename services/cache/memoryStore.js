@@ -0,0 +1,30 @@
+/**
+ * In-process cache store
+ * Entries are kept in insertion order so the oldest can be evicted first.
+ * @param {Object} options
+ * @param {number} options.maxEntries - Evict the oldest entry beyond this many
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    
+    async set(key, entry) {
+      // Re-insert so a refreshed key moves to the back of the eviction queue
+      entries.delete(key);
+      entries.set(key, entry);
+      
+      if (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+      }
+    }
+  };
+}
+
+export default createMemoryStore;
@@ -0,0 +1,34 @@
+import WeatherCacheEntry from '../../models/WeatherCacheEntry.js';
+
+/**
+ * MongoDB-backed cache store, shared by every server process using the same database
+ * Requires an open mongoose connection.
+ * @param {Object} options
+ * @param {number} options.retention - Seconds to keep entries before MongoDB deletes them
+ */
+export function createMongoStore({ retention }) {
+  return {
+    name: 'mongo',
+    
+    async get(key) {
+      const doc = await WeatherCacheEntry.findOne({ key }).lean();
+      if (!doc) return null;
+      
+      return { value: doc.value, storedAt: doc.storedAt.getTime() };
+    },
+    
+    async set(key, entry) {
+      await WeatherCacheEntry.updateOne(
+        { key },
+        {
+          value: entry.value,
+          storedAt: new Date(entry.storedAt),
+          expiresAt: new Date(entry.storedAt + retention * 1000)
+        },
+        { upsert: true }
+      );
+    }
+  };
+}
+
+export default createMongoStore;
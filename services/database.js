@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+let memoryServer = null;
+
+/**
+ * Connect mongoose to MongoDB
+ * Use MONGODB_URI=memory to run against a throwaway in-memory server
+ * (needs the mongodb-memory-server dev dependency).
+ * @param {string} uri - MongoDB connection string, or 'memory'
+ * @returns {Promise<typeof mongoose>} The connected mongoose instance
+ */
+export async function connectDatabase(uri = process.env.MONGODB_URI) {
+  if (!uri) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  
+  let connectionUri = uri;
+  
+  if (uri === 'memory') {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    connectionUri = memoryServer.getUri('weather_pit');
+  }
+  
+  await mongoose.connect(connectionUri);
+  console.log(`Connected to MongoDB${memoryServer ? ' (in-memory)' : ''}`);
+  return mongoose;
+}
+
+/**
+ * Close the connection (and stop the in-memory server if one was started)
+ */
+export async function disconnectDatabase() {
+  await mongoose.disconnect();
+  
+  if (memoryServer) {
+    await memoryServer.stop();
+    memoryServer = null;
+  }
+}
+
+/**
+ * Whether mongoose currently has an open connection
+ */
+export function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Express middleware rejecting requests while the database is unavailable
+ */
+export function requireDatabase(req, res, next) {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Database unavailable. Set MONGODB_URI and make sure MongoDB is running.' });
+  }
+  next();
+}
+
+export default {
+  connectDatabase,
+  disconnectDatabase,
+  isDatabaseConnected,
+  requireDatabase
+};
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { splitPlaceQuery, matchesPlaceQuery } from '../src/places.js';
+
+// Read lazily, like the weather fixtures, so the path can be overridden from .env
+const gazetteerPath = () => path.resolve(process.env.GAZETTEER_FILE || 'fixtures/gazetteer.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+let loading = null;
+
+/**
+ * Places from the gazetteer file, read once
+ */
+function loadPlaces() {
+  if (!loading) {
+    loading = fs.readFile(gazetteerPath(), 'utf8')
+      .then(contents => JSON.parse(contents).places)
+      .catch(error => {
+        loading = null;
+        throw new Error(`Unreadable gazetteer: ${error.message}`);
+      });
+  }
+  return loading;
+}
+
+/**
+ * Find places in the offline gazetteer
+ * The query's first part matches the start of a place name; any further
+ * parts must match its region or country ("paris, fr", "london, ontario").
+ * Accents and case are ignored.
+ * @param {string} query - Partial place name
+ * @param {number} limit - Most places to return
+ * @returns {Promise<Array<Object>>} { name, region, country, lat, lon }, exact name matches first
+ */
+export async function searchGazetteer(query, limit = 5) {
+  const search = splitPlaceQuery(query);
+  if (!search.name) return [];
+
+  const places = await loadPlaces();
+  const matches = places.filter(place => matchesPlaceQuery(place, search));
+
+  // Stable sort keeps the file's order among equally good matches
+  const exact = place => (splitPlaceQuery(place.name).name === search.name ? 0 : 1);
+  return matches.sort((a, b) => exact(a) - exact(b)).slice(0, limit);
+}
+
+/**
+ * Great-circle distance between two points in km
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Closest gazetteer place to some coordinates
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} maxKm - Ignore places further away than this
+ * @returns {Promise<Object|null>} The place, or null if none is close enough
+ */
+export async function nearestPlace(lat, lon, maxKm = 50) {
+  const places = await loadPlaces();
+  let nearest = null;
+  let nearestKm = maxKm;
+
+  places.forEach(place => {
+    const km = distanceKm(lat, lon, place.lat, place.lon);
+    if (km <= nearestKm) {
+      nearest = place;
+      nearestKm = km;
+    }
+  });
+
+  return nearest;
+}
+
+export default {
+  searchGazetteer,
+  nearestPlace
+};
@@ -0,0 +1,204 @@
+/**
+ * Live pit rooms
+ * A host broadcasts its pit to everyone watching the same room (a saved pit
+ * id). Viewers run their own copy of the pit from the same seed and weather,
+ * so only what the seed can't reproduce is sent: the starting state, weather
+ * refreshes and time-lapses, shape changes, flung balls, city and ball cap changes, mapping
+ * edits and a periodic clock.
+ *
+ * Event types (all carry `time`, the host pit's simulated seconds):
+ *   start      - { pit, sound }: pit state to build from (including its mapping); clears the log
+ *   weather    - { weatherData }: refreshed weather, one snapshot per city
+ *   timelapse  - { frames }: a weather timeline started playing on the first city
+ *   shape      - { shape }: hand-picked shape, or null for the climate's
+ *   fling      - { ball, position, velocity }: a ball the host is dragging
+ *   addCity    - { weatherData }: a city joined the pit
+ *   removeCity - { index }: the city at this location index left
+ *   maxBalls   - { maxBalls }: the ball cap changed
+ *   mapping    - { mapping }: the weather→behaviour mapping changed
+ *   tick       - { sound? }: host clock, plus sound settings when they change
+ *   stop       - the host stopped broadcasting
+ *
+ * Rooms are transport-agnostic: each viewer is a send(eventName, data)
+ * callback, so SSE responses and in-process clients work the same way.
+ *
+ * Rooms live in memory, so they are bounded: events are capped in size (the
+ * route turns larger ones away), each replay log in events and bytes, and
+ * the registry in rooms. A room is dropped once nobody watches it and its
+ * host has stopped, or has sent nothing (not even a tick) for a while.
+ */
+
+export const LIVE_EVENT_TYPES = ['start', 'weather', 'timelapse', 'shape', 'fling', 'addCity', 'removeCity', 'maxBalls', 'mapping', 'tick', 'stop'];
+
+// Events a late joiner must replay; ticks only move the clock
+const LOGGED_TYPES = ['weather', 'timelapse', 'shape', 'fling', 'addCity', 'removeCity', 'maxBalls', 'mapping'];
+
+// Largest event a host may publish, as JSON (a start event with a full mapping and tuning is ~10 KB)
+export const MAX_LIVE_EVENT_BYTES = 32 * 1024;
+
+/**
+ * Size of an event as sent to viewers
+ */
+export function eventBytes(event) {
+  return JSON.stringify(event).length;
+}
+
+/**
+ * Create an in-process room registry
+ * @param {Object} options
+ * @param {number} options.maxLoggedEvents - Oldest flings are dropped from the replay log beyond this many events
+ * @param {number} options.maxLogBytes - ...or beyond this many bytes of events
+ * @param {number} options.maxRooms - Rooms open at once; no new ones are opened beyond this
+ * @param {number} options.hostTimeout - Seconds without a host event after which an unwatched room is dropped
+ * @param {Function} options.now - Clock in milliseconds (tests pass their own)
+ */
+export function createLiveRooms({
+  maxLoggedEvents = 2000,
+  maxLogBytes = 1024 * 1024,
+  maxRooms = 200,
+  hostTimeout = 60,
+  now = Date.now
+} = {}) {
+  const rooms = new Map();
+
+  // Whether a host is broadcasting to the room and still sending
+  function isHosted(room) {
+    return room.live && now() - room.lastEvent <= hostTimeout * 1000;
+  }
+
+  function forgetIfIdle(id) {
+    const room = rooms.get(id);
+    if (room && room.viewers.size === 0 && !isHosted(room)) {
+      rooms.delete(id);
+    }
+  }
+
+  /**
+   * A room, opened if need be; null when the registry is full
+   */
+  function getRoom(id) {
+    if (rooms.has(id)) {
+      return rooms.get(id);
+    }
+
+    // Hosts that closed their tab never send `stop`, so their rooms are swept here
+    [...rooms.keys()].forEach(forgetIfIdle);
+    if (rooms.size >= maxRooms) {
+      return null;
+    }
+
+    const room = { viewers: new Set(), start: null, sound: null, events: [], logBytes: 0, time: 0, live: false, lastEvent: now() };
+    rooms.set(id, room);
+    return room;
+  }
+
+  /**
+   * State a late joiner needs to catch up
+   */
+  function snapshot(id) {
+    const room = rooms.get(id);
+    if (!room || !isHosted(room)) {
+      return { live: false };
+    }
+
+    return {
+      live: true,
+      time: room.time,
+      pit: room.start.pit,
+      sound: room.sound,
+      events: room.events
+    };
+  }
+
+  /**
+   * Keep a room's replay state up to date with an event
+   */
+  function record(room, event) {
+    room.time = event.time;
+    room.lastEvent = now();
+
+    if (event.type === 'start') {
+      room.live = true;
+      room.start = event;
+      room.sound = event.sound || null;
+      room.events = [];
+      room.logBytes = 0;
+      return;
+    }
+
+    if (event.type === 'stop') {
+      room.live = false;
+      room.start = null;
+      room.events = [];
+      room.logBytes = 0;
+      return;
+    }
+
+    if (event.type === 'tick' && event.sound) {
+      room.sound = event.sound;
+    }
+
+    if (LOGGED_TYPES.includes(event.type)) {
+      room.events.push(event);
+      room.logBytes += eventBytes(event);
+
+      // Flings only nudge single balls, so they are the first to go
+      while (room.events.length > maxLoggedEvents || room.logBytes > maxLogBytes) {
+        const fling = room.events.findIndex(logged => logged.type === 'fling');
+        const [dropped] = room.events.splice(fling === -1 ? 0 : fling, 1);
+        room.logBytes -= eventBytes(dropped);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Add a viewer; it is sent a `snapshot` straight away
+     * @param {string} id - Room (saved pit) id
+     * @param {Function} send - Called with (eventName, data) for every message
+     * @returns {Function|null} Removes the viewer; null when no room could be opened
+     */
+    join(id, send) {
+      const room = getRoom(id);
+      if (!room) return null;
+
+      room.viewers.add(send);
+      send('snapshot', snapshot(id));
+
+      return () => {
+        room.viewers.delete(send);
+        forgetIfIdle(id);
+      };
+    },
+
+    /**
+     * Record a host event and pass it on to every viewer
+     * @param {string} id - Room (saved pit) id
+     * @param {Object} event - { type, time, ... } (see LIVE_EVENT_TYPES), at most MAX_LIVE_EVENT_BYTES
+     * @returns {number|null} Viewers the event was sent to; null when no room could be opened
+     */
+    publish(id, event) {
+      const room = getRoom(id);
+      if (!room) return null;
+
+      record(room, event);
+      room.viewers.forEach(send => send(event.type, event));
+
+      const viewers = room.viewers.size;
+      forgetIfIdle(id);
+      return viewers;
+    },
+
+    snapshot,
+
+    /**
+     * Viewers currently in a room
+     */
+    viewerCount(id) {
+      const room = rooms.get(id);
+      return room ? room.viewers.size : 0;
+    }
+  };
+}
+
+export default createLiveRooms;
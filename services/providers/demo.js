@@ -0,0 +1,181 @@
+import { searchGazetteer, nearestPlace } from '../gazetteer.js';
+import { parseCoordinates } from '../../src/places.js';
+
+const NAME = 'demo';
+
+/**
+ * Mock weather configurations for demo mode
+ * Canonical units like every other provider: °C, m/s, hPa and mm.
+ */
+const MOCK_CONFIGS = {
+  'London': {
+    temp: 12.2, humidity: 75, windSpeed: 5.2, pressure: 1015,
+    precipitation: 2.54, cloudCover: 80, condition: 'Rain', 
+    description: 'light rain', precipitationType: 'rain'
+  },
+  'Dubai': {
+    temp: 35, humidity: 45, windSpeed: 3.1, pressure: 1010,
+    precipitation: 0, cloudCover: 10, condition: 'Clear',
+    description: 'clear sky', precipitationType: 'none'
+  },
+  'Iceland': {
+    temp: -2.2, humidity: 85, windSpeed: 8.5, pressure: 1005,
+    precipitation: 5.08, cloudCover: 95, condition: 'Snow',
+    description: 'light snow', precipitationType: 'snow'
+  },
+  'Singapore': {
+    temp: 27.8, humidity: 90, windSpeed: 2.5, pressure: 1012,
+    precipitation: 7.62, cloudCover: 70, condition: 'Rain',
+    description: 'heavy rain', precipitationType: 'rain'
+  },
+  'default': {
+    temp: 20, humidity: 60, windSpeed: 4.0, pressure: 1013,
+    precipitation: 1.016, cloudCover: 50, condition: 'Clouds',
+    description: 'scattered clouds', precipitationType: 'none'
+  }
+};
+
+/**
+ * Mock config for a location, matched on its name ("london, GB" -> London)
+ */
+function getConfig(location) {
+  const [name] = String(location).split(',');
+  const match = Object.keys(MOCK_CONFIGS).find(key => key.toLowerCase() === name.trim().toLowerCase());
+  return MOCK_CONFIGS[match] || MOCK_CONFIGS['default'];
+}
+
+/**
+ * Location to report and match against the mock table
+ * Coordinates are named after the nearest gazetteer place, so "use my
+ * location" in London still gets London's weather.
+ */
+async function resolveLocation(location) {
+  const coordinates = parseCoordinates(location);
+  if (!coordinates) return location;
+
+  const place = await nearestPlace(coordinates.lat, coordinates.lon);
+  return place ? place.name : location;
+}
+
+/**
+ * Generate a synthetic weather timeline
+ * Starts from the location's mock config and layers a daily temperature
+ * cycle and slowly drifting clouds, wind and rain on top of it.
+ * The same location always produces the same timeline shape.
+ * @param {string} location - Location name (matched against the mock table)
+ * @param {Object} options
+ * @param {Date} options.start - Timestamp of the first entry
+ * @param {number} options.steps - Number of entries to generate
+ * @param {number} options.stepHours - Hours between entries
+ */
+function getMockTimeline(location, { start, steps, stepHours }) {
+  const config = getConfig(location);
+  
+  // Derive a stable phase offset from the location name
+  let phase = 0;
+  for (const char of String(location)) {
+    phase = (phase * 31 + char.charCodeAt(0)) % 997;
+  }
+  
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const isColdClimate = config.precipitationType === 'snow';
+  const timeline = [];
+  
+  for (let i = 0; i < steps; i++) {
+    const time = new Date(start.getTime() + i * stepHours * 3600 * 1000);
+    const hours = i * stepHours;
+    
+    // Warmest mid-afternoon, coldest just before dawn
+    const dayCycle = Math.sin(((time.getUTCHours() - 9) / 24) * Math.PI * 2);
+    const drift = Math.sin((hours + phase) / 17);
+    const gust = Math.sin((hours + phase) / 5);
+    
+    const temp = config.temp + dayCycle * 4.4 + drift * 1.7;
+    const humidity = clamp(config.humidity - dayCycle * 10 + drift * 5, 5, 100);
+    const windSpeed = Math.max(0, config.windSpeed * (1 + gust * 0.4));
+    const pressure = config.pressure - drift * 6;
+    const cloudCover = Math.round(clamp(config.cloudCover + drift * 30, 0, 100));
+    
+    // Rain only falls under heavy cloud
+    const precipitation = cloudCover > 60
+      ? (config.precipitation + 1.27) * ((cloudCover - 60) / 40)
+      : 0;
+    
+    let condition = 'Clear';
+    let description = 'clear sky';
+    let precipitationType = 'none';
+    
+    if (precipitation > 0.25) {
+      const isSnow = isColdClimate || temp < 0;
+      condition = isSnow ? 'Snow' : 'Rain';
+      description = precipitation > 5 ? `heavy ${condition.toLowerCase()}` : `light ${condition.toLowerCase()}`;
+      precipitationType = isSnow ? 'snow' : 'rain';
+    } else if (cloudCover > 25) {
+      condition = 'Clouds';
+      description = cloudCover > 60 ? 'overcast clouds' : 'scattered clouds';
+    }
+    
+    timeline.push({
+      name: location,
+      country: 'DEMO',
+      temp,
+      humidity,
+      windSpeed,
+      pressure,
+      cloudCover,
+      condition,
+      description,
+      precipitation,
+      precipitationType,
+      time
+    });
+  }
+  
+  return timeline;
+}
+
+/**
+ * Mock current conditions
+ */
+export async function fetchCurrent(location) {
+  const name = await resolveLocation(location);
+  const config = getConfig(name);
+  
+  return {
+    ...config,
+    name,
+    country: 'DEMO',
+    time: new Date()
+  };
+}
+
+/**
+ * Synthetic 5-day / 3-hour forecast
+ */
+export async function fetchForecast(location) {
+  return getMockTimeline(await resolveLocation(location), { start: new Date(), steps: 40, stepHours: 3 });
+}
+
+/**
+ * Synthetic hourly history
+ */
+export async function fetchHistory(location, hours) {
+  const start = new Date(Date.now() - hours * 3600 * 1000);
+  return getMockTimeline(await resolveLocation(location), { start, steps: hours, stepHours: 1 });
+}
+
+/**
+ * Search the offline gazetteer
+ */
+export async function geocode(query) {
+  return searchGazetteer(query);
+}
+
+export default {
+  name: NAME,
+  isConfigured: () => true,
+  fetchCurrent,
+  fetchForecast,
+  fetchHistory,
+  geocode
+};
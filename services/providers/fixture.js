@@ -0,0 +1,93 @@
+import { readFixture } from './fixtureStore.js';
+import { searchGazetteer } from '../gazetteer.js';
+import openWeatherMap from './openWeatherMap.js';
+import openMeteo from './openMeteo.js';
+
+const NAME = 'fixture';
+
+// Providers whose recorded responses we know how to parse
+const RECORDERS = {
+  [openWeatherMap.name]: openWeatherMap,
+  [openMeteo.name]: openMeteo
+};
+
+const PARSERS = {
+  current: 'parseCurrent',
+  forecast: 'parseForecast',
+  history: 'parseHistory',
+  geocode: 'parseGeocode'
+};
+
+/**
+ * Name observations replayed from the "default" fixture after the requested location
+ * The default was recorded in one real place, and showing its name and
+ * country for any other city would pass it off as that city's weather.
+ */
+function relabel(observations, location) {
+  const named = observation => ({ ...observation, name: location, country: undefined });
+  return Array.isArray(observations) ? observations.map(named) : named(observations);
+}
+
+/**
+ * Replay a recorded response through the parser of the provider that recorded it
+ * Falls back to the "default" fixture, relabelled, when the location has none of its own.
+ */
+async function replay(location, kind) {
+  const own = await readFixture(location, kind);
+  const fixture = own || (await readFixture('default', kind));
+  
+  if (!fixture) {
+    throw new Error(`No recorded ${kind} weather fixture for "${location}"`);
+  }
+  
+  const recorder = RECORDERS[fixture.provider];
+  if (!recorder) {
+    throw new Error(`Weather fixture for "${location}" was recorded by unknown provider "${fixture.provider}"`);
+  }
+  
+  const parsed = recorder[PARSERS[kind]](fixture.response, location);
+  return own ? parsed : relabel(parsed, location);
+}
+
+/**
+ * Replay recorded current conditions
+ */
+export async function fetchCurrent(location) {
+  return replay(location, 'current');
+}
+
+/**
+ * Replay a recorded forecast
+ */
+export async function fetchForecast(location) {
+  return replay(location, 'forecast');
+}
+
+/**
+ * Replay recorded history, trimmed to the most recent hours
+ */
+export async function fetchHistory(location, hours) {
+  const history = await replay(location, 'history');
+  return history.slice(-hours);
+}
+
+/**
+ * Replay recorded geocoding results
+ * Queries nobody recorded (e.g. each keystroke of an autocomplete) are
+ * answered from the offline gazetteer instead.
+ */
+export async function geocode(query) {
+  if (!(await readFixture(query, 'geocode'))) {
+    return searchGazetteer(query);
+  }
+  return replay(query, 'geocode');
+}
+
+export default {
+  name: NAME,
+  isConfigured: () => true,
+  fetchCurrent,
+  fetchForecast,
+  fetchHistory,
+  geocode
+};
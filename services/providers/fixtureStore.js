@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Read lazily: provider modules load before server.js runs dotenv
+const fixtureDir = () => path.resolve(process.env.WEATHER_FIXTURE_DIR || 'fixtures/weather');
+
+/**
+ * Turn a location into a fixture-friendly file name part
+ * e.g. "New York" -> "new-york", "51.5074,-0.1278" -> "51.5074_-0.1278"
+ */
+export function fixtureSlug(location) {
+  return String(location)
+    .trim()
+    .toLowerCase()
+    .replace(/,\s*/g, '_')
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Path of the fixture file for a location and request kind
+ * @param {string} location - Location as typed by the user
+ * @param {string} kind - 'current', 'forecast', 'history' or 'geocode'
+ */
+export function fixturePath(location, kind) {
+  return path.join(fixtureDir(), `${fixtureSlug(location)}.${kind}.json`);
+}
+
+/**
+ * Read a recorded response
+ * @returns {Promise<Object|null>} { provider, response } or null if nothing was recorded
+ */
+export async function readFixture(location, kind) {
+  try {
+    const contents = await fs.readFile(fixturePath(location, kind), 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Unreadable weather fixture for "${location}" (${kind}): ${error.message}`);
+  }
+}
+
+/**
+ * Record a raw provider response so the fixture provider can replay it
+ */
+export async function writeFixture(location, kind, provider, response) {
+  await fs.mkdir(fixtureDir(), { recursive: true });
+  const fixture = { provider, recordedAt: new Date().toISOString(), response };
+  await fs.writeFile(fixturePath(location, kind), `${JSON.stringify(fixture, null, 2)}\n`);
+}
@@ -0,0 +1,28 @@
+import axios from 'axios';
+import { writeFixture } from './fixtureStore.js';
+
+/**
+ * GET a JSON document from a weather API
+ * When WEATHER_RECORD_FIXTURES is on, the raw response is also saved to
+ * the fixture directory so it can be replayed offline later.
+ * @param {string} url - Full request URL
+ * @param {Object} recording - What this request is, for fixture recording
+ * @param {string} recording.provider - Provider name
+ * @param {string} recording.kind - 'current', 'forecast', 'history' or 'geocode'
+ * @param {string} recording.location - Location as typed by the user
+ * @param {Object} recording.attach - Extra fields merged into the response (and its fixture)
+ */
+export async function getJson(url, { provider, kind, location, attach }) {
+  const response = await axios.get(url);
+  const data = attach ? { ...response.data, ...attach } : response.data;
+  
+  if (process.env.WEATHER_RECORD_FIXTURES === 'true') {
+    try {
+      await writeFixture(location, kind, provider, data);
+    } catch (error) {
+      console.error('Failed to record weather fixture:', error.message);
+    }
+  }
+  
+  return data;
+}
@@ -0,0 +1,41 @@
+import openWeatherMap from './openWeatherMap.js';
+import openMeteo from './openMeteo.js';
+import fixture from './fixture.js';
+import demo from './demo.js';
+
+/**
+ * Weather providers
+ * Every provider implements:
+ *   fetchCurrent(location) -> observation
+ *   fetchForecast(location) -> observation[]
+ *   fetchHistory(location, hours) -> observation[]
+ *   geocode(query) -> [{ name, region, country, lat, lon }]
+ * Observations are provider-neutral; see normalizeObservation in weatherService.
+ */
+const PROVIDERS = {
+  [openWeatherMap.name]: openWeatherMap,
+  [openMeteo.name]: openMeteo,
+  [fixture.name]: fixture,
+  [demo.name]: demo
+};
+
+/**
+ * Pick the provider named by WEATHER_PROVIDER (default: openweathermap)
+ * Falls back to demo data when DEMO_MODE is on or the provider isn't configured.
+ */
+export function getProvider() {
+  const name = (process.env.WEATHER_PROVIDER || openWeatherMap.name).toLowerCase();
+  const provider = PROVIDERS[name];
+  
+  if (!provider) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  
+  if (process.env.DEMO_MODE === 'true' || !provider.isConfigured()) {
+    return demo;
+  }
+  
+  return provider;
+}
+
+export default PROVIDERS;
@@ -0,0 +1,238 @@
+import { getJson } from './http.js';
+import { parseCoordinates, splitPlaceQuery, matchesPlaceQuery } from '../../src/places.js';
+import { fahrenheitToCelsius, mphToMetersPerSecond } from '../../src/units.js';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const GEO_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+const NAME = 'openmeteo';
+
+// Hourly/current variables we ask for, in Open-Meteo's naming
+const VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'wind_speed_10m',
+  'pressure_msl',
+  'cloud_cover',
+  'weather_code',
+  'precipitation',
+  'snowfall'
+].join(',');
+
+// Canonical units (°C, m/s, mm); Celsius is Open-Meteo's default
+const UNITS = 'wind_speed_unit=ms&precipitation_unit=mm&timeformat=unixtime&timezone=UTC';
+
+/**
+ * WMO weather interpretation codes -> OpenWeatherMap-style condition names
+ */
+const WEATHER_CODES = {
+  0: ['Clear', 'clear sky'],
+  1: ['Clouds', 'mainly clear'],
+  2: ['Clouds', 'partly cloudy'],
+  3: ['Clouds', 'overcast clouds'],
+  45: ['Fog', 'fog'],
+  48: ['Fog', 'depositing rime fog'],
+  51: ['Drizzle', 'light drizzle'],
+  53: ['Drizzle', 'drizzle'],
+  55: ['Drizzle', 'dense drizzle'],
+  56: ['Drizzle', 'freezing drizzle'],
+  57: ['Drizzle', 'dense freezing drizzle'],
+  61: ['Rain', 'light rain'],
+  63: ['Rain', 'moderate rain'],
+  65: ['Rain', 'heavy rain'],
+  66: ['Rain', 'freezing rain'],
+  67: ['Rain', 'heavy freezing rain'],
+  71: ['Snow', 'light snow'],
+  73: ['Snow', 'snow'],
+  75: ['Snow', 'heavy snow'],
+  77: ['Snow', 'snow grains'],
+  80: ['Rain', 'light rain showers'],
+  81: ['Rain', 'rain showers'],
+  82: ['Rain', 'violent rain showers'],
+  85: ['Snow', 'snow showers'],
+  86: ['Snow', 'heavy snow showers'],
+  95: ['Thunderstorm', 'thunderstorm'],
+  96: ['Thunderstorm', 'thunderstorm with hail'],
+  99: ['Thunderstorm', 'thunderstorm with heavy hail']
+};
+
+/**
+ * Rethrow an upstream failure with a friendlier message
+ * Open-Meteo reports problems as { error: true, reason: "..." }
+ */
+function handleApiError(error, location) {
+  console.error('Error fetching weather:', error.message);
+  if (error.response && error.response.data && error.response.data.reason) {
+    throw new Error(`Weather API error: ${error.response.data.reason}`);
+  }
+  throw new Error(`Failed to fetch weather for ${location}: ${error.message}`);
+}
+
+/**
+ * Convert one set of Open-Meteo readings into a provider-neutral observation
+ * @param {Object} reading - One hour (or the current block) of readings
+ * @param {Object} place - Resolved place
+ * @param {Object} units - The response's `current_units`/`hourly_units`; older fixtures are in °F and mph
+ */
+function toObservation(reading, place, units = {}) {
+  const [condition, description] = WEATHER_CODES[reading.weather_code] || ['Clouds', 'unknown'];
+  
+  // `precipitation` already includes the water equivalent of any snowfall
+  const precipitation = reading.precipitation || 0;
+  let precipitationType = 'none';
+  if (precipitation > 0) {
+    precipitationType = reading.snowfall > 0 ? 'snow' : 'rain';
+  }
+  
+  return {
+    name: place.name,
+    country: place.country,
+    temp: units.temperature_2m === '°F' ? fahrenheitToCelsius(reading.temperature_2m) : reading.temperature_2m,
+    humidity: reading.relative_humidity_2m,
+    windSpeed: units.wind_speed_10m === 'mp/h' ? mphToMetersPerSecond(reading.wind_speed_10m) : reading.wind_speed_10m,
+    pressure: reading.pressure_msl,
+    cloudCover: reading.cloud_cover,
+    condition,
+    description,
+    precipitation,
+    precipitationType,
+    time: new Date(reading.time * 1000)
+  };
+}
+
+/**
+ * Split Open-Meteo's column-oriented hourly block into one reading per hour
+ */
+function hourlyReadings(hourly) {
+  return hourly.time.map((time, i) => {
+    const reading = { time };
+    Object.keys(hourly).forEach(key => {
+      reading[key] = hourly[key][i];
+    });
+    return reading;
+  });
+}
+
+/**
+ * Parse a raw forecast response holding a `current` block
+ * @param {Object} response - Raw response, with the resolved place attached as `place`
+ */
+export function parseCurrent(response) {
+  return toObservation(response.current, response.place, response.current_units);
+}
+
+/**
+ * Parse a raw forecast response holding an `hourly` block
+ * Sampled every 3 hours to match the OpenWeatherMap forecast cadence.
+ */
+export function parseForecast(response) {
+  return hourlyReadings(response.hourly)
+    .filter((_, i) => i % 3 === 0)
+    .map(reading => toObservation(reading, response.place, response.hourly_units));
+}
+
+/**
+ * Parse a raw response holding past hours in its `hourly` block
+ */
+export function parseHistory(response) {
+  return hourlyReadings(response.hourly).map(reading => toObservation(reading, response.place, response.hourly_units));
+}
+
+/**
+ * Parse a raw geocoding response
+ */
+export function parseGeocode(response) {
+  return (response.results || []).map(place => ({
+    name: place.name,
+    region: place.admin1 || '',
+    country: place.country_code || place.country,
+    lat: place.latitude,
+    lon: place.longitude
+  }));
+}
+
+/**
+ * Look up places matching a free-text query
+ */
+export async function geocode(query) {
+  // Open-Meteo only searches names, so "Paris, FR" is looked up as "Paris" and narrowed down here
+  const search = splitPlaceQuery(query);
+  const [name] = String(query).split(',');
+  const count = search.qualifiers.length > 0 ? 20 : 5;
+  const url = `${GEO_URL}?name=${encodeURIComponent(name.trim())}&count=${count}`;
+  
+  try {
+    const data = await getJson(url, { provider: NAME, kind: 'geocode', location: query });
+    return parseGeocode(data)
+      .filter(place => matchesPlaceQuery(place, search))
+      .slice(0, 5);
+  } catch (error) {
+    handleApiError(error, query);
+  }
+}
+
+/**
+ * Resolve a location to coordinates
+ * Open-Meteo only accepts lat/lon, so city names are geocoded first.
+ */
+async function resolvePlace(location) {
+  const coordinates = parseCoordinates(location);
+  if (coordinates) {
+    return { name: location, country: 'Unknown', ...coordinates };
+  }
+  
+  const [place] = await geocode(location);
+  if (!place) {
+    throw new Error(`Location "${location}" not found. Please check the spelling or try coordinates (lat,lon).`);
+  }
+  return place;
+}
+
+/**
+ * Request readings for a location and attach the resolved place to the response
+ */
+async function request(location, kind, params) {
+  const place = await resolvePlace(location);
+  const url = `${FORECAST_URL}?latitude=${place.lat}&longitude=${place.lon}&${params}&${UNITS}`;
+  console.log('Fetching weather from:', url);
+  
+  try {
+    return await getJson(url, { provider: NAME, kind, location, attach: { place } });
+  } catch (error) {
+    handleApiError(error, location);
+  }
+}
+
+/**
+ * Fetch current conditions
+ */
+export async function fetchCurrent(location) {
+  return parseCurrent(await request(location, 'current', `current=${VARIABLES}`));
+}
+
+/**
+ * Fetch a 5-day forecast
+ */
+export async function fetchForecast(location) {
+  return parseForecast(await request(location, 'forecast', `hourly=${VARIABLES}&forecast_hours=120`));
+}
+
+/**
+ * Fetch hourly readings for the past few hours
+ */
+export async function fetchHistory(location, hours) {
+  return parseHistory(await request(location, 'history', `hourly=${VARIABLES}&past_hours=${hours}&forecast_hours=0`));
+}
+
+export default {
+  name: NAME,
+  isConfigured: () => true, // No API key needed
+  fetchCurrent,
+  fetchForecast,
+  fetchHistory,
+  geocode,
+  parseCurrent,
+  parseForecast,
+  parseHistory,
+  parseGeocode
+};
@@ -0,0 +1,222 @@
+import { getJson } from './http.js';
+import { parseCoordinates } from '../../src/places.js';
+import { fahrenheitToCelsius, mphToMetersPerSecond } from '../../src/units.js';
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const HISTORY_URL = 'https://history.openweathermap.org/data/2.5';
+const GEO_URL = 'https://api.openweathermap.org/geo/1.0';
+
+const NAME = 'openweathermap';
+
+// Read lazily: provider modules load before server.js runs dotenv
+const apiKey = () => process.env.OPENWEATHER_API_KEY;
+
+// Readings are requested in metric (°C, m/s) and responses are marked with
+// `units`, so fixtures recorded in imperial before the switch still parse
+const UNITS = 'metric';
+
+/**
+ * Build the location part of an OpenWeatherMap query string
+ */
+function buildLocationQuery(location) {
+  const coordinates = parseCoordinates(location);
+  if (coordinates) {
+    return `lat=${coordinates.lat}&lon=${coordinates.lon}`;
+  }
+  
+  // Location is a place name, optionally qualified ("Paris, FR")
+  return `q=${encodeURIComponent(location)}`;
+}
+
+/**
+ * Log an upstream failure and rethrow it with a friendlier message
+ */
+function handleApiError(error, location) {
+  console.error('Error fetching weather:', error.message);
+  if (error.response) {
+    console.error('Response status:', error.response.status);
+    console.error('Response data:', error.response.data);
+    
+    // Provide more helpful error messages
+    if (error.response.status === 404) {
+      throw new Error(`Location "${location}" not found. Please check the spelling or try coordinates (lat,lon).`);
+    } else if (error.response.status === 401) {
+      throw new Error('Invalid API key. Please check your OPENWEATHER_API_KEY in .env file.');
+    } else if (error.response.data && error.response.data.message) {
+      throw new Error(`Weather API error: ${error.response.data.message}`);
+    }
+  }
+  throw new Error(`Failed to fetch weather for ${location}: ${error.message}`);
+}
+
+/**
+ * Convert one OpenWeatherMap weather entry into a provider-neutral observation
+ * The same entry shape is used by /weather, /forecast list items and history list items.
+ */
+function toObservation(data, fallbackName) {
+  // Validate required data structure
+  if (!data.main || !data.weather || !data.weather[0]) {
+    throw new Error('Invalid weather data received from API');
+  }
+  
+  // Rain and snow volumes are in mm for last 1h or 3h
+  const volume = (bucket) => (bucket && (bucket['1h'] || bucket['3h'])) || 0;
+  let precipitation = 0;
+  let precipitationType = 'none';
+  
+  if (data.rain) {
+    precipitation = volume(data.rain);
+    precipitationType = 'rain';
+  } else if (data.snow) {
+    precipitation = volume(data.snow);
+    precipitationType = 'snow';
+  }
+  
+  return {
+    name: data.name || fallbackName,
+    country: data.sys && data.sys.country,
+    temp: data.main.temp,
+    humidity: data.main.humidity,
+    windSpeed: data.wind && data.wind.speed,
+    pressure: data.main.pressure,
+    cloudCover: data.clouds && data.clouds.all,
+    condition: data.weather[0].main, // Clear, Clouds, Rain, Snow, etc.
+    description: data.weather[0].description,
+    precipitation,
+    precipitationType,
+    time: data.dt ? new Date(data.dt * 1000) : new Date()
+  };
+}
+
+/**
+ * Observations from a response recorded in imperial, converted to °C and m/s
+ */
+function inCanonicalUnits(response, observations) {
+  if (response.units === UNITS) return observations;
+  
+  return observations.map(observation => ({
+    ...observation,
+    temp: fahrenheitToCelsius(observation.temp),
+    windSpeed: mphToMetersPerSecond(observation.windSpeed || 0)
+  }));
+}
+
+/**
+ * Parse a raw /weather response
+ */
+export function parseCurrent(response, location) {
+  const [observation] = inCanonicalUnits(response, [toObservation(response, location)]);
+  return observation;
+}
+
+/**
+ * Parse a raw /forecast response
+ */
+export function parseForecast(response, location) {
+  const { city = {}, list = [] } = response;
+  
+  // Forecast entries don't carry the city name, so borrow it from the envelope
+  return inCanonicalUnits(response, list.map(entry => toObservation({
+    ...entry,
+    name: city.name || location,
+    sys: { country: city.country }
+  })));
+}
+
+/**
+ * Parse a raw history/city response
+ */
+export function parseHistory(response, location) {
+  const { list = [] } = response;
+  
+  return inCanonicalUnits(response, list.map(entry => toObservation(entry, location)))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Parse a raw geocoding response
+ */
+export function parseGeocode(response) {
+  return response.map(place => ({
+    name: place.name,
+    region: place.state || '',
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon
+  }));
+}
+
+/**
+ * Fetch current conditions
+ * @param {string} location - City name or coordinates (e.g., "London" or "51.5074,-0.1278")
+ */
+export async function fetchCurrent(location) {
+  const url = `${BASE_URL}/weather?${buildLocationQuery(location)}&appid=${apiKey()}&units=${UNITS}`;
+  console.log('Fetching weather from:', url.replace(apiKey(), 'API_KEY'));
+  
+  try {
+    const data = await getJson(url, { provider: NAME, kind: 'current', location, attach: { units: UNITS } });
+    return parseCurrent(data, location);
+  } catch (error) {
+    handleApiError(error, location);
+  }
+}
+
+/**
+ * Fetch the 5-day / 3-hour forecast
+ */
+export async function fetchForecast(location) {
+  const url = `${BASE_URL}/forecast?${buildLocationQuery(location)}&appid=${apiKey()}&units=${UNITS}`;
+  console.log('Fetching forecast from:', url.replace(apiKey(), 'API_KEY'));
+  
+  try {
+    const data = await getJson(url, { provider: NAME, kind: 'forecast', location, attach: { units: UNITS } });
+    return parseForecast(data, location);
+  } catch (error) {
+    handleApiError(error, location);
+  }
+}
+
+/**
+ * Fetch hourly history (requires a plan that includes the History API)
+ */
+export async function fetchHistory(location, hours) {
+  const end = Math.floor(Date.now() / 1000);
+  const start = end - hours * 3600;
+  const url = `${HISTORY_URL}/history/city?${buildLocationQuery(location)}&type=hour&start=${start}&end=${end}&appid=${apiKey()}&units=${UNITS}`;
+  console.log('Fetching history from:', url.replace(apiKey(), 'API_KEY'));
+  
+  try {
+    const data = await getJson(url, { provider: NAME, kind: 'history', location, attach: { units: UNITS } });
+    return parseHistory(data, location);
+  } catch (error) {
+    handleApiError(error, location);
+  }
+}
+
+/**
+ * Look up places matching a free-text query
+ */
+export async function geocode(query) {
+  const url = `${GEO_URL}/direct?q=${encodeURIComponent(query)}&limit=5&appid=${apiKey()}`;
+  
+  try {
+    const data = await getJson(url, { provider: NAME, kind: 'geocode', location: query });
+    return parseGeocode(data);
+  } catch (error) {
+    handleApiError(error, query);
+  }
+}
+
+export default {
+  name: NAME,
+  isConfigured: () => Boolean(apiKey()),
+  fetchCurrent,
+  fetchForecast,
+  fetchHistory,
+  geocode,
+  parseCurrent,
+  parseForecast,
+  parseHistory,
+  parseGeocode
+};
@@ -0,0 +1,129 @@
+import { createMemoryStore } from './cache/memoryStore.js';
+import { createMongoStore } from './cache/mongoStore.js';
+
+/**
+ * Normalize a location so equivalent inputs share a cache entry
+ * "  new   York " -> "new york", "51.50741,-0.12781" -> "51.507,-0.128"
+ */
+export function normalizeLocationKey(location) {
+  const trimmed = String(location).trim().toLowerCase().replace(/\s+/g, ' ');
+  const parts = trimmed.split(',').map(part => part.trim());
+
+  // Coordinates: ~100m precision is plenty for weather
+  if (parts.length === 2 && parts.every(part => part !== '' && !Number.isNaN(Number(part)))) {
+    return parts.map(part => Number(part).toFixed(3)).join(',');
+  }
+
+  return parts.join(',');
+}
+
+/**
+ * Weather cache with TTL, request coalescing and stale-while-revalidate
+ * - Fresh entries (younger than ttl) are served as HIT
+ * - Entries within the stale window are served as STALE and refreshed in the background
+ * - Older entries are refreshed first; if upstream fails they are still served as STALE
+ * - Concurrent requests for the same key share one upstream call
+ * @param {Object} options
+ * @param {Object} options.store - Cache store (get/set returning promises)
+ * @param {number} options.ttl - Seconds an entry counts as fresh
+ * @param {number} options.staleTtl - Extra seconds a stale entry is served while revalidating
+ */
+export function createWeatherCache({ store = createMemoryStore(), ttl = 600, staleTtl = 3600 } = {}) {
+  const inFlight = new Map();
+
+  async function readEntry(key) {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error(`Weather cache (${store.name}) read failed:`, error.message);
+      return null;
+    }
+  }
+
+  function refresh(key, loader) {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const value = await loader();
+        try {
+          await store.set(key, { value, storedAt: Date.now() });
+        } catch (error) {
+          console.error(`Weather cache (${store.name}) write failed:`, error.message);
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Get a cached value, loading it on a miss
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing a fresh value
+   * @returns {Promise<{value: *, status: string}>} status is 'HIT', 'MISS' or 'STALE'
+   */
+  async function get(key, loader) {
+    const entry = await readEntry(key);
+    const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+    if (age < ttl) {
+      return { value: entry.value, status: 'HIT' };
+    }
+
+    if (age < ttl + staleTtl) {
+      refresh(key, loader).catch(error => {
+        console.error(`Background refresh of ${key} failed:`, error.message);
+      });
+      return { value: entry.value, status: 'STALE' };
+    }
+
+    try {
+      const value = await refresh(key, loader);
+      return { value, status: 'MISS' };
+    } catch (error) {
+      if (entry) {
+        console.error(`Serving stale ${key} after upstream failure:`, error.message);
+        return { value: entry.value, status: 'STALE' };
+      }
+      throw error;
+    }
+  }
+
+  return {
+    get,
+    store
+  };
+}
+
+/**
+ * Build the cache from environment settings
+ * WEATHER_CACHE_STORE: 'memory' (default) or 'mongo'
+ * WEATHER_CACHE_TTL / WEATHER_CACHE_STALE_TTL: seconds
+ */
+export function createWeatherCacheFromEnv() {
+  const ttl = Number(process.env.WEATHER_CACHE_TTL) || 600;
+  const staleTtl = Number(process.env.WEATHER_CACHE_STALE_TTL) || 3600;
+  const storeName = process.env.WEATHER_CACHE_STORE || 'memory';
+
+  let store;
+  if (storeName === 'mongo') {
+    store = createMongoStore({ retention: ttl + staleTtl });
+  } else if (storeName === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown WEATHER_CACHE_STORE "${storeName}". Expected "memory" or "mongo"`);
+  }
+
+  console.log(`Weather cache: ${store.name} store, ${ttl}s TTL, ${staleTtl}s stale window`);
+  return createWeatherCache({ store, ttl, staleTtl });
+}
+
+export default createWeatherCache;
@@ -1,24 +1,92 @@
+import { INSTRUMENTS, PERCUSSION, timbreFromWeather } from './instruments.js';
+import { EffectsBus } from './EffectsBus.js';
+import { SCALES, DEFAULT_MODE } from './scales.js';
+import { TempoClock } from './TempoClock.js';
+import { DEFAULT_MAPPER } from './mappings.js';
+
+// Distance (in pit units) at which spatial notes play at full level; about
+// as far as the camera starts from the pit, so the mix stays as loud as before
+const SPATIAL_REF_DISTANCE = 150;
+
 /**
  * AudioEngine - Handles all Web Audio for the Weather Pit
- * Creates pentatonic scales and triggers notes on collisions
+ * Maps ball notes onto scales and tunings and triggers notes on collisions
  */
 export class AudioEngine {
+  /**
+   * Voices for pits with several locations, one per location
+   * octave shifts the whole scale; type and brightness (lowpass cutoff × frequency)
+   * shape the timbre of whichever instrument is playing
+   */
+  static VOICES = [
+    { name: 'Sine', type: 'sine', octave: 0, brightness: 4 },
+    { name: 'Triangle', type: 'triangle', octave: 1, brightness: 3 },
+    { name: 'Square', type: 'square', octave: -1, brightness: 2 },
+    { name: 'Sawtooth', type: 'sawtooth', octave: 0, brightness: 1.5 }
+  ];
+  
+  /**
+   * Which sounding note to cut when polyphony runs out
+   * oldest: the one that started first; quietest: the one with the lowest level
+   */
+  static STEAL_POLICIES = ['oldest', 'quietest'];
+  
+  /**
+   * What a new hit does to the same note still sounding
+   * restart: release it and start again; layer: let both ring;
+   * ignore: drop the new hit until the old one is released
+   */
+  static RETRIGGER_MODES = ['restart', 'layer', 'ignore'];
+  
   constructor() {
     this.audioContext = null;
     this.masterGain = null;
+    this.effects = null; // EffectsBus between masterGain and the destination
     this.isInitialized = false;
+    this.isLive = false; // False when rendering into an offline context
+    
+    // Lowest note is the root key in the octave starting at C3
+    this.baseMidiNote = 48; // C3
+    this.rootKey = 0; // Semitones above C (see ROOT_KEYS)
+    
+    // Scale every location plays in, or null to let each location's weather choose
+    this.scale = null;
+    
+    // Scala tuning ({ description, cents }), or null for equal temperament
+    this.tuning = null;
     
-    // Pentatonic scale notes
-    this.scales = {
-      major: [0, 2, 4, 7, 9], // Major pentatonic intervals
-      minor: [0, 3, 5, 7, 10]  // Minor pentatonic intervals
+    // Sounding notes: { key, start, releaseStart, end, level, sources, gainNode }
+    // key is `${voice}:${noteIndex}`; times are in the engine clock
+    this.activeVoices = [];
+    
+    // Voice allocation
+    // maxPolyphony: most notes sounding at once
+    // debounce: seconds within which a second hit on the same note is dropped
+    // burstLimit: most hits one voice starts within burstWindow seconds (thins pile-ups)
+    this.voicing = {
+      maxPolyphony: 24,
+      stealPolicy: 'oldest',
+      retrigger: 'restart',
+      debounce: 0.03,
+      burstWindow: 0.05,
+      burstLimit: 4
     };
     
-    // Base frequency for C3
-    this.baseFreq = 130.81;
+    // Beat grid for quantizing notes, and the drone that plays on it
+    this.tempoClock = new TempoClock();
+    this.droneEnabled = false;
+    this.droneMode = DEFAULT_MODE; // Follows the pit's first location
+    this.droneNextBar = null; // Start time of the next bar to schedule
+    this.droneVoices = [];
+    
+    // Master limiter threshold in dB (the last stage before the speakers)
+    this.limiterThreshold = -6;
+    this.limiter = null;
     
-    // Currently playing notes (to avoid overlapping sounds)
-    this.activeNotes = new Map();
+    // 3D audio: each note is panned (HRTF) from where it happened in the pit
+    // and heard from the listener pose, which the pit ties to its camera
+    this.spatial = true;
+    this.listenerPose = null; // { position, forward, up }, each { x, y, z }
     
     // ADSR Envelope parameters (in seconds)
     // Attack: Time to reach peak volume
@@ -31,22 +99,59 @@ export class AudioEngine {
       sustain: 0.7,   // Hold at 70% of peak volume
       release: 0.8    // Longer release for nice fade-out
     };
+    
+    // Optional () => seconds used to schedule notes instead of the context's clock.
+    // Offline renders set it to simulation time so notes land where they happened.
+    this.clock = null;
+    
+    // Sound source for every note (see instruments.js)
+    this.instrument = 'classic';
+    
+    // When on, each location's weather shapes its timbre instead of its voice
+    this.weatherTimbre = false;
+    this.mapper = DEFAULT_MAPPER; // Weather→timbre rules, set by the pit
+    
+    // Effects settings, kept so they can be set before init
+    this.effectSettings = { ...EffectsBus.DEFAULTS };
+    
+    // Live recording of the master bus
+    this.recorder = null;
+    this.recordDestination = null;
+    this.recordedChunks = null;
   }
   
   /**
    * Initialize Web Audio Context
    * Must be called after user interaction
+   * @param {BaseAudioContext} context - Render into this context instead (e.g. an OfflineAudioContext)
    */
-  async init() {
+  async init(context = null) {
     if (this.isInitialized) return;
     
     try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+      this.isLive = !context;
       
       // Master gain for volume control
       this.masterGain = this.audioContext.createGain();
       this.masterGain.gain.value = 0.3; // Start at 30% volume
-      this.masterGain.connect(this.audioContext.destination);
+      
+      // Master -> effects -> limiter -> destination
+      this.effects = new EffectsBus(this.audioContext, this.effectSettings);
+      this.effectSettings = this.effects.get();
+      this.limiter = this.audioContext.createDynamicsCompressor();
+      this.limiter.knee.value = 0;
+      this.limiter.ratio.value = 20;
+      this.limiter.attack.value = 0.003;
+      this.limiter.release.value = 0.25;
+      this.limiter.threshold.value = this.limiterThreshold;
+      this.masterGain.connect(this.effects.input);
+      this.effects.output.connect(this.limiter);
+      this.limiter.connect(this.audioContext.destination);
+      
+      if (this.listenerPose) {
+        this.applyListener();
+      }
       
       this.isInitialized = true;
       console.log('Audio Engine initialized');
@@ -56,55 +161,142 @@ export class AudioEngine {
   }
   
   /**
-   * Get frequency for a specific note in the pentatonic scale
+   * Time notes are scheduled from
+   */
+  now() {
+    return this.clock ? this.clock() : this.audioContext.currentTime;
+  }
+  
+  /**
+   * Scale a note is played in
+   * @param {string} mode - Mode chosen by the note's weather (key of SCALES)
+   * @returns {string} The engine's scale if one is set, otherwise mode
+   */
+  getScaleName(mode) {
+    if (this.scale) return this.scale;
+    return SCALES[mode] ? mode : DEFAULT_MODE;
+  }
+  
+  /**
+   * Semitones above the root for a note in a scale
    * @param {number} noteIndex - 0-24 (5 notes × 5 balls per metric)
-   * @param {boolean} isMajor - true for major scale, false for minor
+   * @param {string} mode - Key of SCALES
    */
-  getFrequency(noteIndex, isMajor = true) {
-    const scale = isMajor ? this.scales.major : this.scales.minor;
+  getSemitones(noteIndex, mode = DEFAULT_MODE) {
+    const { intervals } = SCALES[this.getScaleName(mode)];
     
-    // Map noteIndex (0-24) to octave and scale position
-    const octave = Math.floor(noteIndex / 5);
-    const scalePosition = noteIndex % 5;
+    // Walk up the scale, wrapping into the next octave
+    const octave = Math.floor(noteIndex / intervals.length);
+    const degree = noteIndex % intervals.length;
     
-    // Get semitone offset from scale
-    const semitoneOffset = scale[scalePosition];
+    return (octave * 12) + intervals[degree];
+  }
+  
+  /**
+   * Cents above the root for a note, after tuning
+   * A 12-note Scala tuning retunes each semitone of the scale; tunings with
+   * any other number of notes replace the scale, and balls walk its degrees.
+   * @param {number} noteIndex - 0-24
+   * @param {string} mode - Key of SCALES
+   */
+  getCents(noteIndex, mode = DEFAULT_MODE) {
+    if (this.tuning && this.tuning.cents.length !== 12) {
+      const { cents } = this.tuning;
+      const period = Math.floor(noteIndex / cents.length);
+      const degree = noteIndex % cents.length;
+      return period * cents[cents.length - 1] + (degree === 0 ? 0 : cents[degree - 1]);
+    }
     
-    // Calculate frequency: baseFreq * 2^((octave*12 + semitoneOffset)/12)
-    const totalSemitones = (octave * 12) + semitoneOffset;
-    const frequency = this.baseFreq * Math.pow(2, totalSemitones / 12);
+    return this.tuneSemitones(this.getSemitones(noteIndex, mode));
+  }
+  
+  /**
+   * Cents above the root for a number of semitones, after a 12-note tuning
+   * Other tunings have no semitones, so only whole octaves map onto their period.
+   */
+  tuneSemitones(semitones) {
+    if (!this.tuning) return semitones * 100;
+    
+    const { cents } = this.tuning;
+    const octave = Math.floor(semitones / 12);
+    const step = semitones - octave * 12;
+    const period = cents[cents.length - 1];
+    if (cents.length !== 12) return octave * period;
     
-    return frequency;
+    return octave * period + (step === 0 ? 0 : cents[step - 1]);
+  }
+  
+  /**
+   * Frequency of the root key in the base octave
+   */
+  getRootFrequency() {
+    return 440 * Math.pow(2, (this.baseMidiNote + this.rootKey - 69) / 12);
+  }
+  
+  /**
+   * Get frequency for a note in a scale
+   * @param {number} noteIndex - 0-24 (5 notes × 5 balls per metric)
+   * @param {string} mode - Key of SCALES
+   */
+  getFrequency(noteIndex, mode = DEFAULT_MODE) {
+    return this.getRootFrequency() * Math.pow(2, this.getCents(noteIndex, mode) / 1200);
+  }
+  
+  /**
+   * MIDI note number for a note, including the voice's octave shift
+   * Tunings that fall between keys are rounded to the nearest one.
+   * @param {number} noteIndex - 0-24
+   * @param {string} mode - Key of SCALES
+   * @param {number} voice - Index into AudioEngine.VOICES
+   */
+  getMidiNote(noteIndex, mode = DEFAULT_MODE, voice = 0) {
+    const { octave } = AudioEngine.VOICES[voice % AudioEngine.VOICES.length];
+    return this.baseMidiNote + this.rootKey + octave * 12 + Math.round(this.getCents(noteIndex, mode) / 100);
   }
   
   /**
    * Play a note with given parameters
    * @param {number} noteIndex - Which note to play (0-24)
-   * @param {boolean} isMajor - Major or minor scale
+   * @param {string} mode - Scale chosen by the note's weather (key of SCALES)
    * @param {number} velocity - Collision velocity (affects volume)
    * @param {number} duration - How long to play the note
+   * @param {number} voice - Index into AudioEngine.VOICES
+   * @param {number} delay - Seconds from now to start the note
+   * @param {Object} weatherData - Weather of the note's location (used in weather timbre mode)
+   * @param {Object} position - Where the note happened in pit coordinates ({ x, y, z }), for 3D audio
    */
-  playNote(noteIndex, isMajor, velocity = 1.0, duration = 0.5) {
+  playNote(noteIndex, mode, velocity = 1.0, duration = 0.5, voice = 0, delay = 0, weatherData = null, position = null) {
     if (!this.isInitialized || !this.audioContext) {
       console.warn('Audio not initialized');
       return;
     }
     
     // Resume audio context if suspended (browser autoplay policy)
-    if (this.audioContext.state === 'suspended') {
+    if (this.isLive && this.audioContext.state === 'suspended') {
       this.audioContext.resume();
     }
     
-    const now = this.audioContext.currentTime;
-    const frequency = this.getFrequency(noteIndex, isMajor);
+    const now = this.now() + delay;
+    const { type, octave, brightness } = AudioEngine.VOICES[voice % AudioEngine.VOICES.length];
+    const frequency = this.getFrequency(noteIndex, mode) * Math.pow(2, octave);
     
-    // Stop any existing note for this index
-    this.stopNote(noteIndex);
+    // Decide whether this hit gets a voice, and free one if needed
+    const key = `${voice}:${noteIndex}`;
+    if (!this.allocateVoice(key, now)) return;
     
-    // Create oscillator (the sound generator)
-    const oscillator = this.audioContext.createOscillator();
-    oscillator.type = 'sine'; // Smooth, pleasant sound
-    oscillator.frequency.value = frequency;
+    // Timbre from the location's voice, or from its weather in weather timbre mode
+    const timbre = this.weatherTimbre && weatherData
+      ? timbreFromWeather(weatherData, this.mapper)
+      : { type, brightness, resonance: 1 };
+    
+    // Sound source from the selected instrument
+    const instrument = INSTRUMENTS[this.instrument] || INSTRUMENTS.classic;
+    const { output, sources, nodes } = instrument.create(this.audioContext, {
+      frequency,
+      start: now,
+      duration,
+      timbre
+    });
     
     // Create gain node for this note (for volume control)
     const gainNode = this.audioContext.createGain();
@@ -113,16 +305,15 @@ export class AudioEngine {
     const volume = Math.min(0.4, velocity * 0.1); // Cap at 0.4
     gainNode.gain.value = volume;
     
-    // Create a filter for more interesting timbre
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = frequency * 4;
-    filter.Q.value = 1;
-    
-    // Connect: oscillator -> filter -> gain -> master -> destination
-    oscillator.connect(filter);
-    filter.connect(gainNode);
-    gainNode.connect(this.masterGain);
+    // Connect: instrument -> gain -> (panner) -> master -> destination
+    output.connect(gainNode);
+    const panner = this.spatial && position ? this.createPanner(position, now) : null;
+    if (panner) {
+      gainNode.connect(panner);
+      panner.connect(this.masterGain);
+    } else {
+      gainNode.connect(this.masterGain);
+    }
     
     // ADSR Envelope implementation
     const { attack, decay, sustain, release } = this.adsr;
@@ -141,42 +332,238 @@ export class AudioEngine {
     gainNode.gain.setValueAtTime(sustainVolume, sustainEnd); // Sustain: hold at sustain level
     gainNode.gain.exponentialRampToValueAtTime(0.001, releaseEnd); // Release: sustain to silence
     
-    // Start and schedule stop
-    oscillator.start(now);
-    oscillator.stop(releaseEnd);
+    // Schedule stop (the instrument has already started its sources)
+    sources.forEach(source => source.stop(releaseEnd));
     
     // Clean up after note finishes
-    oscillator.onended = () => {
-      oscillator.disconnect();
-      filter.disconnect();
+    sources[0].onended = () => {
+      nodes.forEach(node => node.disconnect());
       gainNode.disconnect();
-      this.activeNotes.delete(noteIndex);
+      if (panner) panner.disconnect();
     };
     
-    // Store active note
-    this.activeNotes.set(noteIndex, { oscillator, gainNode });
+    // Store active voice
+    this.activeVoices.push({
+      key,
+      start: now,
+      releaseStart: sustainEnd,
+      end: releaseEnd,
+      level: sustainVolume,
+      sources,
+      gainNode
+    });
   }
   
   /**
-   * Stop a currently playing note
+   * Play an obstacle's percussion sound
+   * Percussion has its own decay, so it skips the ADSR and voice allocation.
+   * @param {string} kind - Key of PERCUSSION
+   * @param {number} velocity - Impact speed (affects volume)
+   * @param {number} delay - Seconds from now to start
+   * @param {Object} position - Where the hit happened in pit coordinates, for 3D audio
+   */
+  playPercussion(kind, velocity = 1.0, delay = 0, position = null) {
+    if (!this.isInitialized || !this.audioContext) return;
+    
+    const now = this.now() + delay;
+    const { output, sources, nodes, length } = PERCUSSION[kind].create(this.audioContext, now);
+    
+    const gainNode = this.audioContext.createGain();
+    gainNode.gain.value = Math.min(0.4, velocity * 0.08);
+    output.connect(gainNode);
+    
+    const panner = this.spatial && position ? this.createPanner(position, now) : null;
+    if (panner) {
+      gainNode.connect(panner);
+      panner.connect(this.masterGain);
+    } else {
+      gainNode.connect(this.masterGain);
+    }
+    
+    sources.forEach(source => source.stop(now + length));
+    sources[0].onended = () => {
+      nodes.forEach(node => node.disconnect());
+      gainNode.disconnect();
+      if (panner) panner.disconnect();
+    };
+  }
+  
+  /**
+   * HRTF panner placed at a note's position
+   * Level falls off with distance from the listener (inverse law), so far
+   * corners of the pit are quieter as well as further to one side.
+   * @param {Object} position - { x, y, z } in pit coordinates
+   * @param {number} time - When the note starts
+   * @returns {PannerNode}
+   */
+  createPanner(position, time) {
+    const panner = this.audioContext.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = SPATIAL_REF_DISTANCE;
+    panner.maxDistance = SPATIAL_REF_DISTANCE * 10;
+    panner.rolloffFactor = 1;
+    
+    if (panner.positionX) {
+      panner.positionX.setValueAtTime(position.x, time);
+      panner.positionY.setValueAtTime(position.y, time);
+      panner.positionZ.setValueAtTime(position.z, time);
+    } else {
+      panner.setPosition(position.x, position.y, position.z);
+    }
+    
+    return panner;
+  }
+  
+  /**
+   * Make room for a new note, following the voicing settings
+   * Voices are tracked against the engine clock rather than onended, so
+   * offline renders (which schedule every note before playing) are limited too.
+   * @param {string} key - Voice and note of the new hit
+   * @param {number} now - When the new note starts
+   * @returns {boolean} Whether the note should be played
    */
-  stopNote(noteIndex) {
-    if (this.activeNotes.has(noteIndex)) {
-      const { oscillator, gainNode } = this.activeNotes.get(noteIndex);
+  allocateVoice(key, now) {
+    const { maxPolyphony, stealPolicy, retrigger, debounce, burstWindow, burstLimit } = this.voicing;
+    
+    // Forget voices that have finished
+    this.activeVoices = this.activeVoices.filter(voice => voice.end > now);
+    const sameNote = this.activeVoices.filter(voice => voice.key === key);
+    
+    // Near-simultaneous double hits (e.g. both balls of a collision) play once
+    if (sameNote.some(voice => Math.abs(voice.start - now) < debounce)) {
+      return false;
+    }
+    
+    // Pile-ups hit many different notes at once, so also cap hits per voice in a short window
+    const voicePrefix = key.slice(0, key.indexOf(':') + 1);
+    const burst = this.activeVoices.filter(voice => (
+      voice.key.startsWith(voicePrefix) && Math.abs(voice.start - now) < burstWindow
+    ));
+    if (burst.length >= burstLimit) {
+      return false;
+    }
+    
+    if (retrigger === 'ignore' && sameNote.some(voice => voice.releaseStart > now)) {
+      return false;
+    }
+    if (retrigger === 'restart') {
+      sameNote.forEach(voice => this.releaseVoice(voice, now));
+    }
+    
+    // Steal until there is room (released voices fade out quickly and stop counting)
+    let sounding = this.activeVoices.filter(voice => !voice.stolen);
+    while (sounding.length >= maxPolyphony) {
+      const victim = stealPolicy === 'quietest'
+        ? sounding.reduce((a, b) => (this.getVoiceLevel(b, now) < this.getVoiceLevel(a, now) ? b : a))
+        : sounding.reduce((a, b) => (b.start < a.start ? b : a));
       
-      try {
-        const now = this.audioContext.currentTime;
-        // Use the configured release time for smooth fade-out
+      this.releaseVoice(victim, now, 0.01);
+      victim.stolen = true;
+      sounding = sounding.filter(voice => voice !== victim);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Approximate envelope level of a voice at a given time
+   * Sustain level until release, then the exponential fade to silence.
+   */
+  getVoiceLevel(voice, time) {
+    if (time <= voice.releaseStart) return voice.level;
+    
+    const progress = Math.min(1, (time - voice.releaseStart) / Math.max(0.001, voice.end - voice.releaseStart));
+    return voice.level * Math.pow(0.001 / Math.max(0.001, voice.level), progress);
+  }
+  
+  /**
+   * Stop a currently playing note
+   */
+  stopNote(noteIndex, voice = 0) {
+    this.activeVoices
+      .filter(activeVoice => activeVoice.key === `${voice}:${noteIndex}`)
+      .forEach(activeVoice => this.releaseVoice(activeVoice));
+  }
+  
+  /**
+   * Fade out a sounding voice
+   * @param {Object} voice - Entry of activeVoices
+   * @param {number} now - When to start the release (defaults to now())
+   * @param {number} release - Fade time (defaults to the ADSR release)
+   */
+  releaseVoice(voice, now = this.now(), release = this.adsr.release) {
+    // Already fading out sooner than this would
+    if (voice.end <= now + release) return;
+    
+    const { sources, gainNode } = voice;
+    
+    try {
+      if (gainNode.gain.cancelAndHoldAtTime) {
+        // Hold wherever the envelope is at `now`, even if that is in the future
+        gainNode.gain.cancelAndHoldAtTime(now);
+      } else {
         gainNode.gain.cancelScheduledValues(now); // Cancel any pending changes
         gainNode.gain.setValueAtTime(gainNode.gain.value, now); // Set current value
-        gainNode.gain.exponentialRampToValueAtTime(0.001, now + this.adsr.release);
-        oscillator.stop(now + this.adsr.release);
-      } catch (e) {
-        // Note might have already stopped
       }
-      
-      this.activeNotes.delete(noteIndex);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, now + release);
+      sources.forEach(source => source.stop(now + release));
+    } catch (e) {
+      // Note might have already stopped
     }
+    
+    voice.releaseStart = Math.min(voice.releaseStart, now);
+    voice.end = now + release;
+  }
+  
+  /**
+   * Start capturing the master bus while the pit plays
+   * @returns {boolean} Whether recording started
+   */
+  startRecording() {
+    if (!this.isInitialized || !this.isLive || this.recorder || typeof MediaRecorder === 'undefined') {
+      return false;
+    }
+    
+    this.recordDestination = this.audioContext.createMediaStreamDestination();
+    this.limiter.connect(this.recordDestination);
+    
+    const chunks = [];
+    this.recorder = new MediaRecorder(this.recordDestination.stream);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    this.recordedChunks = chunks;
+    this.recorder.start();
+    return true;
+  }
+  
+  /**
+   * Stop capturing and collect the recording
+   * @returns {Promise<Blob|null>} Compressed audio (usually webm/opus), or null if not recording
+   */
+  stopRecording() {
+    const { recorder } = this;
+    if (!recorder) return Promise.resolve(null);
+    
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        resolve(new Blob(this.recordedChunks, { type: recorder.mimeType }));
+        
+        this.limiter.disconnect(this.recordDestination);
+        this.recorder = null;
+        this.recordDestination = null;
+        this.recordedChunks = null;
+      };
+      recorder.stop();
+    });
+  }
+  
+  /**
+   * Whether the master bus is being recorded
+   */
+  isRecording() {
+    return Boolean(this.recorder);
   }
   
   /**
@@ -189,6 +576,33 @@ export class AudioEngine {
     }
   }
   
+  /**
+   * Choose the instrument notes are played with
+   * @param {string} name - Key of INSTRUMENTS (e.g. 'bell', 'pluck')
+   */
+  setInstrument(name) {
+    if (!INSTRUMENTS[name]) {
+      throw new Error(`Unknown instrument: ${name}`);
+    }
+    this.instrument = name;
+  }
+  
+  /**
+   * Let condition, humidity and cloud cover drive waveform, cutoff and resonance
+   * @param {boolean} enabled
+   */
+  setWeatherTimbre(enabled) {
+    this.weatherTimbre = Boolean(enabled);
+  }
+  
+  /**
+   * Use a compiled weather→behaviour mapping for weather timbre
+   * @param {Object} mapper - From compileMapping()
+   */
+  setMapper(mapper) {
+    this.mapper = mapper;
+  }
+  
   /**
    * Set ADSR envelope parameters
    * @param {Object} adsrParams - Object with attack, decay, sustain, release properties
@@ -204,6 +618,267 @@ export class AudioEngine {
     if (adsrParams.release !== undefined) this.adsr.release = Math.max(0, adsrParams.release);
   }
   
+  /**
+   * Transpose every scale to a new root key
+   * @param {number} rootKey - Semitones above C (0-11, see ROOT_KEYS)
+   */
+  setRootKey(rootKey) {
+    this.rootKey = ((Math.round(rootKey) % 12) + 12) % 12;
+  }
+  
+  /**
+   * Play every location in one scale
+   * @param {string|null} name - Key of SCALES, or null to follow each location's weather
+   */
+  setScale(name) {
+    if (name && !SCALES[name]) {
+      throw new Error(`Unknown scale: ${name}`);
+    }
+    this.scale = name || null;
+  }
+  
+  /**
+   * Use a Scala tuning instead of equal temperament
+   * @param {Object|null} tuning - Result of parseScala(), or null for equal temperament
+   */
+  setTuning(tuning) {
+    this.tuning = tuning || null;
+  }
+  
+  /**
+   * Set voice allocation
+   * @param {Object} params - Any of maxPolyphony, stealPolicy, retrigger, debounce, burstWindow, burstLimit
+   * @param {number} params.maxPolyphony - Most notes sounding at once (1-128)
+   * @param {string} params.stealPolicy - One of AudioEngine.STEAL_POLICIES
+   * @param {string} params.retrigger - One of AudioEngine.RETRIGGER_MODES
+   * @param {number} params.debounce - Seconds within which repeat hits on a note are dropped
+   * @param {number} params.burstWindow - Seconds over which burstLimit counts a voice's hits
+   * @param {number} params.burstLimit - Most hits one voice starts within burstWindow
+   */
+  setVoicing(params) {
+    if (params.maxPolyphony !== undefined) {
+      this.voicing.maxPolyphony = Math.max(1, Math.min(128, Math.round(params.maxPolyphony)));
+    }
+    if (AudioEngine.STEAL_POLICIES.includes(params.stealPolicy)) this.voicing.stealPolicy = params.stealPolicy;
+    if (AudioEngine.RETRIGGER_MODES.includes(params.retrigger)) this.voicing.retrigger = params.retrigger;
+    if (params.debounce !== undefined) this.voicing.debounce = Math.max(0, params.debounce);
+    if (params.burstWindow !== undefined) this.voicing.burstWindow = Math.max(0, params.burstWindow);
+    if (params.burstLimit !== undefined) this.voicing.burstLimit = Math.max(1, Math.round(params.burstLimit));
+  }
+  
+  /**
+   * Get current voice allocation settings
+   */
+  getVoicing() {
+    return { ...this.voicing };
+  }
+  
+  /**
+   * Set the tempo grid (see TempoClock)
+   * The effects delay follows the tempo too.
+   * @param {Object} params - Any of bpm, grid (null for free timing) and swing
+   */
+  setTempo(params) {
+    this.tempoClock.set(params);
+    this.setEffects({ bpm: this.tempoClock.bpm });
+  }
+  
+  /**
+   * Get current tempo settings
+   */
+  getTempo() {
+    return this.tempoClock.get();
+  }
+  
+  /**
+   * Delay that lands a note on the next grid step
+   * @param {number} delay - Seconds from now the note would start
+   * @returns {number} Quantized delay (unchanged when the grid is off)
+   */
+  quantizeDelay(delay = 0) {
+    if (!this.tempoClock.grid || (!this.clock && !this.audioContext)) return delay;
+    
+    const now = this.now();
+    return Math.max(0, this.tempoClock.quantize(now + delay) - now);
+  }
+  
+  /**
+   * Turn the drone layer on or off
+   * @param {boolean} enabled
+   */
+  setDrone(enabled) {
+    this.droneEnabled = Boolean(enabled);
+    
+    if (!this.droneEnabled) {
+      this.droneVoices.forEach(voice => this.releaseVoice(voice));
+      this.droneVoices = [];
+      this.droneNextBar = null;
+    }
+  }
+  
+  /**
+   * Mode the drone spells out
+   * @param {string} mode - Key of SCALES (the engine's scale wins if one is set)
+   */
+  setDroneMode(mode) {
+    this.droneMode = mode;
+  }
+  
+  /**
+   * Schedule drone bars starting before a given time
+   * Called every step by the running pit with a short look-ahead, so bars
+   * are queued on the audio clock slightly before they're due.
+   * @param {number} until - Engine time to schedule up to
+   */
+  scheduleDrone(until) {
+    if (!this.droneEnabled || !this.isInitialized) return;
+    
+    const barLength = this.tempoClock.getBarLength();
+    if (this.droneNextBar === null) {
+      this.droneNextBar = Math.ceil(this.now() / barLength) * barLength;
+    }
+    
+    this.droneVoices = this.droneVoices.filter(voice => voice.end > this.now());
+    while (this.droneNextBar < until) {
+      this.playDroneBar(this.droneNextBar, barLength);
+      this.droneNextBar += barLength;
+    }
+  }
+  
+  /**
+   * One bar of drone: the root an octave down, plus the root, third and
+   * fifth of the current mode where it has them
+   * Bars swell in and overlap the next one, so the drone never gaps.
+   */
+  playDroneBar(start, length) {
+    const { intervals } = SCALES[this.getScaleName(this.droneMode)];
+    const third = intervals.find(interval => interval === 3 || interval === 4);
+    const fifth = intervals.includes(7) ? 7 : undefined;
+    
+    // Tunings without semitones only get roots
+    const twelveTone = !this.tuning || this.tuning.cents.length === 12;
+    const tones = twelveTone ? [-12, 0, third, fifth] : [-12, 0];
+    
+    tones.filter(Number.isFinite).forEach(semitones => {
+      const frequency = this.getRootFrequency() * Math.pow(2, this.tuneSemitones(semitones) / 1200);
+      const level = semitones < 0 ? 0.08 : 0.04;
+      const end = start + length * 1.5;
+      
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = semitones < 0 ? 'sine' : 'triangle';
+      oscillator.frequency.value = frequency;
+      
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = 800;
+      
+      const gainNode = this.audioContext.createGain();
+      gainNode.gain.setValueAtTime(0.001, start);
+      gainNode.gain.linearRampToValueAtTime(level, start + length * 0.4);
+      gainNode.gain.setValueAtTime(level, start + length);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, end);
+      
+      oscillator.connect(filter);
+      filter.connect(gainNode);
+      gainNode.connect(this.masterGain);
+      oscillator.start(start);
+      oscillator.stop(end);
+      oscillator.onended = () => {
+        oscillator.disconnect();
+        filter.disconnect();
+        gainNode.disconnect();
+      };
+      
+      this.droneVoices.push({
+        start,
+        releaseStart: start + length,
+        end,
+        level,
+        sources: [oscillator],
+        gainNode
+      });
+    });
+  }
+  
+  /**
+   * Set the master limiter threshold
+   * @param {number} threshold - dB below full scale where limiting starts (-40 to 0)
+   */
+  setLimiterThreshold(threshold) {
+    this.limiterThreshold = Math.max(-40, Math.min(0, threshold));
+    if (this.limiter) {
+      this.limiter.threshold.value = this.limiterThreshold;
+    }
+  }
+  
+  /**
+   * Turn 3D audio on or off
+   * Off, every note plays straight into the master bus (centred, no distance).
+   * @param {boolean} enabled
+   */
+  setSpatial(enabled) {
+    this.spatial = Boolean(enabled);
+  }
+  
+  /**
+   * Place the listener, e.g. at the camera
+   * @param {Object} position - { x, y, z } in pit coordinates
+   * @param {Object} forward - Direction the listener faces
+   * @param {Object} up - Listener's up direction
+   */
+  setListener(position, forward, up) {
+    const copy = ({ x, y, z }) => ({ x, y, z });
+    this.listenerPose = { position: copy(position), forward: copy(forward), up: copy(up) };
+    
+    if (this.audioContext) {
+      this.applyListener();
+    }
+  }
+  
+  /**
+   * Push the listener pose to the context's AudioListener
+   */
+  applyListener() {
+    const { listener } = this.audioContext;
+    const { position, forward, up } = this.listenerPose;
+    
+    // Older browsers only have the deprecated setters
+    if (listener.positionX) {
+      listener.positionX.value = position.x;
+      listener.positionY.value = position.y;
+      listener.positionZ.value = position.z;
+      listener.forwardX.value = forward.x;
+      listener.forwardY.value = forward.y;
+      listener.forwardZ.value = forward.z;
+      listener.upX.value = up.x;
+      listener.upY.value = up.y;
+      listener.upZ.value = up.z;
+    } else {
+      listener.setPosition(position.x, position.y, position.z);
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+  }
+  
+  /**
+   * Set master effects (see EffectsBus for the settings)
+   * @param {Object} params - Any of reverb, delay, feedback, division, bpm, chorus, tilt
+   */
+  setEffects(params) {
+    if (this.effects) {
+      this.effects.set(params);
+      this.effectSettings = this.effects.get();
+    } else {
+      this.effectSettings = { ...this.effectSettings, ...params };
+    }
+  }
+  
+  /**
+   * Get current effects settings
+   */
+  getEffects() {
+    return { ...this.effectSettings };
+  }
+  
   /**
    * Get current ADSR parameters
    * @returns {Object} Current ADSR settings
@@ -216,9 +891,11 @@ export class AudioEngine {
    * Stop all playing notes
    */
   stopAll() {
-    this.activeNotes.forEach((_, noteIndex) => {
-      this.stopNote(noteIndex);
-    });
+    this.activeVoices.forEach(voice => this.releaseVoice(voice));
+    this.activeVoices = [];
+    this.droneVoices.forEach(voice => this.releaseVoice(voice));
+    this.droneVoices = [];
+    this.droneNextBar = null;
   }
   
   /**
@@ -226,7 +903,14 @@ export class AudioEngine {
    */
   destroy() {
     this.stopAll();
-    if (this.audioContext) {
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+    if (this.effects) {
+      this.effects.destroy();
+    }
+    // Offline contexts finish on their own and can't be closed
+    if (this.audioContext && this.isLive) {
       this.audioContext.close();
     }
   }
@@ -0,0 +1,202 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+
+/**
+ * BallRenderer - Draws every ball with a single InstancedMesh
+ * All balls share one unit sphere and one material; each ball owns a slot
+ * holding its transform, color and opacity. Slots are packed: releasing a
+ * slot moves the last ball into it, so only live balls are drawn and no
+ * GPU resources are created or disposed as balls come and go.
+ */
+export class BallRenderer {
+  /**
+   * @param {THREE.Scene} scene - Scene the instanced mesh is added to
+   * @param {number} capacity - Initial number of slots (grows on demand)
+   */
+  constructor(scene, capacity = 64) {
+    this.scene = scene;
+    this.capacity = 0;
+    this.count = 0;
+    this.owners = []; // Ball in each slot, for instanceId lookups
+
+    // Unit sphere, scaled per instance to each ball's radius
+    this.geometry = new THREE.SphereGeometry(1, 32, 32);
+    this.material = this.createMaterial();
+    this.mesh = null;
+
+    // Scratch objects reused for every instance write
+    this.matrix = new THREE.Matrix4();
+    this.quaternion = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+
+    this.ensureCapacity(capacity);
+  }
+
+  /**
+   * Phong material extended with per-instance opacity
+   * The emissive glow is tinted by each instance's color, like the old
+   * per-ball materials (emissive = color at 0.3 intensity).
+   */
+  createMaterial() {
+    const material = new THREE.MeshPhongMaterial({
+      color: 0xffffff,
+      transparent: true,
+      shininess: 100,
+      emissive: 0xffffff,
+      emissiveIntensity: 0.3,
+      specular: 0xffffff
+    });
+
+    material.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+        .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;')
+        .replace('#include <emissivemap_fragment>', '#include <emissivemap_fragment>\ntotalEmissiveRadiance *= vColor;');
+    };
+
+    return material;
+  }
+
+  /**
+   * Make room for at least `capacity` balls
+   * Rebuilds the instanced mesh (keeping current instances) when it is too small.
+   */
+  ensureCapacity(capacity) {
+    if (capacity <= this.capacity) return;
+
+    const newCapacity = Math.max(capacity, this.capacity * 2);
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, newCapacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(newCapacity * 3), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+    const opacity = new THREE.InstancedBufferAttribute(new Float32Array(newCapacity), 1);
+    opacity.setUsage(THREE.DynamicDrawUsage);
+    this.geometry.setAttribute('instanceOpacity', opacity);
+
+    if (this.mesh) {
+      mesh.instanceMatrix.array.set(this.mesh.instanceMatrix.array);
+      mesh.instanceColor.array.set(this.mesh.instanceColor.array);
+      opacity.array.set(this.opacityAttribute.array);
+      this.scene.remove(this.mesh);
+      this.mesh.dispose();
+    }
+
+    // Balls move every frame, so a cached bounding sphere would cull them wrongly
+    mesh.frustumCulled = false;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.count = this.count;
+
+    this.mesh = mesh;
+    this.opacityAttribute = opacity;
+    this.capacity = newCapacity;
+    this.scene.add(mesh);
+  }
+
+  /**
+   * Give a ball a slot
+   * @param {WeatherBall} ball - Owner of the slot
+   * @param {THREE.Color} color - Instance color
+   * @returns {number} Slot index
+   */
+  allocate(ball, color) {
+    this.ensureCapacity(this.count + 1);
+
+    const slot = this.count++;
+    this.owners[slot] = ball;
+    this.mesh.setColorAt(slot, color);
+    this.mesh.instanceColor.needsUpdate = true;
+    this.mesh.count = this.count;
+
+    return slot;
+  }
+
+  /**
+   * Free a ball's slot, moving the last ball into it
+   */
+  release(slot) {
+    const last = --this.count;
+
+    if (slot !== last) {
+      const moved = this.owners[last];
+      this.copySlot(last, slot);
+      this.owners[slot] = moved;
+      moved.slot = slot;
+    }
+
+    this.owners[last] = null;
+    this.mesh.count = this.count;
+  }
+
+  /**
+   * Copy one slot's transform, color and opacity into another
+   */
+  copySlot(from, to) {
+    const { instanceMatrix, instanceColor } = this.mesh;
+
+    instanceMatrix.array.copyWithin(to * 16, from * 16, from * 16 + 16);
+    instanceColor.array.copyWithin(to * 3, from * 3, from * 3 + 3);
+    this.opacityAttribute.array[to] = this.opacityAttribute.array[from];
+
+    instanceMatrix.needsUpdate = true;
+    instanceColor.needsUpdate = true;
+    this.opacityAttribute.needsUpdate = true;
+  }
+
+  /**
+   * Write a ball's transform and opacity for this frame
+   * @param {number} slot - Slot from allocate()
+   * @param {Object} position - { x, y, z }
+   * @param {number} radius - Rendered radius
+   * @param {number} opacity - 0.0 to 1.0
+   */
+  setInstance(slot, position, radius, opacity) {
+    this.scale.set(radius, radius, radius);
+    this.matrix.compose(position, this.quaternion, this.scale);
+    this.mesh.setMatrixAt(slot, this.matrix);
+    this.opacityAttribute.array[slot] = opacity;
+
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.opacityAttribute.needsUpdate = true;
+  }
+
+  /**
+   * Change a ball's color
+   * @param {number} slot - Slot from allocate()
+   * @param {THREE.Color} color - Instance color
+   */
+  setColor(slot, color) {
+    this.mesh.setColorAt(slot, color);
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Ball drawn by an instance (e.g. from a raycast's instanceId)
+   */
+  getBall(instanceId) {
+    return instanceId < this.count ? this.owners[instanceId] : null;
+  }
+
+  /**
+   * Free every slot
+   */
+  clear() {
+    this.owners.fill(null);
+    this.count = 0;
+    this.mesh.count = 0;
+  }
+
+  /**
+   * Remove the mesh and free GPU resources
+   */
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
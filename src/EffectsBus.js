@@ -0,0 +1,252 @@
+import { createRandom } from './random.js';
+import { DEFAULT_MAPPER } from './mappings.js';
+
+// Length of the generated reverb impulse, and so of the reverb tail
+export const REVERB_SECONDS = 2.5;
+
+// Delay time for each note division, in beats
+export const DELAY_DIVISIONS = {
+  '1/4': 1,
+  '1/8.': 0.75,
+  '1/8': 0.5,
+  '1/16': 0.25
+};
+
+/**
+ * Stereo impulse response: decaying noise, different in each ear
+ * Seeded so offline renders come out identical every time.
+ */
+function createImpulseResponse(context, seconds, decay) {
+  const length = Math.ceil(context.sampleRate * seconds);
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    const random = createRandom(channel + 1);
+
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * EffectsBus - Master effects between the engine's volume and the speakers
+ * input → tilt EQ → chorus → dry, plus sends to a ping-pong delay and a
+ * convolution reverb → output
+ *
+ * Settings:
+ * {
+ *   reverb,    // Reverb wet/dry (0-1)
+ *   delay,     // Delay send level (0-1)
+ *   feedback,  // Delay feedback (0-0.9)
+ *   division,  // Delay time as a note division (see DELAY_DIVISIONS)
+ *   bpm,       // Tempo the delay syncs to
+ *   chorus,    // Chorus amount (0-1)
+ *   tilt       // EQ tilt in dB: positive is brighter, negative darker (±12)
+ * }
+ */
+export class EffectsBus {
+  static DEFAULTS = {
+    reverb: 0.2,
+    delay: 0.15,
+    feedback: 0.3,
+    division: '1/8.',
+    bpm: 120,
+    chorus: 0.3,
+    tilt: 0
+  };
+
+  /**
+   * @param {BaseAudioContext} context - Live or offline context to build in
+   * @param {Object} settings - Starting settings (defaults for any left out)
+   */
+  constructor(context, settings = {}) {
+    this.context = context;
+    this.settings = { ...EffectsBus.DEFAULTS };
+
+    this.input = context.createGain();
+    this.output = context.createGain();
+
+    // Tilt EQ: shelves pivoting around the midrange
+    this.lowShelf = context.createBiquadFilter();
+    this.lowShelf.type = 'lowshelf';
+    this.lowShelf.frequency.value = 250;
+    this.highShelf = context.createBiquadFilter();
+    this.highShelf.type = 'highshelf';
+    this.highShelf.frequency.value = 4000;
+    this.input.connect(this.lowShelf);
+    this.lowShelf.connect(this.highShelf);
+
+    // Everything after the EQ is summed here before the dry path and sends
+    this.mix = context.createGain();
+    this.highShelf.connect(this.mix);
+
+    this.buildChorus();
+    this.buildDelay();
+    this.buildReverb();
+
+    this.dry = context.createGain();
+    this.mix.connect(this.dry);
+    this.dry.connect(this.output);
+
+    this.set(settings, true);
+  }
+
+  /**
+   * Chorus: two short delay lines swept in opposite directions by one LFO
+   */
+  buildChorus() {
+    const { context } = this;
+
+    this.chorusWet = context.createGain();
+    this.chorusMerger = context.createChannelMerger(2);
+    this.chorusLfo = context.createOscillator();
+    this.chorusLfo.frequency.value = 0.6;
+
+    this.chorusLines = [1, -1].map((direction, channel) => {
+      const line = context.createDelay(0.05);
+      line.delayTime.value = 0.012;
+
+      const depth = context.createGain();
+      depth.gain.value = 0.002 * direction;
+      this.chorusLfo.connect(depth);
+      depth.connect(line.delayTime);
+
+      this.highShelf.connect(line);
+      line.connect(this.chorusMerger, 0, channel);
+      return { line, depth };
+    });
+
+    this.chorusMerger.connect(this.chorusWet);
+    this.chorusWet.connect(this.mix);
+    this.chorusLfo.start();
+  }
+
+  /**
+   * Ping-pong delay: echoes alternate between left and right
+   */
+  buildDelay() {
+    const { context } = this;
+
+    this.delaySend = context.createGain();
+    this.delayMerger = context.createChannelMerger(2);
+    this.leftDelay = context.createDelay(4);
+    this.rightDelay = context.createDelay(4);
+    this.leftFeedback = context.createGain();
+    this.rightFeedback = context.createGain();
+
+    this.mix.connect(this.delaySend);
+    this.delaySend.connect(this.leftDelay);
+    this.leftDelay.connect(this.leftFeedback);
+    this.leftFeedback.connect(this.rightDelay);
+    this.rightDelay.connect(this.rightFeedback);
+    this.rightFeedback.connect(this.leftDelay);
+
+    this.leftDelay.connect(this.delayMerger, 0, 0);
+    this.rightDelay.connect(this.delayMerger, 0, 1);
+    this.delayMerger.connect(this.output);
+  }
+
+  /**
+   * Convolution reverb with a generated impulse response
+   */
+  buildReverb() {
+    const { context } = this;
+
+    this.reverbSend = context.createGain();
+    this.convolver = context.createConvolver();
+    this.convolver.buffer = createImpulseResponse(context, REVERB_SECONDS, 3);
+
+    this.mix.connect(this.reverbSend);
+    this.reverbSend.connect(this.convolver);
+    this.convolver.connect(this.output);
+  }
+
+  /**
+   * Change some or all settings
+   * @param {Object} params - Any of the settings described above
+   * @param {boolean} immediate - Jump straight to the values instead of gliding
+   */
+  set(params, immediate = false) {
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const { settings } = this;
+
+    if (params.reverb !== undefined) settings.reverb = clamp(params.reverb, 0, 1);
+    if (params.delay !== undefined) settings.delay = clamp(params.delay, 0, 1);
+    if (params.feedback !== undefined) settings.feedback = clamp(params.feedback, 0, 0.9);
+    if (params.division !== undefined && DELAY_DIVISIONS[params.division]) settings.division = params.division;
+    if (params.bpm !== undefined) settings.bpm = clamp(params.bpm, 40, 240);
+    if (params.chorus !== undefined) settings.chorus = clamp(params.chorus, 0, 1);
+    if (params.tilt !== undefined) settings.tilt = clamp(params.tilt, -12, 12);
+
+    this.apply(immediate);
+  }
+
+  /**
+   * Push settings to the audio graph
+   * @param {boolean} immediate - Jump straight to the values instead of gliding
+   */
+  apply(immediate = false) {
+    const { reverb, delay, feedback, division, bpm, chorus, tilt } = this.settings;
+    const now = this.context.currentTime;
+
+    // Glide so slider moves don't click
+    const setParam = (param, value) => {
+      if (immediate) {
+        param.value = value;
+      } else {
+        param.setTargetAtTime(value, now, 0.05);
+      }
+    };
+
+    setParam(this.lowShelf.gain, -tilt / 2);
+    setParam(this.highShelf.gain, tilt / 2);
+    setParam(this.chorusWet.gain, chorus * 0.7);
+
+    const delayTime = (60 / bpm) * DELAY_DIVISIONS[division];
+    setParam(this.leftDelay.delayTime, delayTime);
+    setParam(this.rightDelay.delayTime, delayTime);
+    setParam(this.delaySend.gain, delay);
+    setParam(this.leftFeedback.gain, feedback);
+    setParam(this.rightFeedback.gain, feedback);
+
+    setParam(this.reverbSend.gain, reverb);
+    setParam(this.dry.gain, 1 - reverb * 0.5);
+  }
+
+  /**
+   * Current settings
+   */
+  get() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Stop the LFO and detach the bus
+   */
+  destroy() {
+    this.chorusLfo.stop();
+    this.input.disconnect();
+    this.output.disconnect();
+  }
+}
+
+/**
+ * Effect settings driven by weather
+ * Classic mapping: wind speed feeds back the delay, humidity sets how wet
+ * the reverb is and pressure tilts the EQ (high pressure bright, low
+ * pressure dark).
+ * @param {Object} weatherData - Weather snapshot
+ * @param {Object} mapper - Compiled weather→behaviour mapping
+ * @returns {Object} { feedback, reverb, tilt }
+ */
+export function effectsFromWeather(weatherData, mapper = DEFAULT_MAPPER) {
+  return {
+    feedback: mapper.value('audio.feedback', weatherData),
+    reverb: mapper.value('audio.reverb', weatherData),
+    tilt: mapper.value('audio.tilt', weatherData)
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * NoteBus - Publishes every note a pit plays
+ * The pit emits note events here instead of calling the audio engine
+ * directly, so audio, MIDI output and recorders can all listen.
+ *
+ * Note event:
+ * {
+ *   time,        // Simulation seconds the note starts at
+ *   delay,       // Seconds after "now" the note starts (0 for most notes)
+ *   noteIndex,   // 0-24 position in the scale (null for obstacle hits)
+ *   mode,        // Scale the note is played in (key of SCALES; null for obstacle hits)
+ *   midiNote,    // MIDI note number, including the voice's octave shift
+ *   velocity,    // Impact speed
+ *   duration,    // Seconds before release
+ *   voice,       // Location's voice, also its MIDI channel
+ *   location,    // Location name, e.g. "London"
+ *   weatherData, // Weather the ball was spawned with (drives weather timbre)
+ *   position,    // { x, y, z } in the pit the sound comes from (drives 3D audio)
+ *   percussion   // Obstacle hits only: sound of the obstacle struck (key of PERCUSSION)
+ * }
+ */
+export class NoteBus {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for notes
+   * @param {Function} listener - Called with each note event
+   * @returns {Function} Call to stop listening
+   */
+  on(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Send a note to every listener
+   */
+  emit(note) {
+    this.listeners.forEach(listener => listener(note));
+  }
+}
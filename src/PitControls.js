@@ -0,0 +1,259 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+import { OrbitControls } from '../node_modules/three/examples/jsm/controls/OrbitControls.js';
+import { interpolatePosition } from './physics/PhysicsWorld.js';
+
+// Preset camera views: where the camera sits and what it looks at
+export const VIEWS = {
+  default: { label: 'Default', position: [0, 100, 180], target: [0, 30, 0] },
+  top: { label: 'Top Down', position: [0, 230, 0.01], target: [0, 0, 0] },
+  side: { label: 'Side', position: [190, 35, 0], target: [0, 30, 0] },
+  inside: { label: 'Inside', position: [0, 12, 50], target: [0, 25, -30] }
+};
+
+// Seconds a preset view takes to glide into place
+const VIEW_TRANSITION = 0.8;
+
+// Pointer travel (px) under which a press counts as a click rather than a drag
+const CLICK_TOLERANCE = 5;
+
+// Fastest a held ball is moved towards the pointer, in units per second
+const MAX_FLING_SPEED = 120;
+
+/**
+ * PitControls - Camera and hands-on interaction for a live pit
+ * Orbit, zoom and pan the camera, jump between preset views, click a ball
+ * to select it and drag it to fling it into others.
+ */
+export class PitControls {
+  /**
+   * @param {WeatherPit} pit - Live pit whose camera, balls and world are controlled
+   */
+  constructor(pit) {
+    this.pit = pit;
+    this.camera = pit.camera;
+    this.domElement = pit.renderer.domElement;
+
+    // Registered before the orbit controls so a press on a ball can disable them first
+    this.handlePointerDown = (event) => this.onPointerDown(event);
+    this.handlePointerMove = (event) => this.onPointerMove(event);
+    this.handlePointerUp = (event) => this.onPointerUp(event);
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointermove', this.handlePointerMove);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+    this.domElement.addEventListener('pointercancel', this.handlePointerUp);
+
+    this.orbit = new OrbitControls(this.camera, this.domElement);
+    this.orbit.enableDamping = true;
+    this.orbit.minDistance = 5;
+    this.orbit.maxDistance = 400;
+    this.orbit.target.fromArray(VIEWS.default.target);
+    this.orbit.update();
+
+    this.transition = null; // Preset view being glided to
+    this.selectedBall = null;
+    this.held = null; // { ball, plane, target } while dragging a ball
+    this.press = null; // Where the current pointer press started
+    this.onSelect = null; // Called with the selected ball, or null, when the selection changes
+    this.onDrag = null; // Called with (ball, released) each step a ball is steered, and when it is let go
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    // Wireframe shell drawn around the selected ball
+    this.marker = new THREE.Mesh(
+      new THREE.SphereGeometry(1.3, 16, 12),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.6 })
+    );
+    this.marker.visible = false;
+    pit.scene.add(this.marker);
+  }
+
+  /**
+   * Glide the camera to a preset view
+   * @param {string} name - Key of VIEWS
+   */
+  setView(name) {
+    const view = VIEWS[name];
+    if (!view) {
+      throw new Error(`Unknown view: ${name}`);
+    }
+
+    this.transition = {
+      elapsed: 0,
+      fromPosition: this.camera.position.clone(),
+      fromTarget: this.orbit.target.clone(),
+      toPosition: new THREE.Vector3().fromArray(view.position),
+      toTarget: new THREE.Vector3().fromArray(view.target)
+    };
+  }
+
+  /**
+   * Point the raycaster through the pointer
+   */
+  aimRay(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.camera.updateMatrixWorld();
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  /**
+   * Ball under a pointer event, if any
+   */
+  pickBall(event) {
+    const { mesh } = this.pit.ballRenderer;
+    this.aimRay(event);
+
+    // Balls move every frame, so the cached bounds are always stale
+    mesh.computeBoundingSphere();
+    const [hit] = this.raycaster.intersectObject(mesh);
+    return hit ? this.pit.ballRenderer.getBall(hit.instanceId) : null;
+  }
+
+  /**
+   * Press on a ball picks it up; anywhere else is left to the orbit controls
+   */
+  onPointerDown(event) {
+    this.press = { x: event.clientX, y: event.clientY };
+
+    const ball = this.pickBall(event);
+    if (!ball) return;
+
+    this.select(ball);
+
+    // Drag across a plane facing the camera, through the ball
+    const position = new THREE.Vector3(ball.body.x, ball.body.y, ball.body.z);
+    const normal = this.camera.getWorldDirection(new THREE.Vector3());
+    this.held = {
+      ball,
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, position),
+      target: position
+    };
+
+    this.orbit.enabled = false;
+    this.domElement.setPointerCapture(event.pointerId);
+  }
+
+  /**
+   * Move the held ball's target with the pointer
+   */
+  onPointerMove(event) {
+    if (!this.held) return;
+
+    this.aimRay(event);
+    this.raycaster.ray.intersectPlane(this.held.plane, this.held.target);
+  }
+
+  /**
+   * Let go of a held ball (it keeps its speed), or treat a still click on
+   * empty space as deselecting
+   */
+  onPointerUp(event) {
+    if (this.held) {
+      if (this.onDrag) this.onDrag(this.held.ball, true);
+      this.held = null;
+      this.orbit.enabled = true;
+      this.domElement.releasePointerCapture(event.pointerId);
+    } else if (this.press) {
+      const moved = Math.hypot(event.clientX - this.press.x, event.clientY - this.press.y);
+      if (moved < CLICK_TOLERANCE) this.select(null);
+    }
+
+    this.press = null;
+  }
+
+  /**
+   * Steer the held ball towards the pointer
+   * Called before each physics step. The ball is given velocity rather
+   * than teleported, so it collides (and plays notes) on the way and is
+   * flung with whatever speed it had when released.
+   */
+  applyDrag(deltaTime) {
+    if (!this.held) return;
+
+    const { ball, target } = this.held;
+    if (!ball.isAlive()) {
+      this.held = null;
+      this.orbit.enabled = true;
+      return;
+    }
+
+    const { body } = ball;
+    const velocity = new THREE.Vector3(target.x - body.x, target.y - body.y, target.z - body.z)
+      .divideScalar(Math.max(deltaTime * 6, 1e-3))
+      .clampLength(0, MAX_FLING_SPEED);
+
+    // Undo this step's gravity and horizontal speed scaling, so the ball goes where it's pointed
+    body.vx = velocity.x / body.speedScale;
+    body.vy = velocity.y + body.gravity * deltaTime;
+    body.vz = velocity.z / body.speedScale;
+
+    if (this.onDrag) this.onDrag(ball, false);
+  }
+
+  /**
+   * Change the selected ball
+   * @param {WeatherBall|null} ball
+   */
+  select(ball) {
+    if (ball === this.selectedBall) return;
+
+    this.selectedBall = ball;
+    this.marker.visible = Boolean(ball);
+    if (this.onSelect) this.onSelect(ball);
+  }
+
+  /**
+   * Forget a ball that is leaving the pit
+   */
+  release(ball) {
+    if (this.held && this.held.ball === ball) {
+      this.held = null;
+      this.orbit.enabled = true;
+    }
+    if (this.selectedBall === ball) this.select(null);
+  }
+
+  /**
+   * Advance view transitions, damping and the selection marker
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {number} alpha - Interpolation between the last two physics steps
+   */
+  update(deltaTime, alpha) {
+    if (this.transition) {
+      const transition = this.transition;
+      transition.elapsed += deltaTime;
+      const t = Math.min(1, transition.elapsed / VIEW_TRANSITION);
+      const eased = t * t * (3 - 2 * t);
+
+      this.camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased);
+      this.orbit.target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+      if (t === 1) this.transition = null;
+    }
+
+    this.orbit.update();
+
+    if (this.selectedBall) {
+      const ball = this.selectedBall;
+      interpolatePosition(ball.body, alpha, this.marker.position);
+      this.marker.scale.setScalar(ball.size * (0.5 + ball.life * 0.5));
+    }
+  }
+
+  /**
+   * Remove listeners and the marker
+   */
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.domElement.removeEventListener('pointercancel', this.handlePointerUp);
+    this.orbit.dispose();
+    this.pit.scene.remove(this.marker);
+    this.marker.geometry.dispose();
+    this.marker.material.dispose();
+  }
+}
@@ -0,0 +1,100 @@
+import { DEFAULT_MAPPER } from './mappings.js';
+
+// Grid step for each quantize setting, in beats (T = triplets)
+export const GRIDS = {
+  '1/8': 1 / 2,
+  '1/8T': 1 / 3,
+  '1/16': 1 / 4,
+  '1/16T': 1 / 6
+};
+
+/**
+ * TempoClock - Beat grid notes can be quantized to
+ * The grid starts at time 0 of whichever clock the engine uses (the audio
+ * context live, simulation time offline), so quantizing is a pure function
+ * of time and notes are simply scheduled ahead onto the next step.
+ *
+ * Settings:
+ * {
+ *   bpm,    // Beats per minute (40-240)
+ *   grid,   // Key of GRIDS, or null for free timing
+ *   swing   // 0 (straight) to 1 (hard shuffle); delays every other step
+ * }
+ */
+export class TempoClock {
+  constructor() {
+    this.bpm = 100;
+    this.grid = null;
+    this.swing = 0;
+  }
+
+  /**
+   * Change some or all settings
+   */
+  set({ bpm, grid, swing }) {
+    if (bpm !== undefined) this.bpm = Math.max(40, Math.min(240, bpm));
+    if (grid !== undefined) this.grid = GRIDS[grid] ? grid : null;
+    if (swing !== undefined) this.swing = Math.max(0, Math.min(1, swing));
+  }
+
+  /**
+   * Current settings
+   */
+  get() {
+    return { bpm: this.bpm, grid: this.grid, swing: this.swing };
+  }
+
+  /**
+   * Seconds per beat
+   */
+  getBeatLength() {
+    return 60 / this.bpm;
+  }
+
+  /**
+   * Seconds per bar of 4/4
+   */
+  getBarLength() {
+    return this.getBeatLength() * 4;
+  }
+
+  /**
+   * Time of a grid step
+   * Swing pushes odd steps later, up to a third of a step (a triplet feel);
+   * triplet grids are already uneven and aren't swung.
+   */
+  getStepTime(step) {
+    const stepLength = this.getBeatLength() * GRIDS[this.grid];
+    const swung = step % 2 === 1 && !this.grid.endsWith('T');
+    return step * stepLength + (swung ? this.swing * stepLength / 3 : 0);
+  }
+
+  /**
+   * Next grid time at or after a given time
+   * @param {number} time - Seconds on the engine's clock
+   * @returns {number} Quantized time, or time itself when the grid is off
+   */
+  quantize(time) {
+    if (!this.grid) return time;
+
+    const stepLength = this.getBeatLength() * GRIDS[this.grid];
+    let step = Math.max(0, Math.floor(time / stepLength) - 1);
+    while (this.getStepTime(step) < time - 1e-6) {
+      step++;
+    }
+
+    return this.getStepTime(step);
+  }
+}
+
+/**
+ * Tempo driven by weather
+ * Classic mapping: calm days are slow, windy days fast, from 70 BPM in
+ * still air to 140 BPM at 18 m/s and up.
+ * @param {Object} weatherData - Weather snapshot
+ * @param {Object} mapper - Compiled weather→behaviour mapping
+ * @returns {number} BPM
+ */
+export function tempoFromWeather(weatherData, mapper = DEFAULT_MAPPER) {
+  return mapper.value('audio.tempo', weatherData);
+}
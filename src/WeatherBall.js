@@ -1,29 +1,35 @@
 import * as THREE from '../node_modules/three/build/three.module.js';
+import { interpolatePosition } from './physics/PhysicsWorld.js';
+import { DEFAULT_MAPPER } from './mappings.js';
+
+// Scratch position for render(); balls are drawn one at a time
+const renderPosition = new THREE.Vector3();
 
 /**
  * WeatherBall class - represents a single ball in the pit
- * All balls share the same weather-influenced properties
+ * All balls share the same weather-influenced properties.
+ * Motion lives in a PhysicsWorld body and drawing in a shared BallRenderer;
+ * the ball owns its weather mapping, lifecycle and instance slot.
  */
 export class WeatherBall {
-  constructor(scene, weatherData, noteIndex, pitBounds, audioEngine) {
-    this.scene = scene;
+  /**
+   * @param {BallRenderer} ballRenderer - Instanced renderer the ball is drawn with
+   * @param {PhysicsWorld} world - Physics world the body is added to
+   * @param {Object} weatherData - Weather driving this ball's properties
+   * @param {number} noteIndex - 0-24, determines which note this ball plays
+   * @param {Function} random - Seeded by the pit so the same seed replays the same balls
+   * @param {Object} mapper - Compiled weather→behaviour mapping (see compileMapping)
+   */
+  constructor(ballRenderer, world, weatherData, noteIndex, random = Math.random, mapper = DEFAULT_MAPPER) {
+    this.ballRenderer = ballRenderer;
+    this.world = world;
     this.weatherData = weatherData;
-    this.noteIndex = noteIndex; // 0-24, determines which note this ball plays
-    this.pitBounds = pitBounds;
-    this.audioEngine = audioEngine;
+    this.noteIndex = noteIndex;
+    this.random = random;
+    this.mapper = mapper;
+    this.location = null; // Pit location this ball belongs to, set by the pit
     
-    // Physics properties
-    this.position = new THREE.Vector3(
-      Math.random() * pitBounds.width - pitBounds.width / 2,
-      pitBounds.height + Math.random() * 5, // Spawn above pit
-      Math.random() * pitBounds.depth - pitBounds.depth / 2
-    );
-    
-    this.velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 2,
-      Math.random() * -1, // Initial downward velocity
-      (Math.random() - 0.5) * 2
-    );
+    const { bounds } = world;
     
     // Weather-influenced properties
     this.size = this.calculateSize();
@@ -32,34 +38,46 @@ export class WeatherBall {
     this.baseSpeed = this.calculateBaseSpeed();
     this.decayRate = this.calculateDecayRate();
     
+    // Physics body
+    this.body = world.addBody({
+      position: {
+        x: this.random() * bounds.width - bounds.width / 2,
+        y: bounds.height + this.random() * 5, // Spawn above pit
+        z: this.random() * bounds.depth - bounds.depth / 2
+      },
+      velocity: {
+        x: (this.random() - 0.5) * 2,
+        y: this.random() * -1, // Initial downward velocity
+        z: (this.random() - 0.5) * 2
+      },
+      radius: this.size,
+      mass: this.mass,
+      speedScale: this.baseSpeed,
+      userData: this
+    });
+    this.updateForces();
+    
     // Lifecycle
     this.life = 1.0; // 1.0 = fully alive, 0.0 = dead
     this.age = 0;
     
-    // Create mesh
-    this.createMesh();
+    // Claim an instance slot
+    this.slot = ballRenderer.allocate(this, this.color);
+    this.render(1);
   }
   
   /**
-   * Size based on humidity
-   * Higher humidity = bigger balls
+   * Size from the mapping (classic: higher humidity = bigger balls)
    */
   calculateSize() {
-    const humidity = this.weatherData.humidity;
-    const minSize = 0.3;
-    const maxSize = 1.5;
-    return minSize + (humidity / 100) * (maxSize - minSize);
+    return this.mapper.value('ball.size', this.weatherData);
   }
   
   /**
-   * Mass based on pressure
-   * Higher pressure = denser/heavier balls
+   * Mass from the mapped density (classic: higher pressure = denser balls)
    */
   calculateMass() {
-    const pressure = this.weatherData.pressure;
-    // Standard pressure is ~1013 hPa
-    const normalizedPressure = pressure / 1013;
-    return normalizedPressure * (this.size ** 3); // Mass increases with volume
+    return this.mapper.value('ball.density', this.weatherData) * (this.size ** 3); // Mass increases with volume
   }
   
   /**
@@ -67,34 +85,36 @@ export class WeatherBall {
    * Hot temps = warm palette (reds, oranges, yellows)
    * Cold temps = cool palette (blues, purples, cyans)
    * Each ball gets a varied color from the palette
+   * @param {Object} weatherData - Weather to pick from (defaults to the ball's own)
+   * @param {Function} random - Random source for the variation (defaults to the ball's)
    */
-  calculateColor() {
-    const { temp, condition } = this.weatherData;
+  calculateColor(weatherData = this.weatherData, random = this.random) {
+    const { temp, condition } = weatherData;
     
     let hue, saturation, lightness;
     
     // Determine if temperature is hot or cold
-    // Cold: < 50°F, Moderate: 50-75°F, Hot: > 75°F
-    if (temp < 50) {
+    // Cold: < 10°C, Moderate: 10-24°C, Hot: > 24°C
+    if (temp < 10) {
       // COLD PALETTE - Blues, purples, cyans
       const coldHues = [180, 200, 220, 240, 260, 280]; // Cyan to blue to purple
-      hue = coldHues[Math.floor(Math.random() * coldHues.length)];
-      hue += (Math.random() - 0.5) * 15; // Add variation
-      saturation = 60 + Math.random() * 30;
-      lightness = 45 + Math.random() * 25;
+      hue = coldHues[Math.floor(random() * coldHues.length)];
+      hue += (random() - 0.5) * 15; // Add variation
+      saturation = 60 + random() * 30;
+      lightness = 45 + random() * 25;
       
       // Snow makes it lighter
       if (condition === 'Snow') {
         saturation -= 20;
         lightness += 15;
       }
-    } else if (temp > 75) {
+    } else if (temp > 24) {
       // HOT PALETTE - Reds, oranges, yellows
       const hotHues = [0, 15, 30, 45, 60]; // Red to orange to yellow
-      hue = hotHues[Math.floor(Math.random() * hotHues.length)];
-      hue += (Math.random() - 0.5) * 10; // Add variation
-      saturation = 70 + Math.random() * 30;
-      lightness = 50 + Math.random() * 20;
+      hue = hotHues[Math.floor(random() * hotHues.length)];
+      hue += (random() - 0.5) * 10; // Add variation
+      saturation = 70 + random() * 30;
+      lightness = 50 + random() * 20;
       
       // Clear skies make it more vibrant
       if (condition === 'Clear') {
@@ -104,10 +124,10 @@ export class WeatherBall {
     } else {
       // MODERATE PALETTE - Greens, teals, warm colors
       const moderateHues = [80, 100, 120, 160, 40]; // Yellow-green to teal
-      hue = moderateHues[Math.floor(Math.random() * moderateHues.length)];
-      hue += (Math.random() - 0.5) * 20; // More variation
-      saturation = 50 + Math.random() * 40;
-      lightness = 45 + Math.random() * 25;
+      hue = moderateHues[Math.floor(random() * moderateHues.length)];
+      hue += (random() - 0.5) * 20; // More variation
+      saturation = 50 + random() * 40;
+      lightness = 45 + random() * 25;
     }
     
     // Rain makes colors slightly darker and more saturated
@@ -125,164 +145,67 @@ export class WeatherBall {
   }
   
   /**
-   * Base speed influenced by temperature
-   * Hotter = faster
+   * Base speed from the mapping (classic: hotter = faster)
    */
   calculateBaseSpeed() {
-    const temp = this.weatherData.temp;
-    const minSpeed = 1.0;
-    const maxSpeed = 3.0;
-    
-    // Normalize temp (0°F to 110°F range)
-    const normalizedTemp = Math.max(0, Math.min(110, temp));
-    const tempFactor = normalizedTemp / 110; // 0 to 1
-    
-    return minSpeed + tempFactor * (maxSpeed - minSpeed);
+    return this.mapper.value('ball.speed', this.weatherData);
   }
   
   /**
-   * Decay rate based on precipitation
-   * More precipitation = faster decay (balls wash away)
+   * Decay rate from the mapping (classic: more precipitation = balls wash away faster)
    */
   calculateDecayRate() {
-    const { precipitation } = this.weatherData;
-    const baseDecay = 0.001; // Very slow natural decay
-    const precipDecay = precipitation * 0.01; // More rain = faster decay
-    
-    return baseDecay + precipDecay;
+    return this.mapper.value('ball.decay', this.weatherData);
   }
   
   /**
-   * Create the Three.js mesh
+   * Switch to another mapping, resizing and reweighting the ball in place
    */
-  createMesh() {
-    const geometry = new THREE.SphereGeometry(this.size, 32, 32);
-    const material = new THREE.MeshPhongMaterial({
-      color: this.color,
-      transparent: true,
-      opacity: 1.0,
-      shininess: 100,
-      emissive: this.color,
-      emissiveIntensity: 0.3,
-      specular: 0xffffff
-    });
-    
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.copy(this.position);
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
-    
-    // Store reference to this ball in the mesh
-    this.mesh.userData.ball = this;
+  setMapper(mapper) {
+    this.mapper = mapper;
+    this.size = this.calculateSize();
+    this.mass = this.calculateMass();
+    this.baseSpeed = this.calculateBaseSpeed();
+    this.decayRate = this.calculateDecayRate();
     
-    this.scene.add(this.mesh);
+    this.body.radius = this.size;
+    this.body.mass = this.mass;
+    this.body.speedScale = this.baseSpeed;
+    this.updateForces();
   }
   
   /**
-   * Apply wind force to velocity
+   * Push weather-driven forces into the physics body
+   * Called every step so time-lapse weather changes reach live balls.
    */
-  applyWind(deltaTime) {
-    const { windSpeed } = this.weatherData;
+  updateForces() {
     // Wind adds a horizontal force
-    const windForce = windSpeed * 0.1 * deltaTime;
-    this.velocity.x += (Math.random() - 0.5) * windForce;
-    this.velocity.z += (Math.random() - 0.5) * windForce;
-  }
-  
-  /**
-   * Apply gravity (modified by precipitation type)
-   */
-  applyGravity(deltaTime) {
-    const { precipitationType } = this.weatherData;
-    
-    let gravity = 9.8; // Base gravity
-    
-    if (precipitationType === 'rain') {
-      gravity *= 1.5; // Rain makes balls heavier/fall faster
-    } else if (precipitationType === 'snow') {
-      gravity *= 0.5; // Snow makes balls floaty
-    }
-    
-    this.velocity.y -= gravity * deltaTime;
+    this.body.windStrength = this.mapper.value('ball.wind', this.weatherData);
+    // Classic: rain makes balls heavier/fall faster, snow makes them floaty
+    this.body.gravity = 9.8 * this.mapper.value('ball.gravity', this.weatherData);
   }
   
   /**
-   * Update ball physics and lifecycle
+   * Advance lifecycle by one fixed physics step
    */
   update(deltaTime) {
-    // Apply forces
-    this.applyWind(deltaTime);
-    this.applyGravity(deltaTime);
+    this.updateForces();
     
-    // Apply velocity with speed multiplier
-    this.position.x += this.velocity.x * this.baseSpeed * deltaTime;
-    this.position.y += this.velocity.y * deltaTime;
-    this.position.z += this.velocity.z * this.baseSpeed * deltaTime;
-    
-    // Boundary collisions (walls of the pit)
-    this.checkBoundaries();
-    
-    // Update lifecycle
     this.age += deltaTime;
     this.life -= this.decayRate * deltaTime;
     this.life = Math.max(0, this.life); // Clamp to 0
-    
-    // Update mesh
-    this.mesh.position.copy(this.position);
-    this.mesh.material.opacity = this.life;
-    
-    // Scale down as it decays
-    const scale = 0.5 + (this.life * 0.5); // Scale from 0.5 to 1.0
-    this.mesh.scale.set(scale, scale, scale);
   }
   
   /**
-   * Handle collisions with pit boundaries
+   * Update the ball's instance from the physics state
+   * @param {number} alpha - Interpolation between the last two physics steps
    */
-  checkBoundaries() {
-    const halfWidth = this.pitBounds.width / 2;
-    const halfDepth = this.pitBounds.depth / 2;
-    const restitution = 0.8; // Bounciness
+  render(alpha) {
+    interpolatePosition(this.body, alpha, renderPosition);
     
-    // Floor
-    const isOnGround = this.position.y - this.size < 0;
-    if (isOnGround) {
-      // Capture velocity before modifying it to detect bounce
-      const wasMovingDown = this.velocity.y < 0;
-      const bounceVelocity = Math.abs(this.velocity.y);
-      
-      this.position.y = this.size;
-      this.velocity.y *= -restitution;
-      
-      // Play sound on ground bounce (only if ball was moving downward)
-      if (wasMovingDown && this.audioEngine && bounceVelocity > 0.1) {
-        this.audioEngine.playNote(
-          this.noteIndex,
-          this.weatherData.isMajorScale,
-          bounceVelocity,
-          0.2 // Shorter duration for ground bounces
-        );
-      }
-    }
-    
-    // Walls
-    if (this.position.x - this.size < -halfWidth) {
-      this.position.x = -halfWidth + this.size;
-      this.velocity.x *= -restitution;
-    }
-    if (this.position.x + this.size > halfWidth) {
-      this.position.x = halfWidth - this.size;
-      this.velocity.x *= -restitution;
-    }
-    
-    if (this.position.z - this.size < -halfDepth) {
-      this.position.z = -halfDepth + this.size;
-      this.velocity.z *= -restitution;
-    }
-    if (this.position.z + this.size > halfDepth) {
-      this.position.z = halfDepth - this.size;
-      this.velocity.z *= -restitution;
-    }
+    // Scale down as it decays
+    const scale = 0.5 + (this.life * 0.5); // Scale from 0.5 to 1.0
+    this.ballRenderer.setInstance(this.slot, renderPosition, this.size * scale, this.life);
   }
   
   /**
@@ -293,11 +216,10 @@ export class WeatherBall {
   }
   
   /**
-   * Remove from scene
+   * Remove from the renderer and physics world
    */
   destroy() {
-    this.scene.remove(this.mesh);
-    this.mesh.geometry.dispose();
-    this.mesh.material.dispose();
+    this.world.removeBody(this.body);
+    this.ballRenderer.release(this.slot);
   }
 }
@@ -1,19 +1,67 @@
 import * as THREE from '../node_modules/three/build/three.module.js';
 import { WeatherBall } from './WeatherBall.js';
+import { BallRenderer } from './BallRenderer.js';
 import { AudioEngine } from './AudioEngine.js';
+import { sampleTimeline, interpolateWeather } from './timeline.js';
+import { createRandom, randomSeed } from './random.js';
+import { PhysicsWorld } from './physics/PhysicsWorld.js';
+import { NoteBus } from './NoteBus.js';
+import { resolveMode } from './scales.js';
+import { PitControls, VIEWS } from './PitControls.js';
+import { buildShape, shapeFromWeather, PIT_SHAPES, DEFAULT_SHAPE } from './pitShapes.js';
+import { PERCUSSION } from './instruments.js';
+import { compileMapping, DEFAULT_MAPPING, PRECIPITATION_SOURCES } from './mappings.js';
+
+// One audio voice per location, so at most this many cities share a pit
+export const MAX_LOCATIONS = AudioEngine.VOICES.length;
+
+// Seconds of drone scheduled ahead of the audio clock
+const DRONE_LOOKAHEAD = 0.2;
+
+// Seconds a refreshed weather snapshot takes to blend in (see morphWeather)
+export const WEATHER_MORPH_SECONDS = 8;
+
+// Colour of percussive obstacles, by sound
+const OBSTACLE_COLORS = {
+  wood: 0x8b5a2b,
+  stone: 0x6b6b6b,
+  metal: 0xb0b8c0,
+  ice: 0xaee8ff
+};
 
 /**
  * WeatherPit - Main class managing the 3D scene, physics, and audio
+ * A pit holds one or more locations; each spawns its own population of
+ * balls from its own weather and plays them with its own voice.
  */
 export class WeatherPit {
-  constructor(container, weatherData) {
+  /**
+   * @param {HTMLElement} container - Element the canvas is added to (unused when headless)
+   * @param {Object|Array<Object>} weatherData - Weather snapshot from the API, or one per location
+   * @param {Object} options
+   * @param {number} options.seed - Random seed; the same seed and weather replay the same balls
+   * @param {number} options.maxBalls - Most balls alive at once
+   * @param {boolean} options.headless - Simulate and play audio only: no canvas, camera or lights
+   * @param {AudioEngine} options.audioEngine - Engine to play notes through (e.g. one bound to an OfflineAudioContext)
+   * @param {boolean} options.muted - Publish notes on the bus without playing them (e.g. for MIDI export)
+   * @param {string} options.shape - Pit shape (key of PIT_SHAPES); chosen from the first location's climate if left out
+   * @param {Object} options.mapping - Weather→behaviour mapping (see src/mappings.js); the classic one if left out
+   */
+  constructor(container, weatherData, options = {}) {
     this.container = container;
-    this.weatherData = weatherData;
+    this.headless = Boolean(options.headless);
+    
+    // Every random choice in the pit comes from this seeded generator
+    this.seed = options.seed !== undefined ? options.seed : randomSeed();
+    this.random = createRandom(this.seed);
     
     // Three.js components
     this.scene = null;
     this.camera = null;
     this.renderer = null;
+    this.controls = null; // Orbit, preset views and ball picking (live pits only)
+    this.onBallInfo = null; // Called with describeBall() of the selected ball each frame, or null when none
+    this.onBallDrag = null; // Called with (ball, released) each step the user steers a ball, and when they let go
     
     // Pit dimensions - expanded space for balls to bounce around
     this.pitBounds = {
@@ -22,14 +70,61 @@ export class WeatherPit {
       depth: 120
     };
     
+    // Physics runs in fixed steps, independent of frame rate
+    this.world = new PhysicsWorld({ bounds: this.pitBounds, random: this.random });
+    this.world.onFloorBounce = (body, speed) => this.handleFloorBounce(body.userData, speed);
+    this.world.onCollision = (bodyA, bodyB, speed) => this.handleCollision(bodyA.userData, bodyB.userData, speed);
+    this.world.onObstacleHit = (body, obstacle, speed) => this.handleObstacleHit(body.userData, obstacle, speed);
+    
+    // Pit shape: picked by hand, or by the first location's climate when null
+    this.shapeOverride = options.shape || null;
+    this.shape = null; // Laid-out shape in use (see buildShape)
+    this.pitMeshes = [];
+    
     // Ball management
     this.balls = [];
-    this.maxBalls = 50; // Maximum number of balls
-    this.spawnTimer = 0;
-    this.spawnInterval = this.calculateSpawnInterval();
+    this.maxBalls = options.maxBalls || 50; // Maximum number of balls, shared by all locations
+    
+    // How weather drives balls, spawning and sound
+    this.mapper = compileMapping(options.mapping || DEFAULT_MAPPING);
+    
+    // Locations, each with its own weather, spawn timer and voice
+    this.locations = [];
+    this.nextLocationId = 1;
+    [].concat(weatherData).forEach(data => this.addLocation(data));
+    this.applyShape();
+    
+    // Fast-forwarding pits skip their notes entirely (see fastForward)
+    this.silent = false;
+    
+    // Audio: every note goes through the bus; the engine is one listener
+    this.audioEngine = options.audioEngine || new AudioEngine();
+    this.audioEngine.setMapper(this.mapper);
+    this.noteBus = new NoteBus();
+    if (!options.muted) {
+      this.noteBus.on(note => {
+        if (note.percussion) {
+          this.audioEngine.playPercussion(note.percussion, note.velocity, note.delay, note.position);
+          return;
+        }
+        
+        this.audioEngine.playNote(
+          note.noteIndex,
+          note.mode,
+          note.velocity,
+          note.duration,
+          note.voice,
+          note.delay,
+          note.weatherData,
+          note.position
+        );
+      });
+    }
     
-    // Audio
-    this.audioEngine = new AudioEngine();
+    // Time-lapse playback (null when showing a single snapshot)
+    this.timelapse = null;
+    this.onTimelapseStep = null; // Called with (frame, index, total) as frames change
+    this.onMorphComplete = null; // Called with a location when its weather finishes morphing
     
     // Animation
     this.animationId = null;
@@ -48,6 +143,18 @@ export class WeatherPit {
     this.scene.background = new THREE.Color(0x0a0a0a);
     this.scene.fog = new THREE.Fog(0x0a0a0a, 80, 200);
     
+    // All balls are drawn as instances of one mesh
+    this.ballRenderer = new BallRenderer(this.scene, this.maxBalls);
+    
+    // Hear the pit from where the camera starts (live pits then follow the camera)
+    const startView = new THREE.Object3D();
+    startView.position.fromArray(VIEWS.default.position);
+    startView.lookAt(new THREE.Vector3().fromArray(VIEWS.default.target));
+    this.updateListener(startView);
+    
+    // Headless pits only simulate, so skip everything that needs a page
+    if (this.headless) return;
+    
     // Camera - position to view the expanded pit
     this.camera = new THREE.PerspectiveCamera(
       60,
@@ -55,8 +162,8 @@ export class WeatherPit {
       0.1,
       1000
     );
-    this.camera.position.set(0, 100, 180);
-    this.camera.lookAt(0, 30, 0);
+    this.camera.position.fromArray(VIEWS.default.position);
+    this.camera.lookAt(new THREE.Vector3().fromArray(VIEWS.default.target));
     
     // Renderer
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -65,6 +172,15 @@ export class WeatherPit {
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     this.container.appendChild(this.renderer.domElement);
     
+    // Camera controls and ball picking
+    this.controls = new PitControls(this);
+    this.controls.onSelect = (ball) => {
+      if (!ball && this.onBallInfo) this.onBallInfo(null);
+    };
+    this.controls.onDrag = (ball, released) => {
+      if (this.onBallDrag) this.onBallDrag(ball, released);
+    };
+    
     // Lights
     this.setupLights();
     
@@ -112,9 +228,12 @@ export class WeatherPit {
   }
   
   /**
-   * Create the pit structure (floor and walls)
+   * Create the pit structure (container walls and obstacles) for the current shape
+   * Rebuilds from scratch, so it's also used when the shape changes.
    */
   createPit() {
+    this.clearPit();
+    
     const wallThickness = 0.5;
     const wallMaterial = new THREE.MeshPhongMaterial({
       color: 0x222222,
@@ -122,42 +241,53 @@ export class WeatherPit {
       opacity: 0.6,
       side: THREE.DoubleSide
     });
+    const { width, height, depth } = this.pitBounds;
+    const { container, obstacles } = this.shape;
+    
+    if (container === 'box') {
+      // Floor
+      const floor = this.addPitMesh(new THREE.BoxGeometry(width, wallThickness, depth), wallMaterial);
+      floor.position.y = -wallThickness / 2;
+      floor.receiveShadow = true;
+      
+      // Back wall
+      const backWall = this.addPitMesh(new THREE.BoxGeometry(width, height, wallThickness), wallMaterial);
+      backWall.position.set(0, height / 2, -depth / 2);
+      
+      // Left and right walls (the front is left open for the camera)
+      const sideWallGeometry = new THREE.BoxGeometry(wallThickness, height, depth);
+      const leftWall = this.addPitMesh(sideWallGeometry, wallMaterial);
+      leftWall.position.set(-width / 2, height / 2, 0);
+      const rightWall = this.addPitMesh(sideWallGeometry, wallMaterial);
+      rightWall.position.set(width / 2, height / 2, 0);
+    } else {
+      const radius = Math.min(width, depth) / 2;
+      
+      // Only the back half of round walls is drawn, like the open-fronted box
+      let wallBottom = 0;
+      if (container === 'bowl') {
+        const bowl = this.addPitMesh(
+          new THREE.SphereGeometry(radius, 48, 24, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+          wallMaterial
+        );
+        bowl.position.y = radius;
+        bowl.receiveShadow = true;
+        wallBottom = radius;
+      } else {
+        const floor = this.addPitMesh(new THREE.CylinderGeometry(radius, radius, wallThickness, 64), wallMaterial);
+        floor.position.y = -wallThickness / 2;
+        floor.receiveShadow = true;
+      }
+      
+      const wallHeight = height - wallBottom;
+      const wall = this.addPitMesh(
+        new THREE.CylinderGeometry(radius, radius, wallHeight, 64, 1, true, Math.PI / 2, Math.PI),
+        wallMaterial
+      );
+      wall.position.y = wallBottom + wallHeight / 2;
+    }
     
-    // Floor
-    const floorGeometry = new THREE.BoxGeometry(
-      this.pitBounds.width,
-      wallThickness,
-      this.pitBounds.depth
-    );
-    const floor = new THREE.Mesh(floorGeometry, wallMaterial);
-    floor.position.y = -wallThickness / 2;
-    floor.receiveShadow = true;
-    this.scene.add(floor);
-    
-    // Back wall
-    const backWallGeometry = new THREE.BoxGeometry(
-      this.pitBounds.width,
-      this.pitBounds.height,
-      wallThickness
-    );
-    const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-    backWall.position.set(0, this.pitBounds.height / 2, -this.pitBounds.depth / 2);
-    this.scene.add(backWall);
-    
-    // Left wall
-    const sideWallGeometry = new THREE.BoxGeometry(
-      wallThickness,
-      this.pitBounds.height,
-      this.pitBounds.depth
-    );
-    const leftWall = new THREE.Mesh(sideWallGeometry, wallMaterial);
-    leftWall.position.set(-this.pitBounds.width / 2, this.pitBounds.height / 2, 0);
-    this.scene.add(leftWall);
-    
-    // Right wall
-    const rightWall = new THREE.Mesh(sideWallGeometry, wallMaterial);
-    rightWall.position.set(this.pitBounds.width / 2, this.pitBounds.height / 2, 0);
-    this.scene.add(rightWall);
+    obstacles.forEach(obstacle => this.createObstacle(obstacle));
     
     // Grid helper (optional - for debugging)
     // const gridHelper = new THREE.GridHelper(this.pitBounds.width, 20);
@@ -165,131 +295,421 @@ export class WeatherPit {
   }
   
   /**
-   * Calculate spawn interval based on precipitation
-   * More precipitation = faster spawning
+   * Add a mesh to the pit structure
+   * @returns {THREE.Mesh}
    */
-  calculateSpawnInterval() {
-    const { precipitation } = this.weatherData;
-    const baseInterval = 2.0; // Spawn every 2 seconds base
-    const minInterval = 0.3; // Minimum time between spawns
-    
-    // More precipitation = shorter interval
-    const interval = Math.max(minInterval, baseInterval - (precipitation * 0.1));
-    return interval;
+  addPitMesh(geometry, material) {
+    const mesh = new THREE.Mesh(geometry, material);
+    this.scene.add(mesh);
+    this.pitMeshes.push(mesh);
+    return mesh;
   }
   
   /**
-   * Calculate how many balls to spawn per spawn event based on weather
+   * Mesh for one obstacle: terrain matches the walls, percussive
+   * obstacles are coloured by their sound
    */
-  calculateBallsPerSpawn() {
-    const { precipitation, cloudCover } = this.weatherData;
+  createObstacle(obstacle) {
+    const material = new THREE.MeshPhongMaterial({
+      color: obstacle.percussion ? OBSTACLE_COLORS[obstacle.percussion] : 0x2a2f3a,
+      shininess: obstacle.percussion === 'metal' ? 120 : 30,
+      transparent: obstacle.percussion === 'ice',
+      opacity: obstacle.percussion === 'ice' ? 0.7 : 1
+    });
     
-    // Base spawn: 3 balls
-    let ballsPerSpawn = 3;
+    if (obstacle.type === 'block') {
+      const { min, max } = obstacle;
+      const block = this.addPitMesh(new THREE.BoxGeometry(max.x - min.x, max.y - min.y, max.z - min.z), material);
+      block.position.set((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+      block.receiveShadow = true;
+    } else if (obstacle.type === 'peg') {
+      const peg = this.addPitMesh(new THREE.CylinderGeometry(obstacle.radius, obstacle.radius, obstacle.height, 24), material);
+      peg.position.set(obstacle.x, obstacle.height / 2, obstacle.z);
+      peg.castShadow = true;
+    } else if (obstacle.type === 'ramp') {
+      // Side profile of the wedge, extruded across its width
+      const { min, max, axis, startHeight, endHeight } = obstacle;
+      const across = axis === 'x' ? 'z' : 'x';
+      const length = max[axis] - min[axis];
+      const profile = new THREE.Shape();
+      profile.moveTo(0, 0);
+      profile.lineTo(length, 0);
+      profile.lineTo(length, endHeight);
+      profile.lineTo(0, startHeight);
+      profile.closePath();
+      
+      const geometry = new THREE.ExtrudeGeometry(profile, { depth: max[across] - min[across], bevelEnabled: false });
+      const ramp = this.addPitMesh(geometry, material);
+      ramp.receiveShadow = true;
+      
+      // The profile is drawn along x and extruded along z; turn it for ramps along z
+      if (axis === 'x') {
+        ramp.position.set(min.x, 0, min.z);
+      } else {
+        ramp.rotation.y = -Math.PI / 2;
+        ramp.position.set(max.x, 0, min.z);
+      }
+    }
+  }
+  
+  /**
+   * Remove the pit structure's meshes
+   */
+  clearPit() {
+    this.pitMeshes.forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.pitMeshes = [];
+  }
+  
+  /**
+   * Use the hand-picked shape, or the one the first location's climate calls for
+   * Rebuilds the physics and meshes only when the shape actually changes.
+   */
+  applyShape() {
+    const climate = this.locations.length > 0 ? this.locations[0].weatherData : null;
+    const name = this.shapeOverride || (climate ? shapeFromWeather(climate) : DEFAULT_SHAPE);
+    if (this.shape && this.shape.name === name) return;
+    
+    this.shape = buildShape(name, this.pitBounds);
+    this.world.setShape(this.shape);
+    if (this.renderer) {
+      this.createPit();
+    }
+  }
+  
+  /**
+   * Pick the pit shape by hand
+   * @param {string|null} name - Key of PIT_SHAPES, or null to let the climate choose
+   */
+  setShape(name) {
+    if (name && !PIT_SHAPES[name]) {
+      throw new Error(`Unknown pit shape: ${name}`);
+    }
     
-    // More precipitation = more balls (up to +3 more)
-    ballsPerSpawn += Math.floor(Math.min(precipitation * 10, 3));
+    this.shapeOverride = name || null;
+    this.applyShape();
+  }
+  
+  /**
+   * Weather of the first location (the one time-lapse plays on)
+   */
+  get weatherData() {
+    return this.locations.length > 0 ? this.locations[0].weatherData : null;
+  }
+  
+  /**
+   * Add a location with its own population of balls
+   * @param {Object} weatherData - Weather snapshot for the location
+   * @returns {number} Location id, for removeLocation()
+   */
+  addLocation(weatherData) {
+    if (this.locations.length >= MAX_LOCATIONS) {
+      throw new Error(`A pit holds at most ${MAX_LOCATIONS} locations`);
+    }
     
-    // More cloud cover = slightly more balls (up to +1 more)
-    ballsPerSpawn += Math.floor(cloudCover / 60);
+    // Lowest voice no other location is using, so removing a city frees its voice
+    let voice = 0;
+    while (this.locations.some(location => location.voice === voice)) voice++;
+    
+    const location = {
+      id: this.nextLocationId++,
+      weatherData,
+      voice,
+      ballCount: 0,
+      spawnTimer: 0,
+      spawnInterval: this.calculateSpawnInterval(weatherData),
+      morph: null // Weather blend in progress (see morphWeather)
+    };
     
-    // Cap between 3 and 7 balls per spawn
-    return Math.max(3, Math.min(7, ballsPerSpawn));
+    this.locations.push(location);
+    return location.id;
   }
   
   /**
-   * Spawn multiple balls at once
+   * Remove a location and all of its balls
    */
-  spawnBall() {
-    const ballsPerSpawn = this.calculateBallsPerSpawn();
+  removeLocation(id) {
+    const location = this.locations.find(candidate => candidate.id === id);
+    if (!location) return;
+    
+    this.balls = this.balls.filter(ball => {
+      if (ball.location !== location) return true;
+      this.removeBall(ball);
+      return false;
+    });
+    this.locations.splice(this.locations.indexOf(location), 1);
+  }
+  
+  /**
+   * Seconds between spawns from the mapping (classic: more precipitation = faster spawning)
+   */
+  calculateSpawnInterval(weatherData) {
+    return this.mapper.value('pit.spawnInterval', weatherData);
+  }
+  
+  /**
+   * Balls per spawn event from the mapping (classic: 3, plus more for rain and heavy cloud)
+   */
+  calculateBallsPerSpawn(weatherData) {
+    return this.mapper.value('pit.ballsPerSpawn', weatherData);
+  }
+  
+  /**
+   * Switch to another weather→behaviour mapping
+   * Live balls are resized and reweighted in place and spawn timers pick up
+   * the new rates, so an edited mapping can be heard straight away.
+   * @param {Object} mapping - { name, rules } (see src/mappings.js)
+   */
+  setMapping(mapping) {
+    this.mapper = compileMapping(mapping);
+    this.audioEngine.setMapper(this.mapper);
+    this.locations.forEach(location => {
+      location.spawnInterval = this.calculateSpawnInterval(location.weatherData);
+    });
+    this.balls.forEach(ball => ball.setMapper(this.mapper));
+  }
+  
+  /**
+   * Mapping the pit is running, as JSON
+   */
+  get mapping() {
+    return this.mapper.mapping;
+  }
+  
+  /**
+   * Spawn multiple balls at once for a location
+   * Locations split the ball cap evenly so one stormy city can't crowd out the rest.
+   */
+  spawnBalls(location) {
+    const ballsPerSpawn = this.calculateBallsPerSpawn(location.weatherData);
+    const locationCap = Math.ceil(this.maxBalls / this.locations.length);
     
     for (let i = 0; i < ballsPerSpawn; i++) {
-      if (this.balls.length >= this.maxBalls) return;
+      if (this.balls.length >= this.maxBalls || location.ballCount >= locationCap) return;
       
-      const noteIndex = this.balls.length % 25; // Cycle through 0-24
-      const ball = new WeatherBall(this.scene, this.weatherData, noteIndex, this.pitBounds, this.audioEngine);
+      const noteIndex = location.ballCount % 25; // Cycle through 0-24
+      const ball = new WeatherBall(this.ballRenderer, this.world, location.weatherData, noteIndex, this.random, this.mapper);
+      ball.location = location;
+      location.ballCount++;
       this.balls.push(ball);
     }
   }
   
   /**
-   * Check collisions between balls
+   * Remove a ball from the pit
    */
-  checkCollisions() {
-    for (let i = 0; i < this.balls.length; i++) {
-      for (let j = i + 1; j < this.balls.length; j++) {
-        const ball1 = this.balls[i];
-        const ball2 = this.balls[j];
-        
-        const distance = ball1.position.distanceTo(ball2.position);
-        const minDistance = ball1.size + ball2.size;
-        
-        if (distance < minDistance) {
-          this.handleCollision(ball1, ball2);
-        }
-      }
-    }
+  removeBall(ball) {
+    if (this.controls) this.controls.release(ball);
+    if (ball.location.morph) ball.location.morph.colors.delete(ball);
+    ball.destroy();
+    ball.location.ballCount--;
   }
   
   /**
-   * Handle collision between two balls
+   * Change the ball cap; extra balls are removed oldest first
    */
-  handleCollision(ball1, ball2) {
-    // Calculate collision normal
-    const normal = new THREE.Vector3()
-      .subVectors(ball2.position, ball1.position)
-      .normalize();
+  setMaxBalls(maxBalls) {
+    this.maxBalls = maxBalls;
     
-    // Calculate relative velocity
-    const relativeVelocity = new THREE.Vector3()
-      .subVectors(ball1.velocity, ball2.velocity);
-    
-    const velocityAlongNormal = relativeVelocity.dot(normal);
-    
-    // Don't resolve if balls are moving apart
-    if (velocityAlongNormal > 0) return;
-    
-    // Calculate restitution (bounciness)
-    const restitution = 0.8;
-    
-    // Calculate impulse scalar
-    const impulse = -(1 + restitution) * velocityAlongNormal;
-    const totalMass = ball1.mass + ball2.mass;
-    const impulseScalar = impulse / totalMass;
-    
-    // Apply impulse to velocities
-    const impulseVector = normal.multiplyScalar(impulseScalar);
-    ball1.velocity.add(impulseVector.clone().multiplyScalar(ball2.mass));
-    ball2.velocity.sub(impulseVector.clone().multiplyScalar(ball1.mass));
+    while (this.balls.length > this.maxBalls) {
+      this.removeBall(this.balls.shift());
+    }
+  }
+  
+  /**
+   * Mode a ball's note is played in, from its location's weather
+   * While a location morphs into a new mode, notes cross over one at a
+   * time from the bottom of the range up, so the scales blend rather than jump.
+   */
+  noteMode(ball) {
+    const { morph } = ball.location;
+    if (!morph) return resolveMode(ball.weatherData);
     
-    // Separate balls to prevent overlap
-    const overlap = (ball1.size + ball2.size - ball1.position.distanceTo(ball2.position)) / 2;
-    const separation = normal.multiplyScalar(overlap);
-    ball1.position.sub(separation);
-    ball2.position.add(separation);
+    return resolveMode(ball.noteIndex < morph.amount * 25 ? morph.to : morph.from);
+  }
+  
+  /**
+   * Publish a ball's note on the note bus
+   * @param {WeatherBall} ball - Ball whose note, scale and voice are played
+   * @param {number} velocity - Impact speed
+   * @param {number} duration - Seconds before release
+   * @param {number} delay - Seconds from now to start the note
+   * @param {Object} position - Where the sound comes from (defaults to the ball)
+   */
+  playBallNote(ball, velocity, duration, delay = 0, position = ball.body) {
+    if (this.silent) return;
+    
+    // Land on the tempo grid when quantizing
+    delay = this.audioEngine.quantizeDelay(delay);
+    const mode = this.audioEngine.getScaleName(this.noteMode(ball));
+    const { voice } = ball.location;
+    
+    this.noteBus.emit({
+      time: this.world.time + delay,
+      delay,
+      noteIndex: ball.noteIndex,
+      mode,
+      midiNote: this.audioEngine.getMidiNote(ball.noteIndex, mode, voice),
+      velocity,
+      duration,
+      voice,
+      location: ball.location.weatherData.location,
+      weatherData: ball.weatherData,
+      position: { x: position.x, y: position.y, z: position.z }
+    });
+  }
+  
+  /**
+   * Play a note when a ball bounces off the floor
+   */
+  handleFloorBounce(ball, bounceVelocity) {
+    this.playBallNote(ball, bounceVelocity, 0.2); // Shorter duration for ground bounces
+  }
+  
+  /**
+   * Play notes for a collision between two balls
+   * The physics world has already exchanged their momentum. Each note
+   * uses its own city's scale and voice, so duels between cities mix both.
+   */
+  handleCollision(ball1, ball2, collisionVelocity) {
+    // Both notes come from the point of contact, between the two centres
+    const a = ball1.body;
+    const b = ball2.body;
+    const t = a.radius / (a.radius + b.radius);
+    const contact = {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: a.z + (b.z - a.z) * t
+    };
     
     // Play sound for collisions - use the other ball's note (exchange notes)
-    const collisionVelocity = Math.abs(velocityAlongNormal);
-    this.audioEngine.playNote(ball2.noteIndex, this.weatherData.isMajorScale, collisionVelocity, 0.3);
+    this.playBallNote(ball2, collisionVelocity, 0.3, 0, contact);
     
     // Small delay for the second note to create harmony
-    setTimeout(() => {
-      this.audioEngine.playNote(ball1.noteIndex, this.weatherData.isMajorScale, collisionVelocity * 0.8, 0.3);
-    }, 20);
+    this.playBallNote(ball1, collisionVelocity * 0.8, 0.3, 0.02, contact);
   }
   
   /**
-   * Update simulation
+   * Publish a percussion hit when a ball strikes a percussive obstacle
+   * Hits go out on the note bus like ball notes (MIDI sends them as drums).
+   */
+  handleObstacleHit(ball, obstacle, speed) {
+    if (this.silent) return;
+    
+    const delay = this.audioEngine.quantizeDelay(0);
+    const { body } = ball;
+    
+    this.noteBus.emit({
+      time: this.world.time + delay,
+      delay,
+      noteIndex: null,
+      mode: null,
+      midiNote: PERCUSSION[obstacle.percussion].midiNote,
+      velocity: speed,
+      duration: 0.1,
+      voice: ball.location.voice,
+      location: ball.location.weatherData.location,
+      weatherData: ball.weatherData,
+      position: { x: body.x, y: body.y, z: body.z },
+      percussion: obstacle.percussion
+    });
+  }
+  
+  /**
+   * Place the audio listener where an object is, facing the way it faces
+   * @param {THREE.Object3D} object - Usually the camera
+   */
+  updateListener(object) {
+    const forward = object.getWorldDirection(new THREE.Vector3());
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(object.quaternion);
+    this.audioEngine.setListener(object.position, forward, up);
+  }
+  
+  /**
+   * Update simulation for one frame
    */
   update() {
     const deltaTime = this.clock.getDelta();
     
-    // Spawn new balls based on precipitation
-    this.spawnTimer += deltaTime;
-    if (this.spawnTimer >= this.spawnInterval) {
-      this.spawnBall();
-      this.spawnTimer = 0;
+    // Run as many fixed physics steps as this frame needs
+    const alpha = this.world.advance(deltaTime, (step) => this.fixedUpdate(step));
+    
+    // Draw balls between the last two physics states
+    this.balls.forEach(ball => ball.render(alpha));
+    
+    // Move the camera, then keep the ears with it so moving it changes the mix
+    this.controls.update(deltaTime, alpha);
+    this.updateListener(this.camera);
+    
+    // Live readout of the selected ball
+    if (this.onBallInfo && this.controls.selectedBall) {
+      this.onBallInfo(this.describeBall(this.controls.selectedBall));
     }
+  }
+  
+  /**
+   * Details of a ball for display
+   * @param {WeatherBall} ball
+   * @returns {Object} { location, noteIndex, mode, midiNote, mass, size, life, age, velocity, speed }
+   */
+  describeBall(ball) {
+    const { body } = ball;
+    const mode = this.audioEngine.getScaleName(this.noteMode(ball));
+    const velocity = { x: body.vx * body.speedScale, y: body.vy, z: body.vz * body.speedScale };
+    
+    return {
+      location: ball.location.weatherData.location,
+      noteIndex: ball.noteIndex,
+      mode,
+      midiNote: this.audioEngine.getMidiNote(ball.noteIndex, mode, ball.location.voice),
+      mass: ball.mass,
+      size: ball.size,
+      life: ball.life,
+      age: ball.age,
+      velocity,
+      speed: Math.hypot(velocity.x, velocity.y, velocity.z)
+    };
+  }
+  
+  /**
+   * Glide the camera to a preset view (see VIEWS)
+   */
+  setView(name) {
+    this.controls.setView(name);
+  }
+  
+  /**
+   * Advance everything that affects the simulation by one fixed step
+   * Runs before each physics step so spawning and decay are frame-rate independent.
+   */
+  fixedUpdate(deltaTime) {
+    // Advance through the weather timeline
+    if (this.timelapse) {
+      this.updateTimelapse(deltaTime);
+    }
+    
+    // Blend refreshed weather in
+    this.locations.forEach(location => {
+      if (location.morph) this.updateMorph(location, deltaTime);
+    });
+    
+    // Queue drone bars a little ahead of the audio clock, in the first location's mode
+    if (this.audioEngine.isInitialized && this.locations.length > 0) {
+      this.audioEngine.setDroneMode(resolveMode(this.locations[0].weatherData));
+      this.audioEngine.scheduleDrone(this.audioEngine.now() + DRONE_LOOKAHEAD);
+    }
+    
+    // Spawn new balls based on each location's precipitation
+    this.locations.forEach(location => {
+      location.spawnTimer += deltaTime;
+      if (location.spawnTimer >= location.spawnInterval) {
+        this.spawnBalls(location);
+        location.spawnTimer = 0;
+      }
+    });
     
     // Update all balls
     for (let i = this.balls.length - 1; i >= 0; i--) {
@@ -298,13 +718,45 @@ export class WeatherPit {
       
       // Remove dead balls
       if (!ball.isAlive()) {
-        ball.destroy();
+        this.removeBall(ball);
         this.balls.splice(i, 1);
       }
     }
     
-    // Check collisions
-    this.checkCollisions();
+    // Steer a ball the user is dragging
+    if (this.controls) {
+      this.controls.applyDrag(deltaTime);
+    }
+  }
+  
+  /**
+   * Run the simulation without rendering, e.g. for offline audio renders
+   * Steps exactly like the animation loop, so the same seed gives the same notes.
+   * @param {number} seconds - Simulated time to advance
+   */
+  simulate(seconds) {
+    const { fixedStep } = this.world;
+    const steps = Math.round(seconds / fixedStep);
+    
+    for (let i = 0; i < steps; i++) {
+      this.fixedUpdate(fixedStep);
+      this.world.step(fixedStep);
+    }
+  }
+  
+  /**
+   * Run the simulation ahead without publishing any notes
+   * Used to catch up with a live host; the pit ends up exactly where
+   * simulate() would have left it.
+   * @param {number} seconds - Simulated time to skip
+   */
+  fastForward(seconds) {
+    this.silent = true;
+    try {
+      this.simulate(seconds);
+    } finally {
+      this.silent = false;
+    }
   }
   
   /**
@@ -357,17 +809,150 @@ export class WeatherPit {
     this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
   }
   
+  /**
+   * Start stepping through a weather timeline for the first location
+   * Weather is blended between frames so spawn rate, gravity, wind and
+   * scale change gradually; existing balls are kept.
+   * @param {Array<Object>} frames - Ordered weather snapshots
+   * @param {number} secondsPerFrame - Playback time spent on each frame
+   */
+  startTimelapse(frames, secondsPerFrame = 2) {
+    if (!frames || frames.length === 0 || this.locations.length === 0) return;
+    
+    const location = this.locations[0];
+    this.timelapse = {
+      frames,
+      secondsPerFrame,
+      location,
+      position: 0,
+      currentIndex: -1
+    };
+    
+    // Live balls follow the blended weather from now on
+    location.weatherData = sampleTimeline(frames, 0);
+    this.balls.forEach(ball => {
+      if (ball.location === location) ball.weatherData = location.weatherData;
+    });
+    
+    this.updateTimelapse(0);
+  }
+  
+  /**
+   * Stop time-lapse playback, keeping the current blended weather
+   */
+  stopTimelapse() {
+    this.timelapse = null;
+  }
+  
+  /**
+   * Advance time-lapse playback
+   */
+  updateTimelapse(deltaTime) {
+    const { frames, secondsPerFrame, location } = this.timelapse;
+    const lastIndex = frames.length - 1;
+    
+    this.timelapse.position = Math.min(lastIndex, this.timelapse.position + deltaTime / secondsPerFrame);
+    const { position } = this.timelapse;
+    
+    // Mutate in place so every ball from this location sees the new weather
+    Object.assign(location.weatherData, sampleTimeline(frames, position));
+    location.spawnInterval = this.calculateSpawnInterval(location.weatherData);
+    
+    const index = Math.round(position);
+    if (index !== this.timelapse.currentIndex) {
+      this.timelapse.currentIndex = index;
+      if (this.onTimelapseStep) {
+        this.onTimelapseStep(frames[index], index, frames.length);
+      }
+    }
+    
+    if (position >= lastIndex) {
+      this.stopTimelapse();
+    }
+  }
+  
+  /**
+   * Move the pit toward new weather without clearing it
+   * Each location blends from its current weather to the new snapshot:
+   * gravity, wind and spawn rate follow the blend, live balls fade into the
+   * new palette and notes cross over to the new mode. New balls spawn from
+   * the blended weather. Time-lapse playback is stopped.
+   * @param {Object|Array<Object>} newWeatherData - Weather snapshot, or one per location, in location order
+   * @param {number} seconds - Length of the transition
+   */
+  morphWeather(newWeatherData, seconds = WEATHER_MORPH_SECONDS) {
+    this.stopTimelapse();
+    
+    [].concat(newWeatherData).forEach((to, index) => {
+      const location = this.locations[index];
+      if (!location) return;
+      
+      // Blend into a copy, so the snapshot the location started from is left alone
+      const from = { ...location.weatherData };
+      PRECIPITATION_SOURCES.forEach(source => delete from[source]);
+      location.weatherData = { ...from };
+      
+      const colors = new Map();
+      this.balls.forEach(ball => {
+        if (ball.location !== location) return;
+        ball.weatherData = location.weatherData;
+        // Colour is only drawn, so it stays off the seeded sequence the simulation replays from
+        colors.set(ball, { from: ball.color.clone(), to: ball.calculateColor(to, Math.random) });
+      });
+      
+      location.morph = { from, to, seconds, elapsed: 0, amount: 0, colors };
+    });
+  }
+  
+  /**
+   * Advance a location's weather morph by one fixed step
+   */
+  updateMorph(location, deltaTime) {
+    const { morph } = location;
+    morph.elapsed = Math.min(morph.seconds, morph.elapsed + deltaTime);
+    const t = morph.seconds > 0 ? morph.elapsed / morph.seconds : 1;
+    morph.amount = t * t * (3 - 2 * t);
+    
+    // Mutate in place so every ball from this location sees the new weather
+    Object.assign(location.weatherData, interpolateWeather(morph.from, morph.to, morph.amount));
+    location.spawnInterval = this.calculateSpawnInterval(location.weatherData);
+    
+    morph.colors.forEach(({ from, to }, ball) => {
+      ball.color.lerpColors(from, to, morph.amount);
+      this.ballRenderer.setColor(ball.slot, ball.color);
+    });
+    
+    if (t === 1) {
+      location.morph = null;
+      PRECIPITATION_SOURCES.forEach(source => delete location.weatherData[source]);
+      this.applyShape();
+      if (this.onMorphComplete) this.onMorphComplete(location);
+    }
+  }
+  
   /**
    * Update weather data and reset simulation
+   * @param {Object|Array<Object>} newWeatherData - Weather snapshot from the API, or one per location
+   * @param {number} seed - Optional new seed; the current one is replayed otherwise
    */
-  updateWeather(newWeatherData) {
-    this.weatherData = newWeatherData;
-    this.spawnInterval = this.calculateSpawnInterval();
+  updateWeather(newWeatherData, seed = this.seed) {
+    this.stopTimelapse();
+    
+    // Restart the random sequence so the reset pit is reproducible
+    this.seed = seed;
+    this.random = createRandom(this.seed);
+    this.world.random = this.random;
     
     // Clear existing balls
-    this.balls.forEach(ball => ball.destroy());
+    this.balls.forEach(ball => this.removeBall(ball));
     this.balls = [];
-    this.spawnTimer = 0;
+    this.world.clear();
+    this.world.accumulator = 0;
+    this.world.time = 0;
+    
+    this.locations = [];
+    [].concat(newWeatherData).forEach(data => this.addLocation(data));
+    this.applyShape();
   }
   
   /**
@@ -376,8 +961,13 @@ export class WeatherPit {
   destroy() {
     this.stop();
     this.balls.forEach(ball => ball.destroy());
+    this.ballRenderer.dispose();
     this.audioEngine.destroy();
-    this.renderer.dispose();
-    this.container.removeChild(this.renderer.domElement);
+    
+    if (!this.headless) {
+      this.controls.dispose();
+      this.renderer.dispose();
+      this.container.removeChild(this.renderer.domElement);
+    }
   }
 }
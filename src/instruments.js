@@ -0,0 +1,385 @@
+import { createRandom } from './random.js';
+import { DEFAULT_MAPPER } from './mappings.js';
+
+/**
+ * Instruments - Sound sources for AudioEngine notes
+ * An instrument builds the source half of a note; the engine adds the ADSR
+ * envelope, volume and cleanup, so every instrument respects the sliders.
+ *
+ * create(context, { frequency, start, duration, timbre }) returns
+ * { output, sources, nodes }:
+ *   output  - Node the engine connects to the note's envelope
+ *   sources - Scheduled nodes (oscillators, buffer sources) the engine stops
+ *   nodes   - Every node created, disconnected when the note ends
+ *
+ * timbre is { type, brightness, resonance }: an oscillator waveform, a
+ * lowpass cutoff as a multiple of the note frequency, and filter Q.
+ */
+
+// Per-context caches of generated buffers (plucked strings, mallet noise)
+const bufferCaches = new WeakMap();
+
+function getBufferCache(context) {
+  if (!bufferCaches.has(context)) bufferCaches.set(context, new Map());
+  return bufferCaches.get(context);
+}
+
+/**
+ * Karplus-Strong plucked string: a noise burst circulating through a
+ * delay line with an averaging (lowpass) filter
+ * Rendered once per pitch and reused.
+ */
+function getPluckBuffer(context, frequency) {
+  const cache = getBufferCache(context);
+  const period = Math.max(2, Math.round(context.sampleRate / frequency));
+  const key = `pluck:${period}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const length = Math.ceil(context.sampleRate * 1.5);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  // Seeded excitation so exports render identically every time
+  const random = createRandom(period);
+  for (let i = 0; i < period; i++) {
+    data[i] = random() * 2 - 1;
+  }
+
+  // Each pass through the loop averages neighbouring samples, so high
+  // harmonics die away first, as on a real string
+  const damping = 0.996;
+  data[period] = damping * data[0];
+  for (let i = period + 1; i < length; i++) {
+    data[i] = damping * 0.5 * (data[i - period] + data[i - period - 1]);
+  }
+
+  // Fade the last 100ms so long notes don't click when the buffer runs out
+  const fade = Math.ceil(context.sampleRate * 0.1);
+  for (let i = 0; i < fade; i++) {
+    data[length - fade + i] *= 1 - i / fade;
+  }
+
+  cache.set(key, buffer);
+  return buffer;
+}
+
+/**
+ * Short decaying noise burst used to strike the marimba's resonators
+ */
+function getMalletBuffer(context) {
+  const cache = getBufferCache(context);
+  if (cache.has('mallet')) return cache.get('mallet');
+
+  const length = Math.ceil(context.sampleRate * 0.03);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  const random = createRandom(1);
+
+  for (let i = 0; i < length; i++) {
+    data[i] = (random() * 2 - 1) * (1 - i / length);
+  }
+
+  cache.set('mallet', buffer);
+  return buffer;
+}
+
+/**
+ * Lowpass filter shaped by the timbre
+ */
+function createTone(context, frequency, timbre) {
+  const filter = context.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = Math.min(frequency * timbre.brightness, context.sampleRate / 2);
+  filter.Q.value = timbre.resonance;
+  return filter;
+}
+
+export const INSTRUMENTS = {
+  classic: {
+    label: 'Classic Synth',
+    create(context, { frequency, start, timbre }) {
+      const oscillator = context.createOscillator();
+      oscillator.type = timbre.type;
+      oscillator.frequency.value = frequency;
+
+      const filter = createTone(context, frequency, timbre);
+      oscillator.connect(filter);
+      oscillator.start(start);
+
+      return { output: filter, sources: [oscillator], nodes: [oscillator, filter] };
+    }
+  },
+
+  bell: {
+    label: 'FM Bell',
+    create(context, { frequency, start, timbre }) {
+      // Inharmonic modulator ratio gives the metallic partials
+      const carrier = context.createOscillator();
+      carrier.frequency.value = frequency;
+
+      const modulator = context.createOscillator();
+      modulator.frequency.value = frequency * 3.5;
+
+      // Brighter timbres strike harder; the partials fade faster than the tone
+      const modulationDepth = context.createGain();
+      const index = 1 + timbre.brightness;
+      modulationDepth.gain.setValueAtTime(frequency * index, start);
+      modulationDepth.gain.exponentialRampToValueAtTime(frequency * 0.05, start + 1.5);
+
+      modulator.connect(modulationDepth);
+      modulationDepth.connect(carrier.frequency);
+      carrier.start(start);
+      modulator.start(start);
+
+      return { output: carrier, sources: [carrier, modulator], nodes: [carrier, modulator, modulationDepth] };
+    }
+  },
+
+  pluck: {
+    label: 'Plucked String',
+    create(context, { frequency, start, timbre }) {
+      const source = context.createBufferSource();
+      source.buffer = getPluckBuffer(context, frequency);
+
+      const filter = createTone(context, frequency, timbre);
+      source.connect(filter);
+      source.start(start);
+
+      return { output: filter, sources: [source], nodes: [source, filter] };
+    }
+  },
+
+  pad: {
+    label: 'Saw Pad',
+    create(context, { frequency, start, timbre }) {
+      const filter = createTone(context, frequency, { ...timbre, brightness: timbre.brightness * 0.75 });
+      const mix = context.createGain();
+      mix.gain.value = 1 / 3;
+
+      // Three slightly detuned saws beat against each other for width
+      const oscillators = [-8, 0, 8].map(detune => {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = frequency;
+        oscillator.detune.value = detune;
+        oscillator.connect(mix);
+        oscillator.start(start);
+        return oscillator;
+      });
+      mix.connect(filter);
+
+      return { output: filter, sources: oscillators, nodes: [...oscillators, mix, filter] };
+    }
+  },
+
+  marimba: {
+    label: 'Marimba',
+    create(context, { frequency, start, timbre }) {
+      const mallet = context.createBufferSource();
+      mallet.buffer = getMalletBuffer(context);
+
+      // Tuned bar: fundamental plus the fourth harmonic marimba bars are cut for
+      const output = context.createGain();
+      const resonators = [[1, 1], [4, 0.3]].map(([ratio, level]) => {
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = Math.min(frequency * ratio, context.sampleRate / 2);
+        filter.Q.value = 30 + timbre.resonance * 5;
+
+        // Narrow bandpasses pass little energy; make up for it
+        const makeup = context.createGain();
+        makeup.gain.value = level * 12;
+
+        mallet.connect(filter);
+        filter.connect(makeup);
+        makeup.connect(output);
+        return [filter, makeup];
+      });
+
+      // A quickly decaying sine gives the bar its body
+      const body = context.createOscillator();
+      body.frequency.value = frequency;
+      const bodyLevel = context.createGain();
+      bodyLevel.gain.setValueAtTime(0.6, start);
+      bodyLevel.gain.exponentialRampToValueAtTime(0.001, start + 0.6);
+      body.connect(bodyLevel);
+      bodyLevel.connect(output);
+
+      mallet.start(start);
+      body.start(start);
+
+      return {
+        output,
+        sources: [body, mallet],
+        nodes: [mallet, body, bodyLevel, output, ...resonators.flat()]
+      };
+    }
+  }
+};
+
+/**
+ * Oscillator with its own decaying level, for percussion
+ */
+function createPing(context, { type = 'sine', frequency, level, start, decay }) {
+  const oscillator = context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.value = frequency;
+
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(level, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + decay);
+
+  oscillator.connect(gain);
+  oscillator.start(start);
+  return { oscillator, gain };
+}
+
+/**
+ * Mallet noise through a filter, for percussion
+ */
+function createStrike(context, { type, frequency, Q = 1, level, start }) {
+  const mallet = context.createBufferSource();
+  mallet.buffer = getMalletBuffer(context);
+
+  const filter = context.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = Math.min(frequency, context.sampleRate / 2);
+  filter.Q.value = Q;
+
+  const gain = context.createGain();
+  gain.gain.value = level;
+
+  mallet.connect(filter);
+  filter.connect(gain);
+  mallet.start(start);
+  return { mallet, filter, gain };
+}
+
+/**
+ * Percussion - Sounds for pit obstacles
+ * Unlike instruments these are fixed-pitch and carry their own decay, so
+ * the engine only sets their level. midiNote is the General MIDI drum the
+ * hit is sent as.
+ *
+ * create(context, start) returns { output, sources, nodes, length }, with
+ * length the seconds until the sound has died away.
+ */
+export const PERCUSSION = {
+  wood: {
+    label: 'Wood Block',
+    midiNote: 76, // Hi Wood Block
+    create(context, start) {
+      const output = context.createGain();
+      const strike = createStrike(context, { type: 'bandpass', frequency: 1800, Q: 8, level: 6, start });
+      const ping = createPing(context, { frequency: 880, level: 0.8, start, decay: 0.08 });
+      strike.gain.connect(output);
+      ping.gain.connect(output);
+
+      return {
+        output,
+        sources: [ping.oscillator, strike.mallet],
+        nodes: [output, ...Object.values(strike), ...Object.values(ping)],
+        length: 0.15
+      };
+    }
+  },
+
+  stone: {
+    label: 'Stone',
+    midiNote: 45, // Low Tom
+    create(context, start) {
+      const output = context.createGain();
+      const strike = createStrike(context, { type: 'lowpass', frequency: 600, level: 2, start });
+
+      // Thud that drops in pitch, like a drum head
+      const ping = createPing(context, { frequency: 140, level: 1, start, decay: 0.3 });
+      ping.oscillator.frequency.setValueAtTime(140, start);
+      ping.oscillator.frequency.exponentialRampToValueAtTime(70, start + 0.15);
+      strike.gain.connect(output);
+      ping.gain.connect(output);
+
+      return {
+        output,
+        sources: [ping.oscillator, strike.mallet],
+        nodes: [output, ...Object.values(strike), ...Object.values(ping)],
+        length: 0.35
+      };
+    }
+  },
+
+  metal: {
+    label: 'Metal',
+    midiNote: 56, // Cowbell
+    create(context, start) {
+      // Two detuned squares through a bandpass, the classic cowbell recipe
+      const filter = context.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.frequency.value = 2600;
+      filter.Q.value = 2;
+
+      const pings = [540, 800].map(frequency => {
+        const ping = createPing(context, { type: 'square', frequency, level: 0.5, start, decay: 0.4 });
+        ping.gain.connect(filter);
+        return ping;
+      });
+
+      return {
+        output: filter,
+        sources: pings.map(ping => ping.oscillator),
+        nodes: [filter, ...pings.flatMap(ping => Object.values(ping))],
+        length: 0.5
+      };
+    }
+  },
+
+  ice: {
+    label: 'Ice',
+    midiNote: 81, // Open Triangle
+    create(context, start) {
+      const output = context.createGain();
+      const strike = createStrike(context, { type: 'highpass', frequency: 5000, level: 1.5, start });
+      const pings = [[2637, 0.5], [3951, 0.3]].map(([frequency, level]) => {
+        const ping = createPing(context, { frequency, level, start, decay: 0.6 });
+        ping.gain.connect(output);
+        return ping;
+      });
+      strike.gain.connect(output);
+
+      return {
+        output,
+        sources: [...pings.map(ping => ping.oscillator), strike.mallet],
+        nodes: [output, ...Object.values(strike), ...pings.flatMap(ping => Object.values(ping))],
+        length: 0.7
+      };
+    }
+  }
+};
+
+// Waveform for each weather condition in weather timbre mode
+const CONDITION_WAVEFORMS = {
+  Clear: 'sine',
+  Clouds: 'triangle',
+  Drizzle: 'triangle',
+  Rain: 'sawtooth',
+  Thunderstorm: 'square',
+  Snow: 'sine',
+  Mist: 'sine',
+  Fog: 'sine'
+};
+
+/**
+ * Timbre from weather, for weather timbre mode
+ * Condition picks the waveform; brightness and resonance come from the
+ * mapping (classic: dry air is bright and humid air muffled, and heavier
+ * cloud cover adds filter resonance).
+ * @param {Object} weatherData - Weather of the note's location
+ * @param {Object} mapper - Compiled weather→behaviour mapping
+ * @returns {Object} { type, brightness, resonance }
+ */
+export function timbreFromWeather(weatherData, mapper = DEFAULT_MAPPER) {
+  return {
+    type: CONDITION_WAVEFORMS[weatherData.condition] || 'triangle',
+    brightness: mapper.value('audio.brightness', weatherData),
+    resonance: mapper.value('audio.resonance', weatherData)
+  };
+}
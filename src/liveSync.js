@@ -0,0 +1,116 @@
+/**
+ * Live pit sync
+ * Hosts and viewers of a live pit (see services/liveRooms.js) run the same
+ * seeded simulation, so a viewer only needs the host's events, applied at
+ * the same simulated time, to stay in step.
+ */
+
+/**
+ * A ball being flung, as a `fling` event payload
+ * Balls are named by their place in the pit, which is the same on every
+ * copy of the pit until the host's and viewers' simulations drift apart.
+ * @param {WeatherPit} pit
+ * @param {WeatherBall} ball
+ * @returns {Object} { ball, position, velocity }
+ */
+export function describeFling(pit, ball) {
+  const { body } = ball;
+
+  return {
+    ball: pit.balls.indexOf(ball),
+    position: { x: body.x, y: body.y, z: body.z },
+    velocity: { x: body.vx, y: body.vy, z: body.vz }
+  };
+}
+
+/**
+ * Apply a host event to a viewer's pit
+ * @param {WeatherPit} pit
+ * @param {Object} event - Event from the live room (see LIVE_EVENT_TYPES)
+ */
+export function applyLiveEvent(pit, event) {
+  switch (event.type) {
+    case 'weather':
+      pit.morphWeather(event.weatherData);
+      break;
+
+    case 'timelapse':
+      pit.startTimelapse(event.frames);
+      break;
+
+    case 'shape':
+      pit.setShape(event.shape);
+      break;
+
+    case 'fling': {
+      const ball = pit.balls[event.ball];
+      if (!ball) break;
+
+      const { body } = ball;
+      const { position, velocity } = event;
+      body.x = body.prevX = position.x;
+      body.y = body.prevY = position.y;
+      body.z = body.prevZ = position.z;
+      body.vx = velocity.x;
+      body.vy = velocity.y;
+      body.vz = velocity.z;
+      break;
+    }
+
+    case 'addCity':
+      pit.addLocation(event.weatherData);
+      break;
+
+    case 'removeCity': {
+      const location = pit.locations[event.index];
+      if (location) pit.removeLocation(location.id);
+      break;
+    }
+
+    case 'maxBalls':
+      pit.setMaxBalls(event.maxBalls);
+      break;
+
+    case 'mapping':
+      pit.setMapping(event.mapping);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Silently run a pit forward to a host time it hasn't reached yet
+ */
+function advanceTo(pit, time) {
+  const behind = time - pit.world.time;
+  if (behind > 0) pit.fastForward(behind);
+}
+
+/**
+ * Bring a freshly built pit up to a live room's snapshot
+ * Replays every logged event at the time the host applied it.
+ * @param {WeatherPit} pit - Pit built from snapshot.pit, not yet advanced
+ * @param {Object} snapshot - { time, events } from the room
+ */
+export function replaySnapshot(pit, { time, events }) {
+  events.forEach(event => {
+    advanceTo(pit, event.time);
+    applyLiveEvent(pit, event);
+  });
+  advanceTo(pit, time);
+}
+
+/**
+ * Handle a host event as it arrives
+ * A viewer behind the host (by network latency, or a lot more in a
+ * background tab) skips ahead first, so the event lands on the same step
+ * it did for the host; one slightly ahead applies it straight away.
+ * @param {WeatherPit} pit
+ * @param {Object} event - Event from the live room
+ */
+export function receiveLiveEvent(pit, event) {
+  advanceTo(pit, event.time);
+  applyLiveEvent(pit, event);
+}
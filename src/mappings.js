@@ -0,0 +1,246 @@
+/**
+ * Weather → behaviour mappings
+ * A mapping is plain JSON: a list of rules, each binding a weather metric to
+ * a ball, pit or audio parameter through a curve:
+ *
+ *   { "name": "Classic", "rules": [
+ *     { "source": "humidity", "target": "ball.size", "curve": "linear",
+ *       "input": [0, 100], "output": [0.3, 1.5] }
+ *   ] }
+ *
+ * The metric is placed on `input` (clamped), shaped by the curve and scaled
+ * onto `output`; `output` may run downwards. Rules on the same target add
+ * up, and a target no rule drives keeps its fallback value. Metrics are
+ * canonical units (see src/units.js). Shared by the browser and the server,
+ * which validates presets with the same rules.
+ */
+
+import { CANONICAL_UNITS } from './units.js';
+
+// Weather metrics a rule can read (rain and snow: see readSource)
+export const MAPPING_SOURCES = {
+  temp: { label: 'Temperature', unit: CANONICAL_UNITS.temp },
+  humidity: { label: 'Humidity', unit: CANONICAL_UNITS.humidity },
+  windSpeed: { label: 'Wind speed', unit: CANONICAL_UNITS.windSpeed },
+  pressure: { label: 'Pressure', unit: CANONICAL_UNITS.pressure },
+  precipitation: { label: 'Precipitation', unit: CANONICAL_UNITS.precipitation },
+  cloudCover: { label: 'Cloud cover', unit: CANONICAL_UNITS.cloudCover },
+  rain: { label: 'Raining (0-1)', unit: '' },
+  snow: { label: 'Snowing (0-1)', unit: '' }
+};
+
+// Sources read from precipitationType
+export const PRECIPITATION_SOURCES = ['rain', 'snow'];
+
+// Parameters a rule can drive, the range they are held to, and their value when no rule drives them
+export const MAPPING_TARGETS = {
+  'ball.size': { label: 'Ball size', min: 0.1, max: 5, fallback: 0.9 },
+  'ball.density': { label: 'Ball density (mass per size³)', min: 0.01, max: 10, fallback: 1 },
+  'ball.speed': { label: 'Ball speed', min: 0.1, max: 10, fallback: 2 },
+  'ball.decay': { label: 'Ball decay (life lost per second)', min: 0, max: 1, fallback: 0.001 },
+  'ball.wind': { label: 'Wind force', min: 0, max: 50, fallback: 0 },
+  'ball.gravity': { label: 'Gravity (× Earth)', min: 0, max: 5, fallback: 1 },
+  'pit.spawnInterval': { label: 'Seconds between spawns', min: 0.1, max: 10, fallback: 2 },
+  'pit.ballsPerSpawn': { label: 'Balls per spawn', min: 1, max: 20, fallback: 3, integer: true },
+  'audio.tempo': { label: 'Tempo (BPM)', min: 40, max: 240, fallback: 100, integer: true },
+  'audio.reverb': { label: 'Reverb mix', min: 0, max: 1, fallback: 0.2 },
+  'audio.feedback': { label: 'Delay feedback', min: 0, max: 0.9, fallback: 0.3 },
+  'audio.tilt': { label: 'EQ tilt (dB)', min: -12, max: 12, fallback: 0 },
+  'audio.brightness': { label: 'Timbre brightness', min: 0.5, max: 10, fallback: 4 },
+  'audio.resonance': { label: 'Timbre resonance', min: 0.1, max: 20, fallback: 1 }
+};
+
+/**
+ * Curves from a position on the input range (0-1) to one on the output range (0-1)
+ * log rises fast then levels off; stepped snaps to `steps` equal jumps.
+ */
+export const MAPPING_CURVES = {
+  linear: t => t,
+  log: t => Math.log10(1 + 9 * t),
+  stepped: (t, steps) => Math.min(1, Math.floor(t * steps) / steps)
+};
+
+export const MAX_MAPPING_RULES = 40;
+const MAX_NAME_LENGTH = 60;
+const MAX_STEPS = 100;
+
+/**
+ * Built-in mappings; `classic` is how the pit has always behaved
+ */
+export const MAPPING_PRESETS = {
+  classic: {
+    name: 'Classic',
+    rules: [
+      { source: 'humidity', target: 'ball.size', curve: 'linear', input: [0, 100], output: [0.3, 1.5] },
+      { source: 'pressure', target: 'ball.density', curve: 'linear', input: [0, 2026], output: [0, 2] },
+      { source: 'temp', target: 'ball.speed', curve: 'linear', input: [-18, 43], output: [1, 3] },
+      { source: 'precipitation', target: 'ball.decay', curve: 'linear', input: [0, 100], output: [0.001, 0.041] },
+      { source: 'windSpeed', target: 'ball.wind', curve: 'linear', input: [0, 100], output: [0, 22] },
+      { source: 'rain', target: 'ball.gravity', curve: 'linear', input: [0, 1], output: [1, 1.5] },
+      { source: 'snow', target: 'ball.gravity', curve: 'linear', input: [0, 1], output: [0, -0.5] },
+      { source: 'precipitation', target: 'pit.spawnInterval', curve: 'linear', input: [0, 425], output: [2, 0.3] },
+      { source: 'precipitation', target: 'pit.ballsPerSpawn', curve: 'stepped', steps: 3, input: [0, 7.5], output: [3, 6] },
+      { source: 'cloudCover', target: 'pit.ballsPerSpawn', curve: 'stepped', steps: 2, input: [0, 120], output: [0, 2] },
+      { source: 'windSpeed', target: 'audio.tempo', curve: 'linear', input: [0, 18], output: [70, 140] },
+      { source: 'humidity', target: 'audio.reverb', curve: 'linear', input: [0, 100], output: [0.05, 0.65] },
+      { source: 'windSpeed', target: 'audio.feedback', curve: 'linear', input: [0, 18], output: [0.1, 0.8] },
+      { source: 'pressure', target: 'audio.tilt', curve: 'linear', input: [977, 1049], output: [-12, 12] },
+      { source: 'humidity', target: 'audio.brightness', curve: 'linear', input: [0, 100], output: [6.5, 1.5] },
+      { source: 'cloudCover', target: 'audio.resonance', curve: 'linear', input: [0, 100], output: [0.7, 11.7] }
+    ]
+  },
+  storm: {
+    name: 'Storm Chaser',
+    rules: [
+      { source: 'windSpeed', target: 'ball.size', curve: 'log', input: [0, 25], output: [0.4, 2] },
+      { source: 'pressure', target: 'ball.density', curve: 'linear', input: [960, 1040], output: [2, 0.5] },
+      { source: 'windSpeed', target: 'ball.speed', curve: 'log', input: [0, 25], output: [1, 5] },
+      { source: 'humidity', target: 'ball.decay', curve: 'linear', input: [0, 100], output: [0.001, 0.05] },
+      { source: 'windSpeed', target: 'ball.wind', curve: 'linear', input: [0, 25], output: [0, 40] },
+      { source: 'rain', target: 'ball.gravity', curve: 'linear', input: [0, 1], output: [1, 1.5] },
+      { source: 'snow', target: 'ball.gravity', curve: 'linear', input: [0, 1], output: [0, -0.5] },
+      { source: 'cloudCover', target: 'pit.spawnInterval', curve: 'linear', input: [0, 100], output: [2.5, 0.5] },
+      { source: 'windSpeed', target: 'pit.ballsPerSpawn', curve: 'stepped', steps: 5, input: [0, 20], output: [2, 7] },
+      { source: 'pressure', target: 'audio.tempo', curve: 'linear', input: [960, 1040], output: [160, 80] },
+      { source: 'precipitation', target: 'audio.reverb', curve: 'log', input: [0, 20], output: [0.1, 0.9] },
+      { source: 'windSpeed', target: 'audio.feedback', curve: 'linear', input: [0, 25], output: [0.2, 0.85] },
+      { source: 'pressure', target: 'audio.tilt', curve: 'linear', input: [960, 1040], output: [-12, 6] }
+    ]
+  },
+  thermometer: {
+    name: 'Thermometer',
+    rules: [
+      { source: 'temp', target: 'ball.size', curve: 'linear', input: [-20, 40], output: [0.3, 1.8] },
+      { source: 'temp', target: 'ball.speed', curve: 'linear', input: [-20, 40], output: [0.5, 4] },
+      { source: 'temp', target: 'pit.ballsPerSpawn', curve: 'stepped', steps: 4, input: [-20, 40], output: [1, 6] },
+      { source: 'temp', target: 'audio.tempo', curve: 'stepped', steps: 6, input: [-20, 40], output: [60, 180] },
+      { source: 'temp', target: 'audio.brightness', curve: 'linear', input: [-20, 40], output: [1, 8] }
+    ]
+  }
+};
+
+export const DEFAULT_MAPPING = MAPPING_PRESETS.classic;
+
+const isRange = range => Array.isArray(range) && range.length === 2 && range.every(Number.isFinite);
+
+/**
+ * Check a mapping before it is used or saved
+ * @param {Object} mapping - { name, rules }
+ * @returns {Array<string>} Problems found; empty when the mapping is usable
+ */
+export function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    return ['mapping must be an object'];
+  }
+
+  const errors = [];
+  const { name, rules } = mapping;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(rules) || rules.length > MAX_MAPPING_RULES) {
+    errors.push(`rules must be an array of at most ${MAX_MAPPING_RULES} rules`);
+    return errors;
+  }
+
+  rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!MAPPING_SOURCES[rule.source]) {
+      errors.push(`${at}.source must be one of: ${Object.keys(MAPPING_SOURCES).join(', ')}`);
+    }
+    if (!MAPPING_TARGETS[rule.target]) {
+      errors.push(`${at}.target must be one of: ${Object.keys(MAPPING_TARGETS).join(', ')}`);
+    }
+    if (!MAPPING_CURVES[rule.curve]) {
+      errors.push(`${at}.curve must be one of: ${Object.keys(MAPPING_CURVES).join(', ')}`);
+    }
+    if (rule.curve === 'stepped' && !(Number.isInteger(rule.steps) && rule.steps >= 1 && rule.steps <= MAX_STEPS)) {
+      errors.push(`${at}.steps must be an integer from 1 to ${MAX_STEPS}`);
+    }
+    if (!isRange(rule.input) || rule.input[0] === rule.input[1]) {
+      errors.push(`${at}.input must be two different numbers`);
+    }
+    if (!isRange(rule.output)) {
+      errors.push(`${at}.output must be two numbers`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * A source metric's value in some weather
+ * Rain and snow are 1 while it rains or snows and 0 otherwise; weather
+ * blends (see interpolateWeather) carry them in between.
+ * @param {Object} weatherData - Weather snapshot in canonical units
+ * @param {string} source - Key of MAPPING_SOURCES
+ */
+export function readSource(weatherData, source) {
+  if (PRECIPITATION_SOURCES.includes(source) && weatherData[source] === undefined) {
+    return weatherData.precipitationType === source ? 1 : 0;
+  }
+  return weatherData[source] || 0;
+}
+
+/**
+ * What one rule contributes for some weather
+ * @param {Object} rule - { source, curve, steps, input, output }
+ * @param {Object} weatherData - Weather snapshot in canonical units
+ */
+export function evaluateRule({ source, curve, steps, input, output }, weatherData) {
+  const [inFrom, inTo] = input;
+  const [outFrom, outTo] = output;
+  const position = Math.max(0, Math.min(1, (readSource(weatherData, source) - inFrom) / (inTo - inFrom)));
+  return outFrom + MAPPING_CURVES[curve](position, steps) * (outTo - outFrom);
+}
+
+/**
+ * Prepare a mapping for evaluation
+ * Invalid mappings throw, so check user input with validateMapping() first.
+ * @param {Object} mapping - { name, rules }
+ * @returns {Object} { mapping, value(target, weatherData) }
+ */
+export function compileMapping(mapping = DEFAULT_MAPPING) {
+  const errors = validateMapping(mapping);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping: ${errors.join('; ')}`);
+  }
+
+  const rulesByTarget = new Map();
+  mapping.rules.forEach(rule => {
+    if (!rulesByTarget.has(rule.target)) rulesByTarget.set(rule.target, []);
+    rulesByTarget.get(rule.target).push(rule);
+  });
+
+  return {
+    mapping,
+
+    /**
+     * A parameter's value for some weather, held to the target's range
+     * @param {string} target - Key of MAPPING_TARGETS
+     * @param {Object} weatherData - Weather snapshot in canonical units
+     */
+    value(target, weatherData) {
+      const { min, max, fallback, integer } = MAPPING_TARGETS[target];
+      const rules = rulesByTarget.get(target);
+      if (!rules) return fallback;
+
+      let total = 0;
+      rules.forEach(rule => {
+        total += evaluateRule(rule, weatherData);
+      });
+
+      const value = Math.max(min, Math.min(max, total));
+      return integer ? Math.round(value) : value;
+    }
+  };
+}
+
+// Compiled once, for everything that isn't given a mapping
+export const DEFAULT_MAPPER = compileMapping(DEFAULT_MAPPING);
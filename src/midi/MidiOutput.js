@@ -0,0 +1,77 @@
+import { toMidiVelocity, noteChannel } from './midiFile.js';
+
+/**
+ * MidiOutput - Sends pit notes to an external synth over Web MIDI
+ * Each note event becomes a note-on and a timed note-off on the
+ * channel of its location's voice (obstacle hits on the drum channel).
+ */
+export class MidiOutput {
+  constructor() {
+    this.access = null;
+    this.output = null;
+  }
+
+  /**
+   * Whether the browser has Web MIDI
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * Ask for MIDI access (the browser may prompt)
+   * @returns {Promise<Array<{id: string, name: string}>>} Available outputs
+   */
+  async connect() {
+    if (!MidiOutput.isSupported()) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    if (!this.access) {
+      this.access = await navigator.requestMIDIAccess();
+    }
+    return this.getOutputs();
+  }
+
+  /**
+   * Outputs currently available
+   */
+  getOutputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.outputs.values(), port => ({ id: port.id, name: port.name }));
+  }
+
+  /**
+   * Pick the output notes are sent to
+   * @param {string|null} id - Output id from getOutputs(), or null to turn MIDI off
+   */
+  setOutput(id) {
+    this.allNotesOff();
+    this.output = id && this.access ? this.access.outputs.get(id) || null : null;
+  }
+
+  /**
+   * Send a note event from a NoteBus
+   */
+  send(note) {
+    if (!this.output) return;
+
+    const channel = noteChannel(note);
+    const pitch = Math.max(0, Math.min(127, note.midiNote));
+    const start = performance.now() + note.delay * 1000;
+
+    this.output.send([0x90 | channel, pitch, toMidiVelocity(note.velocity)], start);
+    this.output.send([0x80 | channel, pitch, 0], start + note.duration * 1000);
+  }
+
+  /**
+   * Silence every channel (e.g. when the pit stops)
+   */
+  allNotesOff() {
+    if (!this.output) return;
+
+    for (let channel = 0; channel < 16; channel++) {
+      this.output.send([0xb0 | channel, 123, 0]);
+    }
+  }
+}
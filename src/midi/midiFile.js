@@ -0,0 +1,152 @@
+// Fastest impact worth distinguishing: a ball dropped from the top of the pit
+// lands at about sqrt(2 * 9.8 * 80) ≈ 40
+const MAX_IMPACT_SPEED = 40;
+
+// General MIDI drum channel (channel 10, counted from zero)
+export const PERCUSSION_CHANNEL = 9;
+
+/**
+ * Channel a note event is sent on: its voice's, or the drum channel for obstacle hits
+ */
+export function noteChannel(note) {
+  return note.percussion ? PERCUSSION_CHANNEL : note.voice % 16;
+}
+
+/**
+ * Map an impact speed to a MIDI velocity (1-127)
+ * A square-root curve keeps gentle taps audible and hard hits distinct.
+ */
+export function toMidiVelocity(velocity) {
+  const amount = Math.max(0, Math.min(1, velocity / MAX_IMPACT_SPEED));
+  return 1 + Math.round(Math.sqrt(amount) * 126);
+}
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ */
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >>> 7;
+
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>>= 7;
+  }
+
+  return bytes;
+}
+
+/**
+ * Meta event bytes (without delta time)
+ */
+function metaEvent(type, data) {
+  return [0xff, type, ...variableLength(data.length), ...data];
+}
+
+/**
+ * Text as bytes for meta events (non-ASCII characters become '?')
+ */
+function textBytes(text) {
+  return Array.from(String(text), char => (char.charCodeAt(0) < 128 ? char.charCodeAt(0) : 63));
+}
+
+/**
+ * Wrap timed events in an MTrk chunk
+ * @param {Array<{tick: number, data: Array<number>}>} events - Sorted by tick
+ */
+function trackChunk(events) {
+  const bytes = [];
+  let lastTick = 0;
+
+  events.forEach(({ tick, data }) => {
+    bytes.push(...variableLength(tick - lastTick), ...data);
+    lastTick = tick;
+  });
+  bytes.push(0x00, ...metaEvent(0x2f, []));
+
+  const length = bytes.length;
+  return [0x4d, 0x54, 0x72, 0x6b, length >>> 24, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff, ...bytes];
+}
+
+/**
+ * Build a Standard MIDI File (type 1) from note events
+ * Track 0 carries the tempo; each voice (one per location) gets its own
+ * track on its own channel, named after the location. Obstacle hits go
+ * on a drum track.
+ * @param {Array<Object>} notes - Note events from a NoteBus
+ * @param {Object} options
+ * @param {number} options.bpm - Tempo written to the file
+ * @param {number} options.ppq - Ticks per quarter note
+ * @param {string} options.title - Name of the tempo track
+ * @returns {Uint8Array} .mid file contents
+ */
+export function encodeMidiFile(notes, { bpm = 120, ppq = 480, title = 'Weather Pit' } = {}) {
+  const ticksPerSecond = (bpm / 60) * ppq;
+  const toTick = seconds => Math.max(0, Math.round(seconds * ticksPerSecond));
+
+  // Tempo track: name, tempo (microseconds per quarter) and 4/4 time
+  const microsecondsPerQuarter = Math.round(60000000 / bpm);
+  const tempoTrack = trackChunk([
+    { tick: 0, data: metaEvent(0x03, textBytes(title)) },
+    {
+      tick: 0,
+      data: metaEvent(0x51, [
+        (microsecondsPerQuarter >>> 16) & 0xff,
+        (microsecondsPerQuarter >>> 8) & 0xff,
+        microsecondsPerQuarter & 0xff
+      ])
+    },
+    { tick: 0, data: metaEvent(0x58, [4, 2, 24, 8]) }
+  ]);
+
+  // Group notes by channel, in time order
+  const channels = new Map();
+  [...notes].sort((a, b) => a.time - b.time).forEach(note => {
+    const channel = noteChannel(note);
+    if (!channels.has(channel)) channels.set(channel, { name: note.percussion ? 'Obstacles' : note.location, notes: [] });
+    channels.get(channel).notes.push(note);
+  });
+
+  const noteTracks = [...channels.keys()].sort((a, b) => a - b).map(channel => {
+    const { name, notes: channelNotes } = channels.get(channel);
+    const events = [{ tick: 0, data: metaEvent(0x03, textBytes(name || `Voice ${channel + 1}`)) }];
+
+    // A repeated pitch cuts off the previous one, like the audio engine does
+    const sounding = new Map();
+    const spans = channelNotes.map(note => {
+      const span = {
+        pitch: Math.max(0, Math.min(127, note.midiNote)),
+        velocity: toMidiVelocity(note.velocity),
+        start: toTick(note.time),
+        end: Math.max(toTick(note.time) + 1, toTick(note.time + note.duration))
+      };
+
+      const previous = sounding.get(span.pitch);
+      if (previous && previous.end > span.start) {
+        previous.end = span.start;
+      }
+      sounding.set(span.pitch, span);
+      return span;
+    });
+
+    spans.forEach(({ pitch, velocity, start, end }) => {
+      if (end <= start) return; // Replaced on the same tick
+
+      events.push({ tick: start, order: 1, data: [0x90 | channel, pitch, velocity] });
+      events.push({ tick: end, order: 0, data: [0x80 | channel, pitch, 0] });
+    });
+
+    // Note-offs before note-ons on the same tick so repeated pitches retrigger
+    events.sort((a, b) => a.tick - b.tick || (a.order || 0) - (b.order || 0));
+    return trackChunk(events);
+  });
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+    0, 1, // Format 1: simultaneous tracks
+    0, noteTracks.length + 1,
+    (ppq >>> 8) & 0xff, ppq & 0xff
+  ];
+
+  return new Uint8Array([...header, ...tempoTrack, ...noteTracks.flat()]);
+}
@@ -0,0 +1,446 @@
+import { SpatialHash } from './SpatialHash.js';
+import { obstacleContact } from './obstacles.js';
+
+// Slowest impact that counts as a bounce (slower contacts are resting or rolling)
+const BOUNCE_THRESHOLD = 0.1;
+
+// Surfaces whose normal points at least this far up count as floor
+const FLOOR_SLOPE = 0.7;
+
+/**
+ * PhysicsWorld - Deterministic ball physics for the pit
+ * Pure simulation: no DOM, no Three.js, so it runs (and can be tested) in Node.
+ * Advances in fixed substeps with an accumulator; renderers interpolate
+ * between the previous and current step using the returned alpha.
+ */
+export class PhysicsWorld {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bounds - Pit size { width, height, depth }, floor at y = 0
+   * @param {number} options.fixedStep - Seconds per substep
+   * @param {number} options.maxSubSteps - Most substeps run per advance() call
+   * @param {number} options.maxFrameDelta - Longer frames (tab switches) are clamped to this
+   * @param {number} options.restitution - Bounciness of walls and balls (0.0 to 1.0)
+   * @param {Function} options.random - Random source for wind gusts (seed it for replays)
+   * @param {string} options.broadphase - 'grid' (spatial hash) or 'naive' (check every pair)
+   * @param {Object} options.shape - Container and obstacles (see setShape)
+   */
+  constructor({
+    bounds,
+    fixedStep = 1 / 120,
+    maxSubSteps = 10,
+    maxFrameDelta = 0.25,
+    restitution = 0.8,
+    random = Math.random,
+    broadphase = 'grid',
+    shape = { container: 'box', obstacles: [] }
+  }) {
+    this.bounds = bounds;
+    this.fixedStep = fixedStep;
+    this.maxSubSteps = maxSubSteps;
+    this.maxFrameDelta = maxFrameDelta;
+    this.restitution = restitution;
+    this.random = random;
+    this.setShape(shape);
+    this.contact = { nx: 0, ny: 0, nz: 0, depth: 0 }; // Scratch for obstacle tests
+
+    this.bodies = [];
+    this.accumulator = 0;
+
+    this.broadphase = broadphase;
+    this.spatialHash = new SpatialHash();
+    this.resolvePair = (a, b) => this.resolveCollision(a, b); // Bound once, reused every step
+    this.time = 0; // Simulated seconds
+
+    // Event hooks
+    this.onFloorBounce = null; // (body, impactSpeed)
+    this.onCollision = null; // (bodyA, bodyB, impactSpeed)
+    this.onObstacleHit = null; // (body, obstacle, impactSpeed), for obstacles with a percussion sound
+  }
+
+  /**
+   * Change the pit's shape
+   * @param {Object} shape
+   * @param {string} shape.container - 'box', 'cylinder' or 'bowl', sized to the bounds
+   * @param {Array<Object>} shape.obstacles - Static obstacles (see pitShapes.js)
+   */
+  setShape({ container, obstacles }) {
+    this.container = container;
+    this.obstacles = obstacles;
+  }
+
+  /**
+   * Create a body and add it to the world
+   * @param {Object} props
+   * @param {Object} props.position - { x, y, z }
+   * @param {Object} props.velocity - { x, y, z }
+   * @param {number} props.radius
+   * @param {number} props.mass
+   * @param {number} props.gravity - Downward acceleration
+   * @param {number} props.windStrength - Random horizontal jitter per second
+   * @param {number} props.speedScale - Horizontal velocity multiplier
+   * @param {*} props.userData - Anything the owner wants to find the body by
+   */
+  addBody({
+    position,
+    velocity,
+    radius,
+    mass,
+    gravity = 9.8,
+    windStrength = 0,
+    speedScale = 1,
+    userData = null
+  }) {
+    const body = {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      prevX: position.x,
+      prevY: position.y,
+      prevZ: position.z,
+      vx: velocity.x,
+      vy: velocity.y,
+      vz: velocity.z,
+      radius,
+      mass,
+      gravity,
+      windStrength,
+      speedScale,
+      userData
+    };
+
+    this.bodies.push(body);
+    return body;
+  }
+
+  /**
+   * Remove a body from the world
+   */
+  removeBody(body) {
+    const index = this.bodies.indexOf(body);
+    if (index !== -1) {
+      this.bodies.splice(index, 1);
+    }
+  }
+
+  /**
+   * Remove every body
+   */
+  clear() {
+    this.bodies = [];
+  }
+
+  /**
+   * Advance by a frame's worth of real time
+   * @param {number} frameDelta - Seconds since the last frame
+   * @param {Function} beforeStep - Called with the fixed step before each substep
+   * @returns {number} Interpolation alpha (0.0 to 1.0) between the last two steps
+   */
+  advance(frameDelta, beforeStep = null) {
+    this.accumulator += Math.min(Math.max(frameDelta, 0), this.maxFrameDelta);
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedStep && steps < this.maxSubSteps) {
+      if (beforeStep) beforeStep(this.fixedStep);
+      this.step(this.fixedStep);
+      this.accumulator -= this.fixedStep;
+      steps++;
+    }
+
+    // Too far behind: drop the backlog rather than spiral
+    if (this.accumulator >= this.fixedStep) {
+      this.accumulator %= this.fixedStep;
+    }
+
+    return this.accumulator / this.fixedStep;
+  }
+
+  /**
+   * Run one substep: forces, integration, walls, then ball-ball collisions
+   */
+  step(dt) {
+    for (let i = 0; i < this.bodies.length; i++) {
+      const body = this.bodies[i];
+
+      body.prevX = body.x;
+      body.prevY = body.y;
+      body.prevZ = body.z;
+
+      this.integrate(body, dt);
+      this.resolveBoundaries(body);
+    }
+
+    this.detectCollisions();
+    this.time += dt;
+  }
+
+  /**
+   * Apply wind and gravity, then move the body
+   */
+  integrate(body, dt) {
+    // Wind adds a random horizontal push
+    const windForce = body.windStrength * dt;
+    body.vx += (this.random() - 0.5) * windForce;
+    body.vz += (this.random() - 0.5) * windForce;
+
+    body.vy -= body.gravity * dt;
+
+    // Apply velocity with speed multiplier
+    body.x += body.vx * body.speedScale * dt;
+    body.y += body.vy * dt;
+    body.z += body.vz * body.speedScale * dt;
+  }
+
+  /**
+   * Keep a body inside the pit and out of its obstacles
+   */
+  resolveBoundaries(body) {
+    if (this.container === 'bowl') {
+      this.resolveBowl(body);
+    } else {
+      this.resolveFloor(body);
+
+      if (this.container === 'cylinder') {
+        this.resolveRoundWall(body);
+      } else {
+        this.resolveBoxWalls(body);
+      }
+    }
+
+    for (let i = 0; i < this.obstacles.length; i++) {
+      const obstacle = this.obstacles[i];
+      if (obstacleContact(obstacle, body, this.contact)) {
+        this.resolveObstacle(body, obstacle);
+      }
+    }
+  }
+
+  /**
+   * Flat floor at y = 0
+   */
+  resolveFloor(body) {
+    const { radius } = body;
+
+    if (body.y - radius < 0) {
+      // Capture velocity before modifying it to detect bounce
+      const wasMovingDown = body.vy < 0;
+      const bounceVelocity = Math.abs(body.vy);
+
+      body.y = radius;
+      body.vy *= -this.restitution;
+
+      if (wasMovingDown && bounceVelocity > BOUNCE_THRESHOLD && this.onFloorBounce) {
+        this.onFloorBounce(body, bounceVelocity);
+      }
+    }
+  }
+
+  /**
+   * Four straight walls at the edges of the bounds
+   */
+  resolveBoxWalls(body) {
+    const halfWidth = this.bounds.width / 2;
+    const halfDepth = this.bounds.depth / 2;
+    const { radius } = body;
+
+    if (body.x - radius < -halfWidth) {
+      body.x = -halfWidth + radius;
+      body.vx *= -this.restitution;
+    }
+    if (body.x + radius > halfWidth) {
+      body.x = halfWidth - radius;
+      body.vx *= -this.restitution;
+    }
+
+    if (body.z - radius < -halfDepth) {
+      body.z = -halfDepth + radius;
+      body.vz *= -this.restitution;
+    }
+    if (body.z + radius > halfDepth) {
+      body.z = halfDepth - radius;
+      body.vz *= -this.restitution;
+    }
+  }
+
+  /**
+   * Round wall touching the narrower sides of the bounds
+   */
+  resolveRoundWall(body) {
+    const limit = Math.min(this.bounds.width, this.bounds.depth) / 2 - body.radius;
+    const distance = Math.sqrt(body.x * body.x + body.z * body.z);
+
+    if (distance > limit) {
+      const { contact } = this;
+      contact.nx = -body.x / distance;
+      contact.ny = 0;
+      contact.nz = -body.z / distance;
+      contact.depth = distance - limit;
+      this.resolveContact(body, contact);
+    }
+  }
+
+  /**
+   * Hemispherical bowl as wide as the pit, with a round wall above its rim
+   * Bounces on the gentler lower slopes play notes like the floor does.
+   */
+  resolveBowl(body) {
+    const bowlRadius = Math.min(this.bounds.width, this.bounds.depth) / 2;
+
+    if (body.y >= bowlRadius) {
+      this.resolveRoundWall(body);
+      return;
+    }
+
+    // Distance from the centre of the sphere the bowl is cut from
+    const dy = body.y - bowlRadius;
+    const distance = Math.sqrt(body.x * body.x + dy * dy + body.z * body.z);
+    const limit = bowlRadius - body.radius;
+    if (distance <= limit) return;
+
+    const { contact } = this;
+    contact.nx = -body.x / distance;
+    contact.ny = -dy / distance;
+    contact.nz = -body.z / distance;
+    contact.depth = distance - limit;
+
+    const impact = this.resolveContact(body, contact);
+    if (contact.ny > FLOOR_SLOPE && impact > BOUNCE_THRESHOLD && this.onFloorBounce) {
+      this.onFloorBounce(body, impact);
+    }
+  }
+
+  /**
+   * React to touching an obstacle: percussive ones report the hit, and
+   * landing on top of terrain counts as a floor bounce
+   */
+  resolveObstacle(body, obstacle) {
+    const impact = this.resolveContact(body, this.contact);
+    if (impact <= BOUNCE_THRESHOLD) return;
+
+    if (obstacle.percussion) {
+      if (this.onObstacleHit) this.onObstacleHit(body, obstacle, impact);
+    } else if (this.contact.ny > FLOOR_SLOPE && this.onFloorBounce) {
+      this.onFloorBounce(body, impact);
+    }
+  }
+
+  /**
+   * Push a body out of a static surface and bounce it off
+   * @param {Object} body - Physics body
+   * @param {Object} contact - { nx, ny, nz, depth }, normal pointing away from the surface
+   * @returns {number} Speed the body hit the surface at (0 if it was moving away)
+   */
+  resolveContact(body, { nx, ny, nz, depth }) {
+    body.x += nx * depth;
+    body.y += ny * depth;
+    body.z += nz * depth;
+
+    const velocityAlongNormal = body.vx * nx + body.vy * ny + body.vz * nz;
+    if (velocityAlongNormal >= 0) return 0;
+
+    const push = -(1 + this.restitution) * velocityAlongNormal;
+    body.vx += nx * push;
+    body.vy += ny * push;
+    body.vz += nz * push;
+    return -velocityAlongNormal;
+  }
+
+  /**
+   * Find and resolve overlapping bodies
+   * The grid broadphase only tests bodies in neighbouring cells.
+   */
+  detectCollisions() {
+    const { bodies } = this;
+
+    if (this.broadphase === 'grid') {
+      this.spatialHash.build(bodies);
+      this.spatialHash.forEachPair(bodies, this.resolvePair);
+      return;
+    }
+
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        this.resolveCollision(bodies[i], bodies[j]);
+      }
+    }
+  }
+
+  /**
+   * Resolve an overlapping pair with a mass-weighted impulse
+   * @returns {boolean} Whether the bodies collided
+   */
+  resolveCollision(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    const minDistance = a.radius + b.radius;
+    const distanceSq = dx * dx + dy * dy + dz * dz;
+
+    if (distanceSq >= minDistance * minDistance) return false;
+
+    // Collision normal (arbitrary if the centers coincide)
+    const distance = Math.sqrt(distanceSq);
+    let nx = 0;
+    let ny = 1;
+    let nz = 0;
+    if (distance > 0) {
+      nx = dx / distance;
+      ny = dy / distance;
+      nz = dz / distance;
+    }
+
+    // b's velocity relative to a along the normal; negative while they close in
+    const velocityAlongNormal = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny + (b.vz - a.vz) * nz;
+
+    // Don't resolve if balls are moving apart
+    if (velocityAlongNormal > 0) return false;
+
+    // Apply impulse to velocities, pushing a back along the normal and b forward
+    const impulse = -(1 + this.restitution) * velocityAlongNormal / (a.mass + b.mass);
+    a.vx -= nx * impulse * b.mass;
+    a.vy -= ny * impulse * b.mass;
+    a.vz -= nz * impulse * b.mass;
+    b.vx += nx * impulse * a.mass;
+    b.vy += ny * impulse * a.mass;
+    b.vz += nz * impulse * a.mass;
+
+    // Separate balls to prevent overlap
+    const overlap = (minDistance - distance) / 2;
+    a.x -= nx * overlap;
+    a.y -= ny * overlap;
+    a.z -= nz * overlap;
+    b.x += nx * overlap;
+    b.y += ny * overlap;
+    b.z += nz * overlap;
+
+    if (this.onCollision) {
+      this.onCollision(a, b, Math.abs(velocityAlongNormal));
+    }
+    return true;
+  }
+
+  /**
+   * Total kinetic plus gravitational potential energy, for diagnostics
+   */
+  getEnergy() {
+    let energy = 0;
+    for (const body of this.bodies) {
+      const speedSq = body.vx * body.vx + body.vy * body.vy + body.vz * body.vz;
+      energy += 0.5 * body.mass * speedSq + body.mass * body.gravity * body.y;
+    }
+    return energy;
+  }
+}
+
+/**
+ * Interpolate a body's rendered position between the last two steps
+ * @param {Object} body - Physics body
+ * @param {number} alpha - Value returned by PhysicsWorld.advance()
+ * @param {Object} out - Object receiving x, y, z (e.g. a THREE.Vector3)
+ */
+export function interpolatePosition(body, alpha, out) {
+  out.x = body.prevX + (body.x - body.prevX) * alpha;
+  out.y = body.prevY + (body.y - body.prevY) * alpha;
+  out.z = body.prevZ + (body.z - body.prevZ) * alpha;
+  return out;
+}
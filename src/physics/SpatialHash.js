@@ -0,0 +1,154 @@
+// Large primes for hashing integer cell coordinates
+const PRIME_X = 73856093;
+const PRIME_Y = 19349663;
+const PRIME_Z = 83492791;
+
+// The cell itself, then the 13 neighbours that come after it in (x, y, z)
+// order: exactly one offset from each opposite pair
+const FORWARD_NEIGHBOURS = (() => {
+  const offsets = [0, 0, 0];
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (dx > 0 || (dx === 0 && (dy > 0 || (dy === 0 && dz > 0)))) {
+          offsets.push(dx, dy, dz);
+        }
+      }
+    }
+  }
+  return new Int32Array(offsets);
+})();
+
+/**
+ * SpatialHash - Uniform-grid broadphase for sphere collisions
+ * Cells are sized from the largest radius so any overlapping pair sits in
+ * the same or a neighbouring cell. Buckets are rebuilt every step with a
+ * counting sort into typed arrays, so steady-state queries allocate nothing.
+ */
+export class SpatialHash {
+  constructor() {
+    this.cellSize = 1;
+    this.tableSize = 0;
+    this.capacity = 0;
+
+    this.bucketStart = new Int32Array(0); // tableSize + 1 prefix sums
+    this.bucketCursor = new Int32Array(0); // Scratch space while filling buckets
+    this.bucketEntries = new Int32Array(0); // Body indices grouped by bucket
+    this.bodyBucket = new Int32Array(0); // Bucket of each body
+    this.cellX = new Int32Array(0);
+    this.cellY = new Int32Array(0);
+    this.cellZ = new Int32Array(0);
+  }
+
+  /**
+   * Grow the typed arrays when there are more bodies than ever before
+   */
+  ensureCapacity(count) {
+    if (count <= this.capacity) return;
+
+    this.capacity = Math.max(count, this.capacity * 2, 64);
+
+    // Twice as many buckets as bodies keeps chains short
+    let tableSize = 1;
+    while (tableSize < this.capacity * 2) tableSize <<= 1;
+    this.tableSize = tableSize;
+
+    this.bucketStart = new Int32Array(tableSize + 1);
+    this.bucketCursor = new Int32Array(tableSize);
+    this.bucketEntries = new Int32Array(this.capacity);
+    this.bodyBucket = new Int32Array(this.capacity);
+    this.cellX = new Int32Array(this.capacity);
+    this.cellY = new Int32Array(this.capacity);
+    this.cellZ = new Int32Array(this.capacity);
+  }
+
+  /**
+   * Bucket index for integer cell coordinates
+   */
+  hash(cx, cy, cz) {
+    return ((Math.imul(cx, PRIME_X) ^ Math.imul(cy, PRIME_Y) ^ Math.imul(cz, PRIME_Z)) >>> 0) & (this.tableSize - 1);
+  }
+
+  /**
+   * Bucket every body by its cell
+   * @param {Array<Object>} bodies - Physics bodies with x, y, z and radius
+   */
+  build(bodies) {
+    const count = bodies.length;
+    this.ensureCapacity(count);
+
+    let maxRadius = 0;
+    for (let i = 0; i < count; i++) {
+      if (bodies[i].radius > maxRadius) maxRadius = bodies[i].radius;
+    }
+    this.cellSize = Math.max(maxRadius * 2, 1e-6);
+
+    const { bucketStart, bucketEntries, bodyBucket, cellX, cellY, cellZ } = this;
+    const inverseCell = 1 / this.cellSize;
+    bucketStart.fill(0);
+
+    // Count bodies per bucket
+    for (let i = 0; i < count; i++) {
+      const body = bodies[i];
+      const cx = Math.floor(body.x * inverseCell);
+      const cy = Math.floor(body.y * inverseCell);
+      const cz = Math.floor(body.z * inverseCell);
+      const bucket = this.hash(cx, cy, cz);
+
+      cellX[i] = cx;
+      cellY[i] = cy;
+      cellZ[i] = cz;
+      bodyBucket[i] = bucket;
+      bucketStart[bucket + 1]++;
+    }
+
+    // Prefix sums turn counts into start offsets
+    for (let b = 0; b < this.tableSize; b++) {
+      bucketStart[b + 1] += bucketStart[b];
+    }
+
+    // Scatter body indices into their buckets, keeping each bucket in ascending order
+    const { bucketCursor } = this;
+    for (let b = 0; b < this.tableSize; b++) {
+      bucketCursor[b] = bucketStart[b];
+    }
+    for (let i = 0; i < count; i++) {
+      bucketEntries[bucketCursor[bodyBucket[i]]++] = i;
+    }
+  }
+
+  /**
+   * Call a function for every candidate pair (each pair once)
+   * Each body checks its own cell plus the 13 neighbours in the "forward"
+   * half of the 3x3x3 block; the other 13 are covered from the other side.
+   * @param {Array<Object>} bodies - The same array passed to build()
+   * @param {Function} callback - (bodyA, bodyB)
+   */
+  forEachPair(bodies, callback) {
+    const { bucketStart, bucketEntries, cellX, cellY, cellZ } = this;
+
+    for (let i = 0; i < bodies.length; i++) {
+      const cx = cellX[i];
+      const cy = cellY[i];
+      const cz = cellZ[i];
+
+      for (let n = 0; n < FORWARD_NEIGHBOURS.length; n += 3) {
+        const nx = cx + FORWARD_NEIGHBOURS[n];
+        const ny = cy + FORWARD_NEIGHBOURS[n + 1];
+        const nz = cz + FORWARD_NEIGHBOURS[n + 2];
+        const sameCell = n === 0;
+        const bucket = this.hash(nx, ny, nz);
+
+        for (let e = bucketStart[bucket]; e < bucketStart[bucket + 1]; e++) {
+          const j = bucketEntries[e];
+
+          // Buckets can hold other cells that hashed to the same slot
+          if (cellX[j] !== nx || cellY[j] !== ny || cellZ[j] !== nz) continue;
+          if (sameCell && j <= i) continue;
+
+          callback(bodies[i], bodies[j]);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Sphere contacts against static pit obstacles (see pitShapes.js)
+ * Each test fills `contact` with the push-out normal (nx, ny, nz) and the
+ * penetration depth, and returns whether the body touches the obstacle.
+ * Contacts are written into the caller's object so the hot path allocates nothing.
+ */
+
+/**
+ * Axis-aligned solid box
+ */
+function blockContact(block, body, contact) {
+  const { min, max } = block;
+  const { radius } = body;
+
+  const qx = Math.max(min.x, Math.min(max.x, body.x));
+  const qy = Math.max(min.y, Math.min(max.y, body.y));
+  const qz = Math.max(min.z, Math.min(max.z, body.z));
+  const dx = body.x - qx;
+  const dy = body.y - qy;
+  const dz = body.z - qz;
+  const distanceSq = dx * dx + dy * dy + dz * dz;
+
+  if (distanceSq >= radius * radius) return false;
+
+  if (distanceSq > 0) {
+    const distance = Math.sqrt(distanceSq);
+    contact.nx = dx / distance;
+    contact.ny = dy / distance;
+    contact.nz = dz / distance;
+    contact.depth = radius - distance;
+    return true;
+  }
+
+  // Centre inside the block: leave through the nearest face (never the bottom,
+  // which sits on the floor)
+  const faces = [
+    [max.y - body.y, 0, 1, 0],
+    [body.x - min.x, -1, 0, 0],
+    [max.x - body.x, 1, 0, 0],
+    [body.z - min.z, 0, 0, -1],
+    [max.z - body.z, 0, 0, 1]
+  ];
+  const [distance, nx, ny, nz] = faces.reduce((nearest, face) => (face[0] < nearest[0] ? face : nearest));
+  contact.nx = nx;
+  contact.ny = ny;
+  contact.nz = nz;
+  contact.depth = distance + radius;
+  return true;
+}
+
+/**
+ * Upright post from the floor to its height
+ */
+function pegContact(peg, body, contact) {
+  const { radius } = body;
+  const dx = body.x - peg.x;
+  const dz = body.z - peg.z;
+  const horizontalSq = dx * dx + dz * dz;
+  const reach = peg.radius + radius;
+
+  if (horizontalSq >= reach * reach || body.y - radius >= peg.height) return false;
+
+  const horizontal = Math.sqrt(horizontalSq);
+  const outX = horizontal > 0 ? dx / horizontal : 1;
+  const outZ = horizontal > 0 ? dz / horizontal : 0;
+
+  // Centre inside the post: leave by the top or the side, whichever is closer
+  if (horizontal < peg.radius && body.y < peg.height) {
+    const toTop = peg.height - body.y;
+    const toSide = peg.radius - horizontal;
+
+    if (toTop < toSide) {
+      contact.nx = 0;
+      contact.ny = 1;
+      contact.nz = 0;
+      contact.depth = toTop + radius;
+    } else {
+      contact.nx = outX;
+      contact.ny = 0;
+      contact.nz = outZ;
+      contact.depth = toSide + radius;
+    }
+    return true;
+  }
+
+  // Closest point on the post's surface (side, top or rim)
+  const edge = Math.min(horizontal, peg.radius);
+  const ex = dx - outX * edge;
+  const ey = body.y - Math.min(body.y, peg.height);
+  const ez = dz - outZ * edge;
+  const distance = Math.sqrt(ex * ex + ey * ey + ez * ez);
+
+  if (distance >= radius || distance === 0) return false;
+
+  contact.nx = ex / distance;
+  contact.ny = ey / distance;
+  contact.nz = ez / distance;
+  contact.depth = radius - distance;
+  return true;
+}
+
+/**
+ * Solid wedge with a sloping top
+ * Only the top is solid to balls over the footprint; wedges are placed
+ * against walls or low enough that their ends don't need colliding.
+ */
+function rampContact(ramp, body, contact) {
+  const { min, max, axis, startHeight, endHeight } = ramp;
+
+  if (body.x < min.x || body.x > max.x || body.z < min.z || body.z > max.z) return false;
+
+  const length = max[axis] - min[axis];
+  const slope = (endHeight - startHeight) / length;
+  const surface = startHeight + slope * (body[axis] - min[axis]);
+
+  // Distance from the sloped plane, measured along its normal
+  const ny = 1 / Math.sqrt(1 + slope * slope);
+  const distance = (body.y - surface) * ny;
+  if (distance >= body.radius) return false;
+
+  contact.nx = axis === 'x' ? -slope * ny : 0;
+  contact.ny = ny;
+  contact.nz = axis === 'z' ? -slope * ny : 0;
+  contact.depth = body.radius - distance;
+  return true;
+}
+
+const CONTACT_TESTS = {
+  block: blockContact,
+  peg: pegContact,
+  ramp: rampContact
+};
+
+/**
+ * Test a body against an obstacle
+ * @param {Object} obstacle - Obstacle from a pit shape
+ * @param {Object} body - Physics body
+ * @param {Object} contact - Receives { nx, ny, nz, depth } when touching
+ * @returns {boolean} Whether the body touches the obstacle
+ */
+export function obstacleContact(obstacle, body, contact) {
+  return CONTACT_TESTS[obstacle.type](obstacle, body, contact);
+}
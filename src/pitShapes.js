@@ -0,0 +1,182 @@
+/**
+ * Pit shapes
+ * A shape is a container (the walls balls are kept inside) plus static
+ * obstacles laid out for the pit's bounds. Containers:
+ *   box      - Floor and four straight walls
+ *   cylinder - Floor and one round wall
+ *   bowl     - Hemisphere the width of the pit, with a round wall above its rim
+ *
+ * Obstacles (all stand on the floor, y = 0):
+ *   block - { type, min, max }: solid axis-aligned box ({ x, y, z } corners)
+ *   peg   - { type, x, z, radius, height }: upright post
+ *   ramp  - { type, min, max, axis, startHeight, endHeight }: solid wedge over
+ *           the { x, z } footprint whose top slopes along axis ('x' or 'z')
+ *           from startHeight at min to endHeight at max
+ *
+ * Obstacles with a percussion sound (key of PERCUSSION) play it when hit;
+ * the rest are terrain, and bounces on their tops play the ball's note
+ * like the floor does.
+ */
+export const PIT_SHAPES = {
+  box: {
+    label: 'Box',
+    container: 'box',
+    obstacles: () => []
+  },
+
+  cylinder: {
+    label: 'Cylinder',
+    container: 'cylinder',
+    // Ring of wooden pegs halfway to the wall
+    obstacles: ({ width, depth }) => {
+      const ring = Math.min(width, depth) / 4;
+      return Array.from({ length: 6 }, (_, i) => ({
+        type: 'peg',
+        x: Math.cos((i / 6) * Math.PI * 2) * ring,
+        z: Math.sin((i / 6) * Math.PI * 2) * ring,
+        radius: 1.5,
+        height: 10,
+        percussion: 'wood'
+      }));
+    }
+  },
+
+  bowl: {
+    label: 'Bowl',
+    container: 'bowl',
+    // Metal posts poking out of the bowl's lower slopes
+    obstacles: ({ width, depth }) => {
+      const ring = Math.min(width, depth) * 0.18;
+      return [[1, 0], [0, 1], [-1, 0], [0, -1]].map(([x, z]) => ({
+        type: 'peg',
+        x: x * ring,
+        z: z * ring,
+        radius: 1,
+        height: 12,
+        percussion: 'metal'
+      }));
+    }
+  },
+
+  canyon: {
+    label: 'Terraced Canyon',
+    container: 'box',
+    // Two terraces up each side wall, boulders in the channel and a
+    // wooden plank ramp across it
+    obstacles: ({ width, height, depth }) => {
+      const halfWidth = width / 2;
+      const halfDepth = depth / 2;
+      const step = height * 0.1;
+
+      const terraces = [1, -1].flatMap(side => [
+        [halfWidth / 2, halfWidth * 0.75, step],
+        [halfWidth * 0.75, halfWidth, step * 2]
+      ].map(([inner, outer, top]) => ({
+        type: 'block',
+        min: { x: side > 0 ? inner : -outer, y: 0, z: -halfDepth },
+        max: { x: side > 0 ? outer : -inner, y: top, z: halfDepth }
+      })));
+
+      const boulders = [[-8, -halfDepth / 2], [6, -halfDepth / 6], [-4, halfDepth / 2]].map(([x, z]) => ({
+        type: 'peg',
+        x,
+        z,
+        radius: 3,
+        height: 4,
+        percussion: 'stone'
+      }));
+
+      const plank = {
+        type: 'ramp',
+        min: { x: -halfWidth / 4, z: 0 },
+        max: { x: halfWidth / 4, z: halfDepth / 3 },
+        axis: 'z',
+        startHeight: 0,
+        endHeight: step * 0.75,
+        percussion: 'wood'
+      };
+
+      return [...terraces, ...boulders, plank];
+    }
+  },
+
+  iceShelf: {
+    label: 'Ice Shelf',
+    container: 'box',
+    // A raised shelf along one side reached by a long slope, a shorter
+    // slope against the far wall, and icicle pillars standing on the shelf
+    obstacles: ({ width, height, depth }) => {
+      const halfWidth = width / 2;
+      const halfDepth = depth / 2;
+      const shelfTop = height * 0.15;
+
+      const pillars = [-halfDepth / 2, 0, halfDepth / 2].map(z => ({
+        type: 'peg',
+        x: halfWidth * 0.66,
+        z,
+        radius: 1.2,
+        height: shelfTop * 2,
+        percussion: 'ice'
+      }));
+
+      return [
+        {
+          type: 'block',
+          min: { x: halfWidth / 3, y: 0, z: -halfDepth },
+          max: { x: halfWidth, y: shelfTop, z: halfDepth }
+        },
+        {
+          type: 'ramp',
+          min: { x: -halfWidth / 6, z: -halfDepth },
+          max: { x: halfWidth / 3, z: halfDepth },
+          axis: 'x',
+          startHeight: 0,
+          endHeight: shelfTop
+        },
+        {
+          type: 'ramp',
+          min: { x: -halfWidth, z: -halfDepth },
+          max: { x: -halfWidth * 0.66, z: halfDepth },
+          axis: 'x',
+          startHeight: shelfTop * 0.8,
+          endHeight: 0
+        },
+        ...pillars
+      ];
+    }
+  }
+};
+
+export const DEFAULT_SHAPE = 'box';
+
+/**
+ * Shape a climate gets when none is picked by hand
+ * Freezing: ice shelf; hot and dry: canyon; muggy: bowl; warm: cylinder;
+ * anything milder keeps the classic box.
+ * @param {Object} weatherData - Weather snapshot (°C, % humidity)
+ * @returns {string} Key of PIT_SHAPES
+ */
+export function shapeFromWeather(weatherData) {
+  const { temp, humidity } = weatherData;
+
+  if (temp < 0) return 'iceShelf';
+  if (temp >= 27 && humidity < 40) return 'canyon';
+  if (humidity >= 80) return 'bowl';
+  if (temp >= 18) return 'cylinder';
+  return DEFAULT_SHAPE;
+}
+
+/**
+ * Lay out a shape for a pit
+ * @param {string} name - Key of PIT_SHAPES
+ * @param {Object} bounds - { width, height, depth } of the pit
+ * @returns {Object} { name, container, obstacles }, as PhysicsWorld.setShape() takes
+ */
+export function buildShape(name, bounds) {
+  const shape = PIT_SHAPES[name];
+  if (!shape) {
+    throw new Error(`Unknown pit shape: ${name}`);
+  }
+
+  return { name, container: shape.container, obstacles: shape.obstacles(bounds) };
+}
@@ -0,0 +1,72 @@
+/**
+ * Place helpers shared by the server and the browser
+ * A location is either a place name ("Paris", "Paris, FR") or coordinates
+ * written as "lat,lon".
+ */
+
+/**
+ * Whether a latitude/longitude pair is on the globe
+ */
+export function isValidCoordinates(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon)
+    && lat >= -90 && lat <= 90
+    && lon >= -180 && lon <= 180;
+}
+
+/**
+ * Read "lat,lon" coordinates
+ * "Paris, FR" and "51.5,-0.1,3" are not coordinates.
+ * @param {string} location - Location as typed
+ * @returns {Object|null} { lat, lon }, or null unless the text is exactly two in-range numbers
+ */
+export function parseCoordinates(location) {
+  const parts = String(location).split(',');
+  if (parts.length !== 2) return null;
+
+  const [lat, lon] = parts.map(part => (part.trim() === '' ? NaN : Number(part)));
+  return isValidCoordinates(lat, lon) ? { lat, lon } : null;
+}
+
+/**
+ * Write coordinates as a "lat,lon" location
+ * Four decimal places is about 10m, far finer than weather varies.
+ */
+export function formatCoordinates(lat, lon) {
+  return `${Number(lat.toFixed(4))},${Number(lon.toFixed(4))}`;
+}
+
+/**
+ * Lower-case and strip accents, so "sao" matches "São Paulo"
+ */
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Split a place search into the name and what narrows it down
+ * "Paris, Texas" -> { name: 'paris', qualifiers: ['texas'] } (folded for matching)
+ */
+export function splitPlaceQuery(query) {
+  const [name, ...qualifiers] = String(query).split(',').map(fold);
+  return { name, qualifiers: qualifiers.filter(Boolean) };
+}
+
+/**
+ * Whether a place fits a search from splitPlaceQuery()
+ * The name must start with the searched name, and every qualifier must
+ * start the place's region or country.
+ * @param {Object} place - { name, region, country }
+ * @param {Object} search - { name, qualifiers }
+ */
+export function matchesPlaceQuery(place, { name, qualifiers }) {
+  if (!fold(place.name).startsWith(name)) return false;
+  return qualifiers.every(qualifier => fold(place.region).startsWith(qualifier) || fold(place.country).startsWith(qualifier));
+}
+
+/**
+ * Display label for a geocoded place, e.g. "London, England, GB"
+ * @param {Object} place - { name, region, country }
+ */
+export function placeLabel({ name, region, country }) {
+  return [name, region, country].filter(Boolean).join(', ');
+}
@@ -0,0 +1,27 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Drop-in replacement for Math.random: the same seed always gives the same sequence.
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} Function returning floats in [0, 1), with the seed as `random.seed`
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  
+  random.seed = seed >>> 0;
+  return random;
+}
+
+/**
+ * Pick a fresh random seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
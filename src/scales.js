@@ -0,0 +1,115 @@
+/**
+ * Scales, keys and tunings
+ * Scales are semitone intervals above the root within one octave. Ball
+ * notes (0-24) walk up the scale, so a five-note scale spans five octaves
+ * and a seven-note scale about three and a half.
+ */
+export const SCALES = {
+  lydian: { label: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  ionian: { label: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  majorPentatonic: { label: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9] },
+  mixolydian: { label: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  dorian: { label: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  minorPentatonic: { label: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10] },
+  aeolian: { label: 'Natural Minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  phrygian: { label: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  locrian: { label: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+  harmonicMinor: { label: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  blues: { label: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+  wholeTone: { label: 'Whole Tone', intervals: [0, 2, 4, 6, 8, 10] },
+  hirajoshi: { label: 'Hirajoshi', intervals: [0, 2, 3, 7, 8] },
+  inSen: { label: 'In Sen', intervals: [0, 1, 5, 7, 10] }
+};
+
+// Modes the weather picks between, brightest first
+export const BRIGHTNESS_MODES = [
+  'lydian',
+  'ionian',
+  'majorPentatonic',
+  'mixolydian',
+  'dorian',
+  'minorPentatonic',
+  'aeolian',
+  'phrygian',
+  'locrian'
+];
+
+export const DEFAULT_MODE = 'majorPentatonic';
+
+// Root keys, as semitones above C
+export const ROOT_KEYS = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/**
+ * Mode for a point on the brightness axis
+ * @param {number} brightness - 0 (gloomiest) to 1 (brightest)
+ * @returns {string} Key of SCALES
+ */
+export function modeForBrightness(brightness) {
+  const amount = Math.max(0, Math.min(1, brightness));
+  const index = Math.round((1 - amount) * (BRIGHTNESS_MODES.length - 1));
+  return BRIGHTNESS_MODES[index];
+}
+
+/**
+ * Mode a weather snapshot plays in
+ * Snapshots saved before modes existed only carry isMajorScale.
+ * @param {Object} weatherData - Weather snapshot
+ * @returns {string} Key of SCALES
+ */
+export function resolveMode(weatherData) {
+  if (weatherData.mode && SCALES[weatherData.mode]) return weatherData.mode;
+  if (weatherData.isMajorScale === false) return 'minorPentatonic';
+  return DEFAULT_MODE;
+}
+
+/**
+ * A Scala pitch line in cents
+ * Lines with a period are cents; anything else is a ratio ("3/2") or an integer ("2").
+ */
+function parseScalaPitch(line) {
+  const value = line.trim().split(/\s+/)[0];
+
+  if (value.includes('.')) {
+    const cents = Number(value);
+    if (Number.isFinite(cents)) return cents;
+  } else {
+    const [numerator, denominator = '1'] = value.split('/');
+    const ratio = Number(numerator) / Number(denominator);
+    if (Number.isFinite(ratio) && ratio > 0) return 1200 * Math.log2(ratio);
+  }
+
+  throw new Error(`Invalid pitch in Scala file: "${line.trim()}"`);
+}
+
+/**
+ * Parse a Scala (.scl) tuning file
+ * See https://www.huygens-fokker.org/scala/scl_format.html
+ * @param {string} text - File contents
+ * @returns {Object} { description, cents }: cents of each degree above the
+ *   root, ending with the period (usually the octave, 1200)
+ */
+export function parseScala(text) {
+  // '!' starts a comment line; the description may be blank
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+  if (lines.length < 2) {
+    throw new Error('Scala file is missing its description or note count');
+  }
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Scala file has an invalid note count');
+  }
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) {
+    throw new Error(`Scala file lists ${pitchLines.length} of ${count} pitches`);
+  }
+
+  const cents = pitchLines.slice(0, count).map(parseScalaPitch);
+  if (cents[cents.length - 1] <= 0) {
+    throw new Error('Scala file period must be above the root');
+  }
+
+  return { description, cents };
+}
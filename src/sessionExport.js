@@ -0,0 +1,199 @@
+import { WeatherPit } from './WeatherPit.js';
+import { AudioEngine } from './AudioEngine.js';
+import { REVERB_SECONDS } from './EffectsBus.js';
+
+/**
+ * Give an engine the session's key, scale and tuning
+ */
+function applyPitch(audioEngine, { rootKey = 0, scale = null, tuning = null }) {
+  audioEngine.setRootKey(rootKey);
+  audioEngine.setScale(scale);
+  audioEngine.setTuning(tuning);
+}
+
+/**
+ * Give an engine a session's sound settings
+ * Used for offline renders and by live viewers to sound like the host.
+ * @param {AudioEngine} audioEngine
+ * @param {Object} sound - rootKey, scale, tuning, adsr, instrument, weatherTimbre,
+ *   effects, voicing, limiterThreshold, tempo, drone and spatial, as for renderSession()
+ */
+export function applySound(audioEngine, {
+  rootKey,
+  scale,
+  tuning,
+  adsr,
+  instrument = 'classic',
+  weatherTimbre = false,
+  effects,
+  voicing,
+  limiterThreshold,
+  tempo,
+  drone = false,
+  spatial = true
+}) {
+  applyPitch(audioEngine, { rootKey, scale, tuning });
+  if (adsr) audioEngine.setADSR(adsr);
+  audioEngine.setInstrument(instrument);
+  audioEngine.setWeatherTimbre(weatherTimbre);
+  if (effects) audioEngine.setEffects(effects);
+  if (voicing) audioEngine.setVoicing(voicing);
+  if (limiterThreshold !== undefined) audioEngine.setLimiterThreshold(limiterThreshold);
+  if (tempo) audioEngine.setTempo(tempo);
+  audioEngine.setDrone(drone);
+  audioEngine.setSpatial(spatial);
+}
+
+/**
+ * Re-run a pit session offline and render its audio
+ * The pit is simulated headlessly with the same seed and fixed step as the
+ * live one, and every note goes through AudioEngine.playNote into an
+ * OfflineAudioContext, so the result matches what the pit played.
+ * @param {Object} session
+ * @param {Object|Array<Object>} session.weatherData - Weather snapshot, or one per location
+ * @param {number} session.seed - Pit seed
+ * @param {number} session.duration - Seconds of simulation to render
+ * @param {number} session.maxBalls - Ball cap used by the pit
+ * @param {number} session.rootKey - Semitones above C (see AudioEngine.setRootKey)
+ * @param {string|null} session.scale - Scale for every location, or null to follow the weather
+ * @param {Object|null} session.tuning - Scala tuning from parseScala(), or null
+ * @param {Object} session.adsr - Envelope settings (see AudioEngine.setADSR)
+ * @param {number} session.volume - Master volume (0.0 to 1.0)
+ * @param {string} session.instrument - Instrument name (see instruments.js)
+ * @param {boolean} session.weatherTimbre - Whether weather shapes the timbre
+ * @param {Object} session.effects - Effects settings (see EffectsBus)
+ * @param {Object} session.voicing - Polyphony and retrigger settings (see AudioEngine.setVoicing)
+ * @param {number} session.limiterThreshold - Master limiter threshold in dB
+ * @param {Object} session.tempo - Tempo grid settings (see AudioEngine.setTempo)
+ * @param {boolean} session.drone - Whether the drone layer plays
+ * @param {boolean} session.spatial - Whether notes are panned in 3D (heard from the starting camera)
+ * @param {string|null} session.shape - Pit shape, or null to let the climate choose
+ * @param {Object|null} session.mapping - Weather→behaviour mapping, or null for the classic one
+ * @param {number} session.sampleRate - Output sample rate
+ * @returns {Promise<AudioBuffer>} Stereo audio, including the last notes' release tail
+ */
+export async function renderSession({
+  weatherData,
+  seed,
+  duration,
+  maxBalls,
+  rootKey,
+  scale,
+  tuning,
+  adsr,
+  volume = 0.3,
+  instrument,
+  weatherTimbre,
+  effects,
+  voicing,
+  limiterThreshold,
+  tempo,
+  drone,
+  spatial,
+  shape = null,
+  mapping = null,
+  sampleRate = 44100
+}) {
+  const audioEngine = new AudioEngine();
+  applySound(audioEngine, {
+    rootKey,
+    scale,
+    tuning,
+    adsr,
+    instrument,
+    weatherTimbre,
+    effects,
+    voicing,
+    limiterThreshold,
+    tempo,
+    drone,
+    spatial
+  });
+
+  // Leave room for notes started near the end (and their reverb) to ring out
+  const tail = audioEngine.adsr.release + REVERB_SECONDS + 0.5;
+  const context = new OfflineAudioContext(2, Math.ceil((duration + tail) * sampleRate), sampleRate);
+  await audioEngine.init(context);
+  audioEngine.setVolume(volume);
+
+  const pit = new WeatherPit(null, weatherData, { seed, maxBalls, shape, mapping, headless: true, audioEngine });
+  audioEngine.clock = () => pit.world.time;
+  pit.simulate(duration);
+
+  return context.startRendering();
+}
+
+/**
+ * Re-run a pit session offline and collect its notes without playing them
+ * @param {Object} session - weatherData, seed, duration, maxBalls, rootKey, scale,
+ *   tuning, tempo, shape and mapping, as for renderSession()
+ * @returns {Array<Object>} Note events (see NoteBus), in the order they were played
+ */
+export function recordSessionNotes({ weatherData, seed, duration, maxBalls, rootKey, scale, tuning, tempo, shape = null, mapping = null }) {
+  // The engine is never initialized; it only works out each note's pitch and timing
+  const audioEngine = new AudioEngine();
+  applyPitch(audioEngine, { rootKey, scale, tuning });
+  if (tempo) audioEngine.setTempo(tempo);
+
+  const pit = new WeatherPit(null, weatherData, { seed, maxBalls, shape, mapping, headless: true, muted: true, audioEngine });
+  audioEngine.clock = () => pit.world.time;
+  const notes = [];
+  pit.noteBus.on(note => notes.push(note));
+  pit.simulate(duration);
+
+  return notes;
+}
+
+/**
+ * Encode audio as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Rendered audio
+ * @returns {Blob} audio/wav
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // Format chunk: PCM
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  // Data chunk: interleaved samples
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
@@ -0,0 +1,141 @@
+/**
+ * Sound settings
+ * The object applySound() (src/sessionExport.js) takes: key, scale, tuning,
+ * envelope, instrument, weather timbre, effects, voicing, limiter, tempo
+ * grid, drone and 3D audio (volume stays separate). Saved pits, share links
+ * and live broadcasts carry it, so settings from outside are checked here
+ * and trimmed to the fields applySound() knows.
+ */
+
+import { SCALES } from './scales.js';
+import { INSTRUMENTS } from './instruments.js';
+import { DELAY_DIVISIONS } from './EffectsBus.js';
+import { GRIDS } from './TempoClock.js';
+import { AudioEngine } from './AudioEngine.js';
+
+// Largest Scala tuning accepted from outside
+export const MAX_TUNING_DEGREES = 128;
+export const MAX_TUNING_DESCRIPTION = 200;
+
+// Each setting is 'number', 'boolean' or a list of allowed values
+const SETTINGS = {
+  rootKey: 'number',
+  scale: [null, ...Object.keys(SCALES)],
+  instrument: Object.keys(INSTRUMENTS),
+  weatherTimbre: 'boolean',
+  limiterThreshold: 'number',
+  drone: 'boolean',
+  spatial: 'boolean'
+};
+
+// Settings grouped in objects, each of which may leave out any of its own
+const GROUPS = {
+  adsr: { attack: 'number', decay: 'number', sustain: 'number', release: 'number' },
+  tempo: { bpm: 'number', grid: [null, ...Object.keys(GRIDS)], swing: 'number' },
+  effects: {
+    reverb: 'number',
+    delay: 'number',
+    feedback: 'number',
+    division: Object.keys(DELAY_DIVISIONS),
+    chorus: 'number',
+    tilt: 'number'
+  },
+  voicing: {
+    maxPolyphony: 'number',
+    stealPolicy: AudioEngine.STEAL_POLICIES,
+    retrigger: AudioEngine.RETRIGGER_MODES,
+    debounce: 'number',
+    burstWindow: 'number',
+    burstLimit: 'number'
+  }
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function isAllowed(kind, value) {
+  if (kind === 'number') return Number.isFinite(value);
+  if (kind === 'boolean') return typeof value === 'boolean';
+  return kind.includes(value);
+}
+
+function describe(kind) {
+  if (kind === 'number') return 'a finite number';
+  if (kind === 'boolean') return 'true or false';
+  return `one of: ${kind.map(String).join(', ')}`;
+}
+
+function checkSettings(settings, kinds, prefix, errors) {
+  Object.entries(kinds).forEach(([field, kind]) => {
+    if (settings[field] !== undefined && !isAllowed(kind, settings[field])) {
+      errors.push(`${prefix}${field} must be ${describe(kind)}`);
+    }
+  });
+}
+
+function pickSettings(settings, kinds) {
+  const picked = {};
+  Object.keys(kinds).forEach(field => {
+    if (settings[field] !== undefined) picked[field] = settings[field];
+  });
+  return picked;
+}
+
+/**
+ * Check sound settings before they are stored or played
+ * Every setting may be left out; applySound() keeps its default. Ranges are
+ * left to the engine's setters, which clamp.
+ * @param {Object} sound - Settings as for applySound()
+ * @returns {Array<string>} Problems found; empty when the settings are usable
+ */
+export function validateSound(sound) {
+  if (!isObject(sound)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  checkSettings(sound, SETTINGS, '', errors);
+
+  Object.entries(GROUPS).forEach(([group, kinds]) => {
+    if (sound[group] === undefined) return;
+    if (!isObject(sound[group])) {
+      errors.push(`${group} must be an object`);
+      return;
+    }
+    checkSettings(sound[group], kinds, `${group}.`, errors);
+  });
+
+  const { tuning } = sound;
+  if (tuning !== undefined && tuning !== null) {
+    if (!isObject(tuning)) {
+      errors.push('tuning must be null or { description, cents }');
+    } else {
+      const { description, cents } = tuning;
+      if (description !== undefined && (typeof description !== 'string' || description.length > MAX_TUNING_DESCRIPTION)) {
+        errors.push(`tuning.description must be a string of at most ${MAX_TUNING_DESCRIPTION} characters`);
+      }
+      if (!Array.isArray(cents) || cents.length < 1 || cents.length > MAX_TUNING_DEGREES
+        || !cents.every(Number.isFinite) || cents[cents.length - 1] <= 0) {
+        errors.push(`tuning.cents must be 1 to ${MAX_TUNING_DEGREES} numbers ending above 0`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Copy of sound settings with only the fields applySound() knows
+ * @param {Object} sound - Settings that passed validateSound()
+ */
+export function pickSound(sound) {
+  const picked = pickSettings(sound, SETTINGS);
+
+  Object.entries(GROUPS).forEach(([group, kinds]) => {
+    if (sound[group] !== undefined) picked[group] = pickSettings(sound[group], kinds);
+  });
+
+  if (sound.tuning !== undefined) {
+    picked.tuning = sound.tuning && { description: sound.tuning.description, cents: [...sound.tuning.cents] };
+  }
+  return picked;
+}
@@ -0,0 +1,108 @@
+import { readSource, PRECIPITATION_SOURCES } from './mappings.js';
+import { SCALES, resolveMode } from './scales.js';
+import { formatReading, DEFAULT_UNIT_SYSTEM } from './units.js';
+
+// Weather fields that blend smoothly between timeline entries
+const NUMERIC_FIELDS = [
+  'temp',
+  'humidity',
+  'windSpeed',
+  'pressure',
+  'precipitation',
+  'cloudCover'
+];
+
+// Readings describeWeatherChanges() reports, and the smallest change worth
+// showing in canonical units, so every unit system lists the same changes
+const CHANGE_FIELDS = [
+  { field: 'temp', label: 'Temperature', threshold: 0.3 },
+  { field: 'humidity', label: 'Humidity', threshold: 1 },
+  { field: 'windSpeed', label: 'Wind', threshold: 0.2 },
+  { field: 'pressure', label: 'Pressure', threshold: 1 },
+  { field: 'precipitation', label: 'Precipitation', threshold: 0.25 },
+  { field: 'cloudCover', label: 'Cloud Cover', threshold: 1 }
+];
+
+/**
+ * Blend two weather snapshots
+ * Numeric readings are interpolated linearly; discrete ones (condition,
+ * precipitation type, scale) switch over at the halfway point.
+ * Rain and snow (see readSource) blend as shares too, so gravity doesn't
+ * jump when rain turns to snow.
+ * @param {Object} from - Weather data at t = 0
+ * @param {Object} to - Weather data at t = 1
+ * @param {number} t - Blend factor (0.0 to 1.0)
+ * @returns {Object} Interpolated weather data
+ */
+export function interpolateWeather(from, to, t) {
+  const amount = Math.max(0, Math.min(1, t));
+  const nearest = amount < 0.5 ? from : to;
+  const blended = { ...nearest };
+
+  NUMERIC_FIELDS.forEach(field => {
+    blended[field] = from[field] + (to[field] - from[field]) * amount;
+  });
+
+  PRECIPITATION_SOURCES.forEach(source => {
+    const fromShare = readSource(from, source);
+    blended[source] = fromShare + (readSource(to, source) - fromShare) * amount;
+  });
+
+  const fromTime = new Date(from.timestamp).getTime();
+  const toTime = new Date(to.timestamp).getTime();
+  blended.timestamp = new Date(fromTime + (toTime - fromTime) * amount);
+
+  return blended;
+}
+
+/**
+ * Sample a timeline at a fractional position
+ * @param {Array<Object>} frames - Ordered weather snapshots
+ * @param {number} position - Index into frames; fractions blend neighbours
+ * @returns {Object} Interpolated weather data
+ */
+export function sampleTimeline(frames, position) {
+  const lastIndex = frames.length - 1;
+  const clamped = Math.max(0, Math.min(lastIndex, position));
+  const index = Math.min(Math.floor(clamped), Math.max(0, lastIndex - 1));
+  const next = Math.min(index + 1, lastIndex);
+
+  return interpolateWeather(frames[index], frames[next], clamped - index);
+}
+
+/**
+ * What changed between two weather snapshots, for display
+ * Readings that barely moved are left out.
+ * @param {Object} from - Earlier weather data
+ * @param {Object} to - Later weather data
+ * @param {string} system - Unit system the values are formatted in (see UNIT_SYSTEMS)
+ * @returns {Array<Object>} { label, from, to, direction } with formatted values;
+ *   direction is 'up' or 'down' for readings and null for condition and mode
+ */
+export function describeWeatherChanges(from, to, system = DEFAULT_UNIT_SYSTEM) {
+  const changes = [];
+
+  if (from.condition !== to.condition) {
+    changes.push({ label: 'Condition', from: from.description, to: to.description, direction: null });
+  }
+
+  CHANGE_FIELDS.forEach(({ field, label, threshold }) => {
+    const difference = to[field] - from[field];
+    if (Math.abs(difference) < threshold) return;
+
+    changes.push({
+      label,
+      from: formatReading(field, from[field], system),
+      to: formatReading(field, to[field], system),
+      direction: difference > 0 ? 'up' : 'down'
+    });
+  });
+
+  const fromMode = resolveMode(from);
+  const toMode = resolveMode(to);
+  if (fromMode !== toMode) {
+    changes.push({ label: 'Mode', from: SCALES[fromMode].label, to: SCALES[toMode].label, direction: null });
+  }
+
+  return changes;
+}
@@ -0,0 +1,114 @@
+/**
+ * Weather units
+ * Weather data is always in canonical SI units (CANONICAL_UNITS) and every
+ * weather→physics/sound mapping is written against them; a unit system
+ * only changes how readings are shown. Shared by the server and the browser.
+ */
+
+// Units of every numeric weather reading, as sent by the API in `units`
+export const CANONICAL_UNITS = {
+  temp: '°C',
+  humidity: '%',
+  windSpeed: 'm/s',
+  pressure: 'hPa',
+  precipitation: 'mm',
+  cloudCover: '%'
+};
+
+const MS_PER_MPH = 0.44704;
+const MM_PER_INCH = 25.4;
+const HPA_PER_INHG = 33.8639;
+
+export const fahrenheitToCelsius = fahrenheit => (fahrenheit - 32) * 5 / 9;
+export const mphToMetersPerSecond = mph => mph * MS_PER_MPH;
+export const inchesToMillimeters = inches => inches * MM_PER_INCH;
+
+// Percentages read the same everywhere
+const PERCENT = { unit: '%', convert: value => value, digits: 0 };
+
+/**
+ * Display unit systems: for each reading, its unit, the conversion from
+ * canonical units and how many decimals to show
+ */
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric (°C, km/h)',
+    temp: { unit: '°C', convert: celsius => celsius, digits: 1 },
+    windSpeed: { unit: ' km/h', convert: ms => ms * 3.6, digits: 1 },
+    pressure: { unit: ' hPa', convert: hpa => hpa, digits: 0 },
+    precipitation: { unit: ' mm', convert: mm => mm, digits: 1 },
+    humidity: PERCENT,
+    cloudCover: PERCENT
+  },
+  imperial: {
+    label: 'Imperial (°F, mph)',
+    temp: { unit: '°F', convert: celsius => celsius * 9 / 5 + 32, digits: 1 },
+    windSpeed: { unit: ' mph', convert: ms => ms / MS_PER_MPH, digits: 1 },
+    pressure: { unit: ' inHg', convert: hpa => hpa / HPA_PER_INHG, digits: 2 },
+    precipitation: { unit: ' in', convert: mm => mm / MM_PER_INCH, digits: 2 },
+    humidity: PERCENT,
+    cloudCover: PERCENT
+  },
+  scientific: {
+    label: 'Scientific (K, m/s, Pa)',
+    temp: { unit: ' K', convert: celsius => celsius + 273.15, digits: 2 },
+    windSpeed: { unit: ' m/s', convert: ms => ms, digits: 2 },
+    pressure: { unit: ' Pa', convert: hpa => hpa * 100, digits: 0 },
+    // 1 mm of rain on a square metre weighs 1 kg
+    precipitation: { unit: ' kg/m²', convert: mm => mm, digits: 2 },
+    humidity: PERCENT,
+    cloudCover: PERCENT
+  }
+};
+
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// Countries that still read the weather in Fahrenheit
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+/**
+ * Unit system a locale usually reads the weather in
+ * @param {string} locale - BCP 47 tag, e.g. 'en-US' or 'fr-FR'
+ * @returns {string} 'imperial' or 'metric'
+ */
+export function unitSystemForLocale(locale) {
+  const region = String(locale || '').split('-').slice(1).find(part => /^[A-Za-z]{2}$/.test(part));
+  return region && IMPERIAL_REGIONS.includes(region.toUpperCase()) ? 'imperial' : DEFAULT_UNIT_SYSTEM;
+}
+
+/**
+ * A canonical reading in a display unit system, with its unit
+ * @param {string} field - Reading name, e.g. 'temp' (see CANONICAL_UNITS)
+ * @param {number} value - Reading in canonical units
+ * @param {string} system - Key of UNIT_SYSTEMS
+ * @param {string} locale - Locale for the number format (defaults to the runtime's)
+ * @returns {string} e.g. "54.0°F" or "12,2°C"
+ */
+export function formatReading(field, value, system = DEFAULT_UNIT_SYSTEM, locale = undefined) {
+  const { unit, convert, digits } = (UNIT_SYSTEMS[system] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM])[field];
+  const number = convert(value).toLocaleString(locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  return `${number}${unit}`;
+}
+
+/**
+ * Bring weather data into canonical units
+ * Snapshots saved or shared before units were recorded have no `units` and
+ * are imperial (°F, mph, inches of precipitation); anything else is
+ * already canonical and returned as is.
+ * @param {Object} weatherData - Weather snapshot
+ * @returns {Object} Weather snapshot in canonical units, with `units`
+ */
+export function toCanonicalWeather(weatherData) {
+  if (weatherData.units && weatherData.units.temp === CANONICAL_UNITS.temp) return weatherData;
+
+  return {
+    ...weatherData,
+    temp: fahrenheitToCelsius(weatherData.temp),
+    windSpeed: mphToMetersPerSecond(weatherData.windSpeed || 0),
+    precipitation: inchesToMillimeters(weatherData.precipitation || 0),
+    units: { ...CANONICAL_UNITS }
+  };
+}
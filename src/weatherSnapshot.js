@@ -0,0 +1,91 @@
+/**
+ * Weather snapshots from outside
+ * Share links, saved pits and live hosts all hand over weather that ends up
+ * on screen and in the simulation, so it is checked against the shape
+ * normalizeObservation() (services/weatherService.js) produces and trimmed
+ * to the fields it knows.
+ */
+
+import { SCALES } from './scales.js';
+import { CANONICAL_UNITS } from './units.js';
+
+// Fields a snapshot may carry
+export const WEATHER_FIELDS = [
+  'location', 'country', 'temp', 'humidity', 'windSpeed', 'pressure',
+  'precipitation', 'cloudCover', 'condition', 'description',
+  'precipitationType', 'mode', 'timestamp', 'units'
+];
+
+const TEXT_FIELDS = ['location', 'country', 'condition', 'description'];
+const NUMBER_FIELDS = ['temp', 'humidity', 'windSpeed', 'pressure', 'precipitation', 'cloudCover'];
+const PRECIPITATION_TYPES = ['rain', 'snow', 'none'];
+
+// Longest text field (place names, conditions and descriptions are short)
+export const MAX_WEATHER_TEXT = 120;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a weather snapshot before it is stored, shown or simulated
+ * Unknown fields are not errors; pickWeather() drops them.
+ * @param {Object} weatherData - Weather snapshot
+ * @returns {Array<string>} Problems found; empty when the snapshot is usable
+ */
+export function validateWeather(weatherData) {
+  if (!isObject(weatherData)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  if (!Number.isFinite(weatherData.temp)) {
+    errors.push('temp must be a finite number');
+  }
+  NUMBER_FIELDS.forEach(field => {
+    if (field !== 'temp' && weatherData[field] !== undefined && !Number.isFinite(weatherData[field])) {
+      errors.push(`${field} must be a finite number`);
+    }
+  });
+
+  if (typeof weatherData.condition !== 'string' || !weatherData.condition) {
+    errors.push('condition must be a non-empty string');
+  }
+  TEXT_FIELDS.forEach(field => {
+    const value = weatherData[field];
+    if (value !== undefined && (typeof value !== 'string' || value.length > MAX_WEATHER_TEXT)) {
+      errors.push(`${field} must be a string of at most ${MAX_WEATHER_TEXT} characters`);
+    }
+  });
+
+  if (weatherData.precipitationType !== undefined && !PRECIPITATION_TYPES.includes(weatherData.precipitationType)) {
+    errors.push(`precipitationType must be one of: ${PRECIPITATION_TYPES.join(', ')}`);
+  }
+  if (weatherData.mode !== undefined && !Object.hasOwn(SCALES, weatherData.mode)) {
+    errors.push('mode must be a key of SCALES');
+  }
+  if (weatherData.timestamp !== undefined && typeof weatherData.timestamp !== 'string'
+    && !Number.isFinite(weatherData.timestamp)) {
+    errors.push('timestamp must be a string or a number');
+  }
+
+  const { units } = weatherData;
+  if (units !== undefined && (!isObject(units) || Object.entries(units).some(([field, unit]) => (
+    !Object.hasOwn(CANONICAL_UNITS, field) || typeof unit !== 'string' || unit.length > 20
+  )))) {
+    errors.push(`units must map readings (${Object.keys(CANONICAL_UNITS).join(', ')}) to unit names`);
+  }
+
+  return errors;
+}
+
+/**
+ * Copy of a snapshot with only the fields in WEATHER_FIELDS
+ * Numbers are not rounded: any difference would change ball sizes and masses.
+ */
+export function pickWeather(weatherData) {
+  const weather = {};
+  WEATHER_FIELDS.forEach(field => {
+    if (weatherData[field] !== undefined) weather[field] = weatherData[field];
+  });
+  return weather;
+}
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fixture from '../services/providers/fixture.js';
+
+test('recorded locations replay as recorded', async () => {
+  const observation = await fixture.fetchCurrent('London');
+
+  assert.equal(observation.name, 'London');
+  assert.equal(observation.country, 'GB');
+});
+
+test('other locations replay the default fixture under their own name', async () => {
+  const observation = await fixture.fetchCurrent('Atlantis');
+
+  assert.equal(observation.name, 'Atlantis');
+  assert.equal(observation.country, undefined);
+  assert.equal(observation.temp, (await fixture.fetchCurrent('default')).temp);
+});
+
+test('kinds without a default fixture are not found', async () => {
+  await assert.rejects(fixture.fetchForecast('Atlantis'), /No recorded forecast weather fixture for "Atlantis"/);
+});
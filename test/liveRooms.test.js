@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLiveRooms, eventBytes } from '../services/liveRooms.js';
+
+const START = { type: 'start', time: 0, pit: { weatherData: [{ temp: 12, condition: 'Clouds' }], seed: 1, maxBalls: 200 } };
+
+const fling = time => ({ type: 'fling', time, ball: 0, position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } });
+
+/**
+ * A clock tests can move forward
+ */
+function createClock() {
+  const clock = { time: 0, now: () => clock.time };
+  return clock;
+}
+
+test('late joiners get the start and the logged events', () => {
+  const rooms = createLiveRooms();
+  rooms.publish('pit', START);
+  rooms.publish('pit', fling(1));
+  rooms.publish('pit', { type: 'tick', time: 2 });
+
+  const received = [];
+  rooms.join('pit', (event, data) => received.push([event, data]));
+
+  assert.equal(received[0][0], 'snapshot');
+  assert.equal(received[0][1].time, 2);
+  assert.deepEqual(received[0][1].pit, START.pit);
+  assert.deepEqual(received[0][1].events, [fling(1)]);
+});
+
+test('the replay log drops flings first once it is over its event or byte budget', () => {
+  const weather = { type: 'weather', time: 1, weatherData: START.pit.weatherData };
+  const rooms = createLiveRooms({ maxLoggedEvents: 3, maxLogBytes: eventBytes(weather) + 2 * eventBytes(fling(10)) });
+  rooms.publish('pit', START);
+  rooms.publish('pit', weather);
+  [10, 11, 12, 13].forEach(time => rooms.publish('pit', fling(time)));
+
+  assert.deepEqual(rooms.snapshot('pit').events, [weather, fling(12), fling(13)]);
+
+  const small = createLiveRooms({ maxLogBytes: eventBytes(fling(10)) * 2 });
+  small.publish('pit', START);
+  [10, 11, 12].forEach(time => small.publish('pit', fling(time)));
+  assert.deepEqual(small.snapshot('pit').events, [fling(11), fling(12)]);
+});
+
+test('rooms are freed once nobody watches and the host has stopped', () => {
+  const rooms = createLiveRooms({ maxRooms: 1 });
+  const leave = rooms.join('a', () => {});
+  rooms.publish('a', START);
+
+  assert.equal(rooms.publish('b', START), null, 'the registry is full');
+  leave();
+  assert.equal(rooms.publish('b', START), null, 'the host of a is still live');
+
+  rooms.publish('a', { type: 'stop', time: 3 });
+  assert.equal(rooms.publish('b', START), 0);
+  assert.equal(rooms.join('a', () => {}), null);
+});
+
+test('a host that goes quiet is treated as gone', () => {
+  const clock = createClock();
+  const rooms = createLiveRooms({ maxRooms: 1, hostTimeout: 60, now: clock.now });
+  rooms.publish('a', START);
+
+  clock.time = 30 * 1000;
+  rooms.publish('a', { type: 'tick', time: 30 });
+  clock.time = 80 * 1000;
+  assert.equal(rooms.snapshot('a').live, true);
+  assert.equal(rooms.publish('b', START), null);
+
+  // No tick for over a minute: the tab was closed without a stop
+  clock.time = 91 * 1000;
+  assert.deepEqual(rooms.snapshot('a'), { live: false });
+  assert.equal(rooms.publish('b', START), 0);
+});
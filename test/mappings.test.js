@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAPPING_PRESETS,
+  MAPPING_TARGETS,
+  MAX_MAPPING_RULES,
+  DEFAULT_MAPPER,
+  validateMapping,
+  compileMapping,
+  readSource
+} from '../src/mappings.js';
+import { interpolateWeather } from '../src/timeline.js';
+
+const rule = fields => ({ source: 'temp', target: 'ball.size', curve: 'linear', input: [0, 40], output: [1, 2], ...fields });
+
+const weather = precipitationType => ({ temp: 10, precipitation: 2, precipitationType, timestamp: '2026-10-19T12:00:00.000Z' });
+
+test('rain and snow read as 1 or 0 from the precipitation type', () => {
+  assert.equal(readSource(weather('rain'), 'rain'), 1);
+  assert.equal(readSource(weather('rain'), 'snow'), 0);
+  assert.equal(readSource({ temp: 10 }, 'rain'), 0);
+  assert.equal(readSource({ ...weather('rain'), rain: 0.25 }, 'rain'), 0.25, 'blends carry their own share');
+});
+
+test('classic gravity is heavier in rain and floaty in snow', () => {
+  assert.equal(DEFAULT_MAPPER.value('ball.gravity', weather('rain')), 1.5);
+  assert.equal(DEFAULT_MAPPER.value('ball.gravity', weather('snow')), 0.5);
+  assert.equal(DEFAULT_MAPPER.value('ball.gravity', weather('none')), 1);
+});
+
+test('gravity blends smoothly when rain turns to snow', () => {
+  const blend = interpolateWeather(weather('rain'), weather('snow'), 0.75);
+
+  assert.equal(blend.precipitationType, 'snow');
+  assert.equal(DEFAULT_MAPPER.value('ball.gravity', blend), 0.75);
+});
+
+test('built-in mappings are valid', () => {
+  Object.values(MAPPING_PRESETS).forEach(mapping => assert.deepEqual(validateMapping(mapping), [], mapping.name));
+});
+
+test('mappings are checked rule by rule', () => {
+  assert.deepEqual(validateMapping(null), ['mapping must be an object']);
+  assert.equal(validateMapping({ name: '', rules: [] }).length, 1);
+  assert.equal(validateMapping({ name: 'Many', rules: new Array(MAX_MAPPING_RULES + 1).fill(rule()) }).length, 1);
+
+  assert.deepEqual(validateMapping({ name: 'Broken', rules: [
+    rule(),
+    rule({ source: 'sunshine', curve: 'stepped', input: [5, 5], output: [1] }),
+    'not a rule'
+  ] }), [
+    'rules[1].source must be one of: temp, humidity, windSpeed, pressure, precipitation, cloudCover, rain, snow',
+    'rules[1].steps must be an integer from 1 to 100',
+    'rules[1].input must be two different numbers',
+    'rules[1].output must be two numbers',
+    'rules[2] must be an object'
+  ]);
+  assert.match(validateMapping({ name: 'x', rules: [rule({ target: 'ball.colour' })] })[0], /^rules\[0\]\.target must be one of: ball\.size/);
+});
+
+test('compiled mappings add rules up within the target range', () => {
+  const mapper = compileMapping({ name: 'Test', rules: [
+    rule(),
+    rule({ source: 'humidity', input: [0, 100], output: [0, 1] }),
+    rule({ target: 'pit.ballsPerSpawn', curve: 'stepped', steps: 4, output: [1, 5] }),
+    rule({ target: 'audio.tilt', input: [40, 0], output: [-100, 100] })
+  ] });
+
+  assert.equal(mapper.value('ball.size', { temp: 20, humidity: 50 }), 2);
+  assert.equal(mapper.value('ball.size', { temp: -10, humidity: 0 }), 1, 'inputs are clamped to their range');
+  assert.equal(mapper.value('ball.size', { temp: 40, humidity: 100 }), 3);
+  assert.equal(mapper.value('pit.ballsPerSpawn', { temp: 25 }), 3, 'stepped: two of four steps');
+  assert.equal(mapper.value('audio.tilt', { temp: 0 }), MAPPING_TARGETS['audio.tilt'].max, 'held to the target range');
+  assert.equal(mapper.value('ball.wind', { temp: 20 }), MAPPING_TARGETS['ball.wind'].fallback);
+
+  assert.throws(() => compileMapping({ name: 'Broken', rules: [rule({ curve: 'cubic' })] }), /^Error: Invalid mapping: rules\[0\]\.curve/);
+});
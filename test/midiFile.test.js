@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMidiFile, toMidiVelocity, noteChannel, PERCUSSION_CHANNEL } from '../src/midi/midiFile.js';
+
+/**
+ * A note event as a NoteBus emits it
+ */
+const note = (time, midiNote, fields = {}) => ({
+  time, midiNote, duration: 0.5, velocity: 10, voice: 0, location: 'London', ...fields
+});
+
+/**
+ * Read a variable-length quantity
+ * @returns {Array<number>} [value, next offset]
+ */
+function readVariableLength(bytes, offset) {
+  let value = 0;
+  let at = offset;
+  do {
+    value = (value << 7) | (bytes[at] & 0x7f);
+  } while (bytes[at++] & 0x80);
+  return [value, at];
+}
+
+/**
+ * Decode a Standard MIDI File far enough to check it
+ * @returns {Object} { format, ppq, tracks: [[{ tick, data }]] }
+ */
+function decodeMidiFile(bytes) {
+  const text = (at, length) => String.fromCharCode(...bytes.slice(at, at + length));
+  const uint32 = at => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+
+  assert.equal(text(0, 4), 'MThd');
+  assert.equal(uint32(4), 6);
+  const format = (bytes[8] << 8) | bytes[9];
+  const trackCount = (bytes[10] << 8) | bytes[11];
+  const ppq = (bytes[12] << 8) | bytes[13];
+
+  const tracks = [];
+  let offset = 14;
+  for (let index = 0; index < trackCount; index++) {
+    assert.equal(text(offset, 4), 'MTrk');
+    const end = offset + 8 + uint32(offset + 4);
+    const events = [];
+    let tick = 0;
+    let at = offset + 8;
+
+    while (at < end) {
+      const [delta, next] = readVariableLength(bytes, at);
+      tick += delta;
+      at = next;
+      if (bytes[at] === 0xff) {
+        const [length, dataAt] = readVariableLength(bytes, at + 2);
+        events.push({ tick, data: [...bytes.slice(at, dataAt + length)] });
+        at = dataAt + length;
+      } else {
+        events.push({ tick, data: [...bytes.slice(at, at + 3)] });
+        at += 3;
+      }
+    }
+
+    assert.equal(at, end, 'the track length matches its events');
+    tracks.push(events);
+    offset = end;
+  }
+
+  assert.equal(offset, bytes.length);
+  return { format, ppq, tracks };
+}
+
+const trackName = track => String.fromCharCode(...track[0].data.slice(3));
+const channelEvents = track => track.filter(({ data }) => data[0] !== 0xff);
+
+test('writes a type 1 file with a tempo track', () => {
+  const { format, ppq, tracks } = decodeMidiFile(encodeMidiFile([], { bpm: 100, ppq: 96, title: 'Test' }));
+
+  assert.equal(format, 1);
+  assert.equal(ppq, 96);
+  assert.equal(tracks.length, 1);
+  assert.equal(trackName(tracks[0]), 'Test');
+  assert.deepEqual(tracks[0][1].data, [0xff, 0x51, 3, 0x09, 0x27, 0xc0], '600000 microseconds per quarter');
+  assert.deepEqual(tracks[0].at(-1).data, [0xff, 0x2f, 0], 'end of track');
+});
+
+test('each voice gets its own track and channel, and obstacle hits the drum track', () => {
+  const notes = [
+    note(1, 60, { voice: 1, location: 'Tokyo' }),
+    note(0, 64),
+    note(2, 38, { percussion: true })
+  ];
+  const { tracks } = decodeMidiFile(encodeMidiFile(notes, { bpm: 120, ppq: 480 }));
+
+  assert.deepEqual(tracks.slice(1).map(trackName), ['London', 'Tokyo', 'Obstacles']);
+  assert.equal(noteChannel(notes[2]), PERCUSSION_CHANNEL);
+
+  // 960 ticks a second at 120 BPM, so deltas past 127 need two bytes
+  assert.deepEqual(channelEvents(tracks[2]), [
+    { tick: 960, data: [0x91, 60, toMidiVelocity(10)] },
+    { tick: 1440, data: [0x81, 60, 0] }
+  ]);
+  assert.equal(channelEvents(tracks[3])[0].data[0], 0x90 | PERCUSSION_CHANNEL);
+});
+
+test('a repeated pitch cuts off the one still sounding', () => {
+  const { tracks } = decodeMidiFile(encodeMidiFile([note(0, 60), note(0.25, 60), note(0.25, 200)], { bpm: 60, ppq: 4 }));
+
+  assert.deepEqual(channelEvents(tracks[1]).map(({ tick, data }) => [tick, data[0], data[1]]), [
+    [0, 0x90, 60],
+    [1, 0x80, 60],
+    [1, 0x90, 60],
+    [1, 0x90, 127],
+    [3, 0x80, 60],
+    [3, 0x80, 127]
+  ]);
+});
+
+test('impact speeds map onto velocities 1 to 127', () => {
+  assert.equal(toMidiVelocity(0), 1);
+  assert.equal(toMidiVelocity(-5), 1);
+  assert.equal(toMidiVelocity(40), 127);
+  assert.equal(toMidiVelocity(400), 127);
+  assert.ok(toMidiVelocity(10) > 127 / 4, 'gentle taps stay audible');
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsWorld } from '../src/physics/PhysicsWorld.js';
+import { createRandom } from '../src/random.js';
+
+const BOUNDS = { width: 40, height: 30, depth: 40 };
+
+/**
+ * A body at rest unless told otherwise
+ */
+function addBall(world, { x = 0, y = 5, z = 0, vx = 0, vy = 0, vz = 0, radius = 1, mass = 1, gravity = 9.8 } = {}) {
+  return world.addBody({ position: { x, y, z }, velocity: { x: vx, y: vy, z: vz }, radius, mass, gravity });
+}
+
+/**
+ * Fill a world with overlapping balls from a seed
+ */
+function fillWorld(world, count, seed) {
+  const random = createRandom(seed);
+  for (let i = 0; i < count; i++) {
+    const radius = 0.3 + random() * 1.2;
+    const body = addBall(world, {
+      x: (random() - 0.5) * BOUNDS.width,
+      y: radius + random() * (BOUNDS.height - 2 * radius),
+      z: (random() - 0.5) * BOUNDS.depth,
+      vx: (random() - 0.5) * 10,
+      vy: (random() - 0.5) * 10,
+      vz: (random() - 0.5) * 10,
+      radius,
+      mass: radius * radius * radius
+    });
+    body.userData = i;
+  }
+}
+
+test('a falling ball bounces off the floor with restitution', () => {
+  const world = new PhysicsWorld({ bounds: BOUNDS, restitution: 0.5 });
+  const ball = addBall(world, { y: 5 });
+  const bounces = [];
+  world.onFloorBounce = (body, impactSpeed) => bounces.push({ body, impactSpeed, vy: body.vy });
+
+  while (bounces.length === 0 && world.time < 3) {
+    world.step(world.fixedStep);
+  }
+
+  assert.equal(bounces.length, 1);
+  const [{ body, impactSpeed, vy }] = bounces;
+  assert.equal(body, ball);
+  // Dropped from 4 units above resting height: about sqrt(2 * 9.8 * 4)
+  assert.ok(Math.abs(impactSpeed - Math.sqrt(2 * 9.8 * 4)) < 0.2, `impact speed ${impactSpeed}`);
+  assert.ok(Math.abs(vy - impactSpeed * 0.5) < 1e-9, 'rebounds at half the impact speed');
+  assert.equal(ball.y, ball.radius, 'sits on the floor, not in it');
+});
+
+test('a ball resting on the floor does not report bounces', () => {
+  const world = new PhysicsWorld({ bounds: BOUNDS });
+  addBall(world, { y: 1 });
+  let bounces = 0;
+  world.onFloorBounce = () => bounces++;
+
+  for (let i = 0; i < 240; i++) world.step(world.fixedStep);
+
+  assert.equal(bounces, 0);
+});
+
+test('energy does not increase when restitution is below 1', () => {
+  const world = new PhysicsWorld({ bounds: BOUNDS, restitution: 0.8 });
+  fillWorld(world, 60, 7);
+  const initial = world.getEnergy();
+
+  // Sample once a simulated second: integration error stays far below the losses
+  let previous = initial;
+  for (let second = 0; second < 10; second++) {
+    world.advance(1);
+    for (let i = 0; i < 4; i++) world.advance(0.25);
+    const energy = world.getEnergy();
+    assert.ok(energy <= previous * 1.001, `second ${second + 1}: ${energy} > ${previous}`);
+    previous = energy;
+  }
+
+  assert.ok(previous < initial * 0.9, `only dropped from ${initial} to ${previous}`);
+});
+
+test('a head-on pair exchanges momentum and separates', () => {
+  const world = new PhysicsWorld({ bounds: BOUNDS, restitution: 1 });
+  const a = addBall(world, { x: -0.9, vx: 2, gravity: 0 });
+  const b = addBall(world, { x: 0.9, vx: -2, gravity: 0, mass: 3 });
+  const collisions = [];
+  world.onCollision = (first, second, impactSpeed) => collisions.push({ first, second, impactSpeed });
+
+  assert.equal(world.resolveCollision(a, b), true);
+
+  assert.deepEqual(collisions.map(({ first, second }) => [first, second]), [[a, b]]);
+  assert.equal(collisions[0].impactSpeed, 4);
+  // Momentum is kept, and an elastic collision keeps the kinetic energy too
+  assert.ok(Math.abs(a.mass * a.vx + b.mass * b.vx - (2 - 6)) < 1e-9);
+  assert.ok(Math.abs(0.5 * a.mass * a.vx ** 2 + 0.5 * b.mass * b.vx ** 2 - (2 + 6)) < 1e-9);
+  // The light ball bounces back and the heavy one, three times the mass, stops dead
+  assert.ok(Math.abs(a.vx + 4) < 1e-9, `a.vx ${a.vx}`);
+  assert.ok(Math.abs(b.vx) < 1e-9, `b.vx ${b.vx}`);
+  assert.ok(Math.abs(b.x - a.x - 2) < 1e-9, 'pushed out to touching');
+});
+
+test('pairs moving apart or not touching are left alone', () => {
+  const world = new PhysicsWorld({ bounds: BOUNDS });
+  const a = addBall(world, { x: -0.9, vx: -1 });
+  const b = addBall(world, { x: 0.9, vx: 1 });
+  const c = addBall(world, { x: 5 });
+
+  assert.equal(world.resolveCollision(a, b), false);
+  assert.equal(world.resolveCollision(b, c), false);
+  assert.equal(a.vx, -1);
+  assert.equal(b.vx, 1);
+});
+
+test('grid and naive broadphases find the same overlapping pairs', () => {
+  const found = {};
+
+  ['grid', 'naive'].forEach(broadphase => {
+    const world = new PhysicsWorld({ bounds: BOUNDS, broadphase });
+    fillWorld(world, 400, 99);
+
+    // Record overlaps instead of resolving them, so both see the same positions
+    const pairs = new Set();
+    world.resolveCollision = (a, b) => {
+      const distance = Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+      if (distance < a.radius + b.radius) {
+        pairs.add([a.userData, b.userData].sort((x, y) => x - y).join('-'));
+      }
+    };
+    world.detectCollisions();
+    found[broadphase] = [...pairs].sort();
+  });
+
+  assert.ok(found.naive.length > 20, `only ${found.naive.length} overlaps to compare`);
+  assert.deepEqual(found.grid, found.naive);
+});
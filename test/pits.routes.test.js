@@ -0,0 +1,325 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import express from 'express';
+import { connectDatabase, disconnectDatabase } from '../services/database.js';
+import authRouter from '../routes/auth.js';
+import pitsRouter from '../routes/pits.js';
+import Pit from '../models/Pit.js';
+import { MAPPING_PRESETS } from '../src/mappings.js';
+
+// mongodb-memory-server fetches a mongod binary on first use; without one (e.g. offline) these are skipped
+let skip = false;
+try {
+  await connectDatabase('memory');
+} catch (error) {
+  skip = `in-memory MongoDB unavailable (${error.code || error.message})`;
+}
+
+const WEATHER = {
+  location: 'London',
+  country: 'GB',
+  temp: 12,
+  humidity: 70,
+  windSpeed: 5,
+  pressure: 1012,
+  precipitation: 0,
+  cloudCover: 40,
+  condition: 'Clouds',
+  precipitationType: 'none'
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+app.use('/api/pits', pitsRouter);
+
+let server;
+let baseUrl;
+let alice;
+let bob;
+
+/**
+ * Call the API and read the JSON reply
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, path, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function register(username) {
+  const { status, body } = await request('POST', '/api/auth/register', { body: { username, password: 'correct horse' } });
+  assert.equal(status, 201);
+  return body.token;
+}
+
+function createPit(token, fields = {}) {
+  return request('POST', '/api/pits', {
+    token,
+    body: { pitname: 'Grey day', location: 'London', weatherData: WEATHER, seed: 42, ...fields }
+  });
+}
+
+before(async () => {
+  if (skip) return;
+
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  alice = await register('alice');
+  bob = await register('bob');
+});
+
+after(async () => {
+  if (skip) return;
+
+  server.close();
+  await disconnectDatabase();
+});
+
+test('creates, reads, updates and deletes a pit', { skip }, async () => {
+  const created = await createPit(alice, { visibility: 'public', maxBalls: 200, shape: 'bowl' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.pitname, 'Grey day');
+  assert.equal(created.body.seed, 42);
+  assert.equal(created.body.maxBalls, 200);
+  assert.equal(created.body.shape, 'bowl');
+  const id = created.body._id;
+
+  const read = await request('GET', `/api/pits/${id}`);
+  assert.equal(read.status, 200);
+  assert.equal(read.body.weatherData.length, 1, 'a single city is stored as a one-city array');
+  assert.equal(read.body.weatherData[0].condition, 'Clouds');
+  assert.equal(read.body.owner.username, 'alice');
+
+  const listed = await request('GET', '/api/pits');
+  assert.ok(listed.body.some(pit => pit._id === id));
+
+  const updated = await request('PATCH', `/api/pits/${id}`, { token: alice, body: { pitname: 'Brighter', adsr: { attack: 0.5 } } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.pitname, 'Brighter');
+  assert.equal(updated.body.adsr.attack, 0.5);
+  assert.equal(updated.body.adsr.release, 0.8, 'other ADSR values are kept');
+
+  const climate = await request('PATCH', `/api/pits/${id}`, { token: alice, body: { shape: null } });
+  assert.equal(climate.status, 200);
+  assert.equal(climate.body.shape, null, 'null hands the shape back to the climate');
+
+  const stormy = await request('PATCH', `/api/pits/${id}`, { token: alice, body: { mapping: MAPPING_PRESETS.storm } });
+  assert.equal(stormy.status, 200);
+  assert.deepEqual(stormy.body.mapping, MAPPING_PRESETS.storm);
+
+  const sound = {
+    rootKey: 2,
+    scale: null,
+    tuning: { description: 'Just intonation', cents: [203.91, 386.31, 701.96, 1200] },
+    instrument: 'bell',
+    effects: { reverb: 0.5, division: '1/8.' },
+    tempo: { bpm: 90, grid: '1/16', swing: 0.2 },
+    adsr: { attack: 1 }
+  };
+  const tuned = await request('PATCH', `/api/pits/${id}`, { token: alice, body: { sound } });
+  assert.equal(tuned.status, 200);
+  const { adsr, ...stored } = sound;
+  assert.deepEqual(tuned.body.sound, stored, 'the envelope stays in adsr');
+
+  const deleted = await request('DELETE', `/api/pits/${id}`, { token: alice });
+  assert.equal(deleted.status, 204);
+  assert.equal((await request('GET', `/api/pits/${id}`)).status, 404);
+});
+
+test('stores every city of a duel', { skip }, async () => {
+  const tokyo = { ...WEATHER, location: 'Tokyo', country: 'JP', temp: 24 };
+  const created = await createPit(alice, { weatherData: [WEATHER, tokyo] });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.weatherData.map(city => city.location), ['London', 'Tokyo']);
+
+  const tooMany = await createPit(alice, { weatherData: [WEATHER, WEATHER, WEATHER, WEATHER, WEATHER] });
+  assert.equal(tooMany.status, 400);
+  assert.equal((await createPit(alice, { weatherData: [] })).status, 400);
+});
+
+test('reads pits saved before duels back with a list of cities', { skip }, async () => {
+  // As stored by older versions, bypassing the schema's cast
+  const { insertedId } = await Pit.collection.insertOne({
+    pitname: 'Old pit', location: 'London', visibility: 'public', weatherData: WEATHER, seed: 1, created_at: new Date()
+  });
+
+  const { body: pit } = await request('GET', `/api/pits/${insertedId}`);
+  assert.deepEqual(pit.weatherData, [WEATHER]);
+
+  const { body: pits } = await request('GET', '/api/pits');
+  assert.deepEqual(pits.find(listed => listed._id === String(insertedId)).weatherData, [WEATHER]);
+});
+
+test('checks the weather of each city and keeps only known fields', { skip }, async () => {
+  const bad = await createPit(alice, { weatherData: [WEATHER, { ...WEATHER, location: 'x'.repeat(200), humidity: 'damp' }] });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.details, [
+    'weatherData[1]: humidity must be a finite number',
+    'weatherData[1]: location must be a string of at most 120 characters'
+  ]);
+
+  const created = await createPit(alice, { weatherData: { ...WEATHER, onload: 'alert(1)' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.weatherData[0].onload, undefined);
+});
+
+test('lists only your own pits with owner=me', { skip }, async () => {
+  await createPit(alice, { pitname: 'Alice only' });
+  await createPit(bob, { pitname: 'Bob only' });
+
+  const mine = await request('GET', '/api/pits?owner=me', { token: bob });
+  assert.equal(mine.status, 200);
+  assert.ok(mine.body.every(pit => pit.owner.username === 'bob'));
+  assert.ok(mine.body.some(pit => pit.pitname === 'Bob only'));
+
+  assert.equal((await request('GET', '/api/pits?owner=me')).status, 401);
+});
+
+test('rejects invalid pits with 400 and details', { skip }, async () => {
+  const missing = await request('POST', '/api/pits', { token: alice, body: { location: 'London' } });
+  assert.equal(missing.status, 400);
+  assert.ok(missing.body.details.includes('pitname must be a non-empty string'));
+  assert.ok(missing.body.details.some(detail => detail.startsWith('weatherData must be')));
+
+  const wrongTypes = await createPit(alice, { volume: 'loud', seed: 1.5, visibility: 'secret', maxBalls: 12.5, shape: 'triangle' });
+  assert.equal(wrongTypes.status, 400);
+  assert.equal(wrongTypes.body.details.length, 5);
+
+  // Ranges are left to the schema
+  const outOfRange = await createPit(alice, { volume: 2, maxBalls: 100000 });
+  assert.equal(outOfRange.status, 400);
+  assert.equal(outOfRange.body.details.length, 2);
+
+  const { body: pit } = await createPit(alice);
+  const empty = await request('PATCH', `/api/pits/${pit._id}`, { token: alice, body: {} });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.details[0], /Nothing to update/);
+
+  const badSound = await createPit(alice, { sound: { instrument: 'kazoo', tempo: { bpm: 'fast' } } });
+  assert.equal(badSound.status, 400);
+  assert.equal(badSound.body.details.length, 2);
+
+  const badMapping = await createPit(alice, { mapping: { name: 'Broken', rules: [{ source: 'temp', target: 'nowhere' }] } });
+  assert.equal(badMapping.status, 400);
+  assert.ok(badMapping.body.details.every(detail => detail.startsWith('mapping: rules[0].')));
+});
+
+test('needs sign-in to create, edit or delete', { skip }, async () => {
+  const { body: pit } = await createPit(alice, { visibility: 'public' });
+
+  assert.equal((await createPit(null)).status, 401);
+  assert.equal((await request('PATCH', `/api/pits/${pit._id}`, { body: { pitname: 'Mine' } })).status, 401);
+  assert.equal((await request('DELETE', `/api/pits/${pit._id}`)).status, 401);
+});
+
+test('only the owner can edit or delete a pit', { skip }, async () => {
+  const { body: pit } = await createPit(alice, { visibility: 'unlisted' });
+
+  const edit = await request('PATCH', `/api/pits/${pit._id}`, { token: bob, body: { pitname: 'Mine now' } });
+  assert.equal(edit.status, 403);
+
+  const remove = await request('DELETE', `/api/pits/${pit._id}`, { token: bob });
+  assert.equal(remove.status, 403);
+
+  const unchanged = await request('GET', `/api/pits/${pit._id}`, { token: bob });
+  assert.equal(unchanged.status, 200);
+  assert.equal(unchanged.body.pitname, 'Grey day');
+});
+
+test('private pits are missing to everyone but their owner', { skip }, async () => {
+  const { body: pit } = await createPit(alice);
+  assert.equal(pit.visibility, 'private');
+
+  assert.equal((await request('GET', `/api/pits/${pit._id}`, { token: alice })).status, 200);
+  assert.equal((await request('GET', `/api/pits/${pit._id}`, { token: bob })).status, 404);
+  assert.equal((await request('GET', `/api/pits/${pit._id}`)).status, 404);
+  assert.equal((await request('PATCH', `/api/pits/${pit._id}`, { token: bob, body: { pitname: 'Mine' } })).status, 404);
+  assert.equal((await request('DELETE', `/api/pits/${pit._id}`, { token: bob })).status, 404);
+  assert.ok(!(await request('GET', '/api/pits')).body.some(listed => listed._id === pit._id));
+});
+
+test('private pits can be watched live by their owner with a stream token', { skip }, async () => {
+  const { body: pit } = await createPit(alice);
+  const live = `/api/pits/${pit._id}/live`;
+
+  // Open the event stream and hang up once the status is in
+  const watch = async query => {
+    const response = await fetch(`${baseUrl}${live}${query}`);
+    await response.body.cancel();
+    return response.status;
+  };
+
+  assert.equal(await watch(''), 404, 'the stream alone carries no sign-in');
+  assert.equal((await request('POST', `${live}/token`)).status, 401);
+  assert.equal((await request('POST', `${live}/token`, { token: bob })).status, 404);
+
+  const { status, body } = await request('POST', `${live}/token`, { token: alice });
+  assert.equal(status, 200);
+  assert.equal(await watch(`?token=${encodeURIComponent(body.token)}`), 200);
+  assert.equal(await watch('?token=forged'), 404);
+
+  // Stream tokens are only good for the stream
+  const edit = await request('PATCH', `/api/pits/${pit._id}`, { token: body.token, body: { pitname: 'Sneaky' } });
+  assert.equal(edit.status, 401);
+});
+
+test('live events are checked like saved pits and reach viewers trimmed', { skip }, async () => {
+  const { body: pit } = await createPit(alice, { visibility: 'public' });
+  const live = `/api/pits/${pit._id}/live`;
+  const publish = body => request('POST', live, { token: alice, body });
+
+  const start = await publish({
+    type: 'start',
+    time: 0,
+    pit: { weatherData: [{ ...WEATHER, onload: 'alert(1)' }], seed: 7, maxBalls: 300, shape: null, mapping: MAPPING_PRESETS.storm, owner: 'bob' },
+    sound: { instrument: 'bell', adsr: { attack: 0.2 }, html: '<b>' },
+    extra: true
+  });
+  assert.equal(start.status, 202);
+  assert.equal((await publish({ type: 'fling', time: 1, ball: 0, position: { x: 1, y: 2, z: 3, w: 4 }, velocity: { x: 0, y: 0, z: 0 } })).status, 202);
+  assert.equal((await publish({ type: 'timelapse', time: 1.5, frames: [WEATHER, { ...WEATHER, temp: 14, junk: 1 }] })).status, 202);
+
+  const invalid = async (body, detail) => {
+    const { status, body: reply } = await publish({ time: 2, ...body });
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.ok(reply.details.some(error => error.includes(detail)), reply.details.join('; '));
+  };
+  await invalid({ type: 'weather', weatherData: [{ ...WEATHER, description: { html: '<img>' } }] }, 'weatherData[0]: description');
+  await invalid({ type: 'addCity', weatherData: { ...WEATHER, humidity: 150 } }, 'humidity');
+  await invalid({ type: 'maxBalls', maxBalls: 1e9 }, 'maxBalls');
+  await invalid({ type: 'maxBalls' }, 'maxBalls is required');
+  await invalid({ type: 'shape', shape: '__proto__' }, 'shape must be null or one of');
+  await invalid({ type: 'tick', sound: { tempo: { bpm: 'fast' } } }, 'sound: tempo.bpm');
+  await invalid({ type: 'fling', ball: -1, position: { x: 0, y: 0, z: 0 }, velocity: { x: 'far' } }, 'ball must be');
+  await invalid({ type: 'removeCity', index: 0 }, 'index must be');
+  await invalid({ type: 'timelapse', frames: [WEATHER, { ...WEATHER, temp: 'hot' }] }, 'frames[1]: temp');
+  await invalid({ type: 'start', pit: { weatherData: [WEATHER], maxBalls: 300 } }, 'pit: seed is required');
+
+  // A viewer joining now replays the trimmed start, fling and time-lapse
+  const response = await fetch(`${baseUrl}${live}`);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let stream = '';
+  while (!stream.includes('\n\n')) stream += (await reader.read()).value;
+  await reader.cancel();
+
+  const snapshot = JSON.parse(stream.match(/^data: (.*)$/m)[1]);
+  assert.equal(snapshot.pit.owner, undefined);
+  assert.equal(snapshot.pit.weatherData[0].onload, undefined);
+  assert.deepEqual(snapshot.pit.mapping, MAPPING_PRESETS.storm);
+  assert.deepEqual(snapshot.sound, { instrument: 'bell', adsr: { attack: 0.2 } });
+  assert.deepEqual(snapshot.events, [
+    { type: 'fling', time: 1, ball: 0, position: { x: 1, y: 2, z: 3 }, velocity: { x: 0, y: 0, z: 0 } },
+    { type: 'timelapse', time: 1.5, frames: [WEATHER, { ...WEATHER, temp: 14 }] }
+  ]);
+});
+
+test('malformed ids are 404s', { skip }, async () => {
+  assert.equal((await request('GET', '/api/pits/not-an-id')).status, 404);
+});
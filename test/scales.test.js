@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScala } from '../src/scales.js';
+
+const closeTo = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+test('parses cents, ratios and integers, skipping comments and labels', () => {
+  const { description, cents } = parseScala([
+    '! pythagorean.scl',
+    '!',
+    'Pythagorean fifths',
+    ' 4',
+    '!',
+    ' 203.910 whole tone',
+    ' 3/2',
+    ' 27/16',
+    ' 2'
+  ].join('\r\n'));
+
+  assert.equal(description, 'Pythagorean fifths');
+  assert.equal(cents.length, 4);
+  closeTo(cents[0], 203.91);
+  closeTo(cents[1], 701.955001);
+  closeTo(cents[2], 905.865003);
+  closeTo(cents[3], 1200);
+});
+
+test('the description may be blank and extra pitches are ignored', () => {
+  assert.deepEqual(parseScala('\n1\n1200.0\n2400.0\n'), { description: '', cents: [1200] });
+});
+
+test('malformed files are rejected with a reason', () => {
+  assert.throws(() => parseScala('Only a description'), /missing its description or note count/);
+  assert.throws(() => parseScala('Test\nmany\n1200.0'), /invalid note count/);
+  assert.throws(() => parseScala('Test\n3\n100.0\n1200.0'), /lists 2 of 3 pitches/);
+  assert.throws(() => parseScala('Test\n1\nfifth'), /Invalid pitch in Scala file: "fifth"/);
+  assert.throws(() => parseScala('Test\n1\n-3/2'), /Invalid pitch/);
+  assert.throws(() => parseScala('Test\n1\n-100.0'), /period must be above the root/);
+});
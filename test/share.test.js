@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareState, decodeShareState } from '../public/share.js';
+import { CANONICAL_UNITS } from '../src/units.js';
+
+const WEATHER = {
+  location: 'London',
+  country: 'GB',
+  temp: 12,
+  humidity: 70,
+  windSpeed: 5,
+  pressure: 1012,
+  precipitation: 0,
+  cloudCover: 40,
+  condition: 'Clouds',
+  description: 'broken clouds',
+  precipitationType: 'none',
+  mode: 'dorian',
+  units: CANONICAL_UNITS
+};
+const ADSR = { attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.8 };
+const SOUND = {
+  rootKey: 3,
+  scale: 'dorian',
+  tuning: { description: 'Pythagorean', cents: [203.91, 407.82, 701.96, 1200] },
+  adsr: ADSR,
+  instrument: 'pluck',
+  weatherTimbre: true,
+  effects: { reverb: 0.4, delay: 0.2, feedback: 0.3, division: '1/16', chorus: 0, tilt: -2 },
+  voicing: { maxPolyphony: 16, stealPolicy: 'quietest', retrigger: 'layer' },
+  limiterThreshold: -6,
+  tempo: { bpm: 120, grid: '1/8', swing: 0.1 },
+  drone: true,
+  spatial: false
+};
+
+/**
+ * A link as someone could type it, bypassing encodeShareState
+ */
+function craftLink(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+test('a share link round-trips the pit', () => {
+  const tokyo = { ...WEATHER, location: 'Tokyo', country: 'JP', temp: 24 };
+  const state = decodeShareState(encodeShareState({
+    location: 'London', weatherData: WEATHER, comparisons: [tokyo], seed: 42, adsr: ADSR, volume: 0.3, maxBalls: 200, sound: SOUND
+  }));
+
+  assert.deepEqual(state.weatherData, WEATHER);
+  assert.deepEqual(state.comparisons, [tokyo]);
+  assert.equal(state.seed, 42);
+  assert.deepEqual(state.adsr, ADSR);
+  assert.equal(state.maxBalls, 200);
+  const { adsr, ...sound } = SOUND;
+  assert.deepEqual(state.sound, sound, 'the envelope travels in adsr');
+});
+
+test('links from before duels and units still load', () => {
+  const { units, ...imperial } = { ...WEATHER, temp: 50 };
+  const state = decodeShareState(craftLink({ l: 'London', w: imperial, s: 1, a: [0, 0, 1, 1], v: 0.5 }));
+
+  assert.equal(state.weatherData.temp, 10);
+  assert.deepEqual(state.comparisons, []);
+  assert.equal(state.sound, null);
+});
+
+test('crafted links are checked and their weather trimmed to known fields', () => {
+  const link = weather => craftLink({ l: 'London', w: weather, s: 1, a: [0, 0, 1, 1], v: 0.5 });
+
+  assert.equal(decodeShareState(link({ ...WEATHER, description: ['<img>'] })), null);
+  assert.equal(decodeShareState(link({ ...WEATHER, country: 5 })), null);
+  assert.equal(decodeShareState(link({ ...WEATHER, temp: '12' })), null);
+  assert.equal(decodeShareState(link({ ...WEATHER, mode: 'constructor' })), null);
+  assert.equal(decodeShareState(craftLink({ l: 'London', w: WEATHER, s: 1, a: [0, 0, 1, 1], v: 0.5, x: { scale: 'kazoo' } })), null);
+  assert.equal(decodeShareState('not base64 json'), null);
+
+  const { weatherData } = decodeShareState(link({ ...WEATHER, onload: 'alert(1)' }));
+  assert.equal(weatherData.onload, undefined);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSound, pickSound, MAX_TUNING_DEGREES } from '../src/soundSettings.js';
+
+// As getSoundSettings() in public/app.js gives them
+const SOUND = {
+  rootKey: 7,
+  scale: null,
+  tuning: null,
+  adsr: { attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.8 },
+  instrument: 'marimba',
+  weatherTimbre: false,
+  effects: { reverb: 0.3, delay: 0, feedback: 0.4, division: '1/8', chorus: 0.1, tilt: 0 },
+  voicing: { maxPolyphony: 24, stealPolicy: 'oldest', retrigger: 'restart' },
+  limiterThreshold: -3,
+  tempo: { bpm: 100, grid: null, swing: 0 },
+  drone: false,
+  spatial: true
+};
+
+test('app settings are valid, and so is leaving everything out', () => {
+  assert.deepEqual(validateSound(SOUND), []);
+  assert.deepEqual(validateSound({}), []);
+});
+
+test('settings must have their type or be one of the choices', () => {
+  assert.deepEqual(validateSound('loud'), ['must be an object']);
+
+  const errors = validateSound({ instrument: 'kazoo', drone: 'yes', effects: { division: '1/3', reverb: NaN }, voicing: 4 });
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /^instrument must be one of: classic, bell/);
+  assert.equal(errors[1], 'drone must be true or false');
+  assert.equal(errors[2], 'effects.reverb must be a finite number');
+  assert.equal(errors[3], 'effects.division must be one of: 1/4, 1/8., 1/8, 1/16');
+  assert.equal(errors[4], 'voicing must be an object');
+});
+
+test('tunings need a sensible list of cents', () => {
+  const tuning = cents => validateSound({ tuning: { description: 'Test', cents } });
+
+  assert.deepEqual(tuning([100, 1200]), []);
+  assert.equal(tuning([]).length, 1);
+  assert.equal(tuning([100, -1]).length, 1, 'the period must be above the root');
+  assert.equal(tuning(['100', 1200]).length, 1);
+  assert.equal(tuning(new Array(MAX_TUNING_DEGREES + 1).fill(1200)).length, 1);
+});
+
+test('pickSound keeps only what applySound() knows', () => {
+  const picked = pickSound({ ...SOUND, volume: 1, effects: { ...SOUND.effects, wet: 2 }, tuning: { description: 'x', cents: [1200], id: 1 } });
+
+  assert.equal(picked.volume, undefined);
+  assert.deepEqual(picked.effects, SOUND.effects);
+  assert.deepEqual(picked.tuning, { description: 'x', cents: [1200] });
+});
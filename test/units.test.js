@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CANONICAL_UNITS,
+  fahrenheitToCelsius,
+  mphToMetersPerSecond,
+  inchesToMillimeters,
+  formatReading,
+  unitSystemForLocale,
+  toCanonicalWeather
+} from '../src/units.js';
+
+test('imperial readings convert to canonical units', () => {
+  assert.equal(fahrenheitToCelsius(212), 100);
+  assert.equal(fahrenheitToCelsius(-40), -40);
+  assert.equal(mphToMetersPerSecond(10), 4.4704);
+  assert.equal(inchesToMillimeters(2), 50.8);
+});
+
+test('readings are shown in each unit system', () => {
+  assert.equal(formatReading('temp', 12.2, 'metric', 'en-US'), '12.2°C');
+  assert.equal(formatReading('temp', 12.2, 'metric', 'fr-FR'), '12,2°C');
+  assert.equal(formatReading('temp', 100, 'imperial', 'en-US'), '212.0°F');
+  assert.equal(formatReading('temp', 0, 'scientific', 'en-US'), '273.15 K');
+  assert.equal(formatReading('windSpeed', 10, 'metric', 'en-US'), '36.0 km/h');
+  assert.equal(formatReading('windSpeed', 4.4704, 'imperial', 'en-US'), '10.0 mph');
+  assert.equal(formatReading('pressure', 1013.25, 'imperial', 'en-US'), '29.92 inHg');
+  assert.equal(formatReading('pressure', 1013, 'scientific', 'en-US'), '101,300 Pa');
+  assert.equal(formatReading('precipitation', 25.4, 'imperial', 'en-US'), '1.00 in');
+  assert.equal(formatReading('humidity', 70, 'imperial', 'en-US'), '70%');
+  assert.equal(formatReading('temp', 12.2, 'nautical', 'en-US'), '12.2°C', 'unknown systems fall back to metric');
+});
+
+test('locales pick imperial only where the weather is read in Fahrenheit', () => {
+  assert.equal(unitSystemForLocale('en-US'), 'imperial');
+  assert.equal(unitSystemForLocale('es-Latn-us'), 'imperial');
+  assert.equal(unitSystemForLocale('en-GB'), 'metric');
+  assert.equal(unitSystemForLocale('en'), 'metric');
+  assert.equal(unitSystemForLocale(undefined), 'metric');
+});
+
+test('weather without units is taken as imperial and converted once', () => {
+  const imperial = { temp: 50, windSpeed: 10, precipitation: 1, humidity: 70, condition: 'Rain' };
+  const canonical = toCanonicalWeather(imperial);
+
+  assert.equal(canonical.temp, 10);
+  assert.equal(canonical.windSpeed, 4.4704);
+  assert.equal(canonical.precipitation, 25.4);
+  assert.equal(canonical.humidity, 70);
+  assert.deepEqual(canonical.units, CANONICAL_UNITS);
+  assert.equal(toCanonicalWeather(canonical), canonical);
+  assert.deepEqual(toCanonicalWeather({ temp: 50, condition: 'Clear' }), { temp: 10, windSpeed: 0, precipitation: 0, condition: 'Clear', units: CANONICAL_UNITS });
+});
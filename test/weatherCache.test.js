@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWeatherCache, normalizeLocationKey } from '../services/weatherCache.js';
+import { createMemoryStore } from '../services/cache/memoryStore.js';
+
+const TTL = 600;
+const STALE_TTL = 3600;
+
+/**
+ * A cache over a memory store, holding `value` stored `age` seconds ago
+ */
+async function createCache(age, value = 'cached') {
+  const store = createMemoryStore();
+  if (age !== undefined) {
+    await store.set('london', { value, storedAt: Date.now() - age * 1000 });
+  }
+  return createWeatherCache({ store, ttl: TTL, staleTtl: STALE_TTL });
+}
+
+/**
+ * A loader that counts its calls
+ */
+function createLoader(value = 'fresh') {
+  const loader = async () => {
+    loader.calls += 1;
+    return value;
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+test('fresh entries are a HIT without calling upstream', async () => {
+  const cache = await createCache(TTL - 1);
+  const loader = createLoader();
+
+  assert.deepEqual(await cache.get('london', loader), { value: 'cached', status: 'HIT' });
+  assert.equal(loader.calls, 0);
+});
+
+test('expired entries are served STALE and refreshed in the background', async () => {
+  const cache = await createCache(TTL + 1);
+  const loader = createLoader();
+
+  assert.deepEqual(await cache.get('london', loader), { value: 'cached', status: 'STALE' });
+  assert.equal(loader.calls, 1);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(await cache.get('london', loader), { value: 'fresh', status: 'HIT' });
+});
+
+test('missing and too old entries are a MISS loaded from upstream', async () => {
+  for (const age of [undefined, TTL + STALE_TTL + 1]) {
+    const cache = await createCache(age);
+    const loader = createLoader();
+
+    assert.deepEqual(await cache.get('london', loader), { value: 'fresh', status: 'MISS' });
+    assert.deepEqual(await cache.get('london', loader), { value: 'fresh', status: 'HIT' });
+    assert.equal(loader.calls, 1);
+  }
+});
+
+test('the last entry is served STALE when upstream fails', async () => {
+  const cache = await createCache(TTL + STALE_TTL + 1);
+  const failing = async () => {
+    throw new Error('upstream down');
+  };
+
+  assert.deepEqual(await cache.get('london', failing), { value: 'cached', status: 'STALE' });
+  await assert.rejects((await createCache()).get('london', failing), /upstream down/);
+});
+
+test('concurrent misses share one upstream call', async () => {
+  const cache = await createCache();
+  const pending = [];
+  const loader = createLoader();
+  const slow = () => new Promise(resolve => pending.push(resolve)).then(loader);
+
+  const requests = [cache.get('london', slow), cache.get('london', slow)];
+  await new Promise(resolve => setImmediate(resolve));
+  pending.forEach(release => release());
+
+  assert.deepEqual(await Promise.all(requests), [
+    { value: 'fresh', status: 'MISS' },
+    { value: 'fresh', status: 'MISS' }
+  ]);
+  assert.equal(loader.calls, 1);
+});
+
+test('equivalent locations share a key', () => {
+  assert.equal(normalizeLocationKey('  New   York '), 'new york');
+  assert.equal(normalizeLocationKey('London, GB'), normalizeLocationKey('london,gb'));
+  assert.equal(normalizeLocationKey('51.50741, -0.12781'), '51.507,-0.128');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateWeather, pickWeather, MAX_WEATHER_TEXT } from '../src/weatherSnapshot.js';
+import { CANONICAL_UNITS } from '../src/units.js';
+
+const WEATHER = {
+  location: 'London',
+  country: 'GB',
+  temp: 12,
+  humidity: 70,
+  windSpeed: 5,
+  pressure: 1012,
+  precipitation: 0,
+  cloudCover: 40,
+  condition: 'Clouds',
+  description: 'broken clouds',
+  precipitationType: 'none',
+  mode: 'dorian',
+  timestamp: '2026-10-19T12:00:00.000Z',
+  units: CANONICAL_UNITS
+};
+
+test('a normalized snapshot is valid', () => {
+  assert.deepEqual(validateWeather(WEATHER), []);
+  assert.deepEqual(validateWeather({ temp: 50, condition: 'Clear' }), [], 'older snapshots carry fewer fields');
+});
+
+test('each field must have its type', () => {
+  assert.deepEqual(validateWeather(null), ['must be an object']);
+  assert.deepEqual(validateWeather([WEATHER]), ['must be an object']);
+  assert.deepEqual(validateWeather({ ...WEATHER, temp: undefined, condition: '' }), [
+    'temp must be a finite number',
+    'condition must be a non-empty string'
+  ]);
+  assert.deepEqual(validateWeather({ ...WEATHER, windSpeed: Infinity, description: { html: '<b>' } }), [
+    'windSpeed must be a finite number',
+    `description must be a string of at most ${MAX_WEATHER_TEXT} characters`
+  ]);
+  assert.equal(validateWeather({ ...WEATHER, location: 'x'.repeat(MAX_WEATHER_TEXT + 1) }).length, 1);
+  assert.equal(validateWeather({ ...WEATHER, precipitationType: 'hail' }).length, 1);
+  assert.equal(validateWeather({ ...WEATHER, mode: '__proto__' }).length, 1);
+  assert.equal(validateWeather({ ...WEATHER, units: { temp: '°C', colour: 'red' } }).length, 1);
+});
+
+test('pickWeather keeps only snapshot fields', () => {
+  assert.deepEqual(pickWeather({ ...WEATHER, onload: 'alert(1)', isAdmin: true }), WEATHER);
+});